@@ -1,34 +1,66 @@
 const express = require("express");
-const mongoose = require("mongoose");
 const cors = require("cors"); // Import cors
-const config = require("./config/database");
+const library = require("./config/library");
 const notificationRoutes = require("./routes/notifications");
+const healthRoutes = require("./routes/health");
+const trackRequests = require("./middleware/metrics");
+const { captureRoute } = trackRequests;
+const { accessLog, logContext } = require("./middleware/logging");
 
 const authRoutes = require("./routes/auth");
 const userRoutes = require("./routes/users");
 const bookRoutes = require("./routes/books");
 const reservationRoutes = require("./routes/reservations");
+const waitlistRoutes = require("./routes/waitlist");
+const adminRoutes = require("./routes/admin");
+const {
+  requestId,
+  notFound,
+  errorHandler,
+} = require("./middleware/errorHandler");
 
-// Initialize app
-const app = express();
-
-// Apply middleware
-app.use(cors()); // Apply cors after initializing app
-app.use(express.json());
-
-// Connect to MongoDB
-mongoose
-  .connect(config.database, { useNewUrlParser: true, useUnifiedTopology: true })
-  .then(() => console.log("Connected to MongoDB"))
-  .catch((err) => console.error("Could not connect to MongoDB", err));
-
-// Define routes
-app.use("/api/auth", authRoutes);
-app.use("/api/users", userRoutes);
-app.use("/api/books", bookRoutes);
-app.use("/api/reservations", reservationRoutes);
-app.use("/api/notifications", notificationRoutes);
-
-// Start server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+const defaultRoutes = [
+  ["/", healthRoutes],
+  ["/api/auth", authRoutes],
+  ["/api/users", userRoutes],
+  ["/api/books", bookRoutes],
+  ["/api/reservations", reservationRoutes],
+  ["/api/notifications", notificationRoutes],
+  ["/api/waitlist", waitlistRoutes],
+  ["/api/admin", adminRoutes],
+];
+
+/**
+ * Builds the Express app without connecting to the database or listening,
+ * so it can be mounted in tests. `config` defaults to the loaded settings
+ * and `routes` to the API routers, as `[path, router]` pairs.
+ */
+const createApp = ({ config = library, routes = defaultRoutes } = {}) => {
+  const app = express();
+  app.set("trust proxy", config.server.trustProxy);
+
+  // Apply middleware
+  app.use(requestId);
+  app.use(trackRequests);
+  app.use(accessLog);
+  // "*" in CORS_ORIGINS allows every origin
+  app.use(
+    cors({
+      origin: config.cors.origins.includes("*") ? true : config.cors.origins,
+    })
+  );
+  app.use(express.json());
+  app.use(logContext);
+
+  // Define routes
+  routes.forEach(([path, router]) => app.use(path, router, captureRoute));
+
+  // Unknown routes and errors passed to next() answer with the JSON envelope
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = createApp;
+module.exports.createApp = createApp;
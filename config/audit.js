@@ -0,0 +1,29 @@
+// What the audit trail records. Kept apart from utils/audit so the AuditLog
+// model can share the target types without a circular require.
+const TARGET_TYPES = ['User', 'Book', 'BookCopy', 'Reservation', 'LedgerEntry', 'WaitlistEntry'];
+
+// Fields compared for each kind of target. Anything else, notably password
+// hashes and login counters, stays out of the trail.
+const TRACKED_FIELDS = {
+  User: ['isApproved', 'tier', 'roles', 'deletedAt', 'lockedUntil', 'failedLoginAttempts'],
+  Book: [
+    'title',
+    'author',
+    'publicationDate',
+    'description',
+    'isbn',
+    'genres',
+    'language',
+    'publisher',
+    'pageCount',
+    'edition',
+    'cover',
+    'deletedAt'
+  ],
+  BookCopy: ['book', 'barcode', 'condition', 'shelfLocation', 'status'],
+  Reservation: ['status', 'copy', 'startDate', 'endDate', 'deletedAt'],
+  LedgerEntry: ['user', 'reservation', 'type', 'amount', 'note'],
+  WaitlistEntry: ['book', 'user', 'position', 'status']
+};
+
+module.exports = { TARGET_TYPES, TRACKED_FIELDS };
@@ -1,4 +1,6 @@
+const config = require('./index');
+
 module.exports = {
-    database: 'mongodb://localhost/book_reservation_app',
-    secret: 'your_jwt_secret'
-  };
\ No newline at end of file
+  database: config.database.url,
+  secret: config.auth.jwtSecret
+};
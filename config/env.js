@@ -0,0 +1,41 @@
+const fs = require('fs');
+
+// Parses `KEY=value` lines as found in .env files. Blank lines and lines
+// starting with # are skipped; values may be wrapped in single or double
+// quotes, and double-quoted values understand \n.
+exports.parseEnvFile = (text) => {
+  const values = {};
+  text.split(/\r?\n/).forEach((line) => {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (!match) {
+      return;
+    }
+    let value = match[2];
+    const quote = value[0];
+    if ((quote === '"' || quote === '\'') && value.endsWith(quote) && value.length > 1) {
+      value = value.slice(1, -1);
+      if (quote === '"') {
+        value = value.replace(/\\n/g, '\n');
+      }
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    values[match[1]] = value;
+  });
+  return values;
+};
+
+// Copies the file's values into `env` without overriding variables that are
+// already set, so the real environment always wins. A missing file is fine.
+exports.loadEnvFile = (file, env = process.env) => {
+  if (!fs.existsSync(file)) {
+    return false;
+  }
+  const values = exports.parseEnvFile(fs.readFileSync(file, 'utf8'));
+  Object.keys(values).forEach((key) => {
+    if (env[key] === undefined) {
+      env[key] = values[key];
+    }
+  });
+  return true;
+};
@@ -0,0 +1,264 @@
+const os = require('os');
+const path = require('path');
+const { loadEnvFile } = require('./env');
+
+const ROOT = path.join(__dirname, '..');
+
+// Shipped in the repository, so never acceptable outside development
+const DEFAULT_SECRET = 'your_jwt_secret';
+
+// Mail transports that print or store messages locally. In production they
+// would put working reset and verification links in the logs.
+const DEV_MAIL_TRANSPORTS = ['console', 'file'];
+
+// Defaults that differ between environments; anything set in the
+// environment overrides them
+const PROFILES = {
+  development: {
+    databaseUrl: 'mongodb://localhost/book_reservation_app',
+    jwtSecret: DEFAULT_SECRET,
+    corsOrigins: '*',
+    mailTransport: 'console',
+    mailOutboxDir: path.join(ROOT, 'mail-outbox'),
+    logLevel: 'debug',
+    schedulerEnabled: true
+  },
+  test: {
+    databaseUrl: 'mongodb://localhost/book_reservation_test',
+    jwtSecret: 'test-secret',
+    corsOrigins: '*',
+    mailTransport: 'file',
+    mailOutboxDir: path.join(os.tmpdir(), 'book-reservation-mail'),
+    logLevel: 'silent',
+    schedulerEnabled: false
+  },
+  production: {
+    databaseUrl: undefined,
+    jwtSecret: undefined,
+    corsOrigins: undefined,
+    mailTransport: undefined,
+    mailOutboxDir: path.join(ROOT, 'mail-outbox'),
+    logLevel: 'info',
+    schedulerEnabled: true
+  }
+};
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n- ${problems.join('\n- ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Typed accessors over an env object that collect problems instead of
+// silently falling back when a value is malformed
+const createReader = (env, problems) => {
+  const raw = (name) => {
+    const value = env[name];
+    return value === undefined || value === '' ? undefined : value;
+  };
+  return {
+    string: (name, fallback) => {
+      const value = raw(name);
+      return value === undefined ? fallback : value;
+    },
+    required: (name, fallback) => {
+      const value = raw(name) === undefined ? fallback : raw(name);
+      if (value === undefined) {
+        problems.push(`${name} must be set`);
+      }
+      return value;
+    },
+    number: (name, fallback, { min = 0, integer = false } = {}) => {
+      const value = raw(name);
+      if (value === undefined) {
+        return fallback;
+      }
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < min || (integer && !Number.isInteger(number))) {
+        problems.push(`${name} must be ${integer ? 'a whole number' : 'a number'} of at least ${min}`);
+        return fallback;
+      }
+      return number;
+    },
+    boolean: (name, fallback) => {
+      const value = raw(name);
+      if (value === undefined) {
+        return fallback;
+      }
+      if (!['true', 'false', '1', '0'].includes(value)) {
+        problems.push(`${name} must be true or false`);
+        return fallback;
+      }
+      return value === 'true' || value === '1';
+    },
+    list: (name, fallback) =>
+      String(raw(name) === undefined ? fallback || '' : raw(name))
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean)
+  };
+};
+
+// TRUST_PROXY as Express's "trust proxy" setting: true or false, the number
+// of proxies in front of the app, or a comma separated list of proxy
+// addresses and subnets (e.g. "loopback, 10.0.0.0/8")
+const trustProxyOf = (value) => {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  return value
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Builds the settings object from an environment (process.env by default).
+ * Throws a ConfigError listing every problem, so a misconfigured server
+ * refuses to start instead of failing on the first request.
+ */
+const createConfig = (env = process.env) => {
+  const problems = [];
+  const nodeEnv = env.NODE_ENV || 'development';
+  const profile = PROFILES[nodeEnv];
+  if (!profile) {
+    throw new ConfigError([
+      `NODE_ENV must be one of ${Object.keys(PROFILES).join(', ')}, got "${nodeEnv}"`
+    ]);
+  }
+  const read = createReader(env, problems);
+
+  const jwtSecret = read.required('JWT_SECRET', profile.jwtSecret);
+  if (nodeEnv === 'production' && jwtSecret === DEFAULT_SECRET) {
+    problems.push('JWT_SECRET must not be the default secret in production');
+  }
+  const mailTransport = read.required('MAIL_TRANSPORT', profile.mailTransport);
+  if (nodeEnv === 'production' && DEV_MAIL_TRANSPORTS.includes(mailTransport)) {
+    problems.push(`MAIL_TRANSPORT must not be the ${mailTransport} transport in production`);
+  }
+  const corsOrigins = read.list('CORS_ORIGINS', profile.corsOrigins);
+  if (nodeEnv === 'production' && (corsOrigins.length === 0 || corsOrigins.includes('*'))) {
+    problems.push('CORS_ORIGINS must list the allowed origins in production');
+  }
+
+  const config = {
+    env: nodeEnv,
+    server: {
+      port: read.number('PORT', 3000, { integer: true }),
+      // How long shutdown waits for in-flight requests before cutting them off
+      shutdownTimeoutSeconds: read.number('SHUTDOWN_TIMEOUT_SECONDS', 10, { min: 1 }),
+      // Set behind a reverse proxy or load balancer so req.ip, which rate
+      // limits and login throttling key on, is the client's address
+      trustProxy: trustProxyOf(read.string('TRUST_PROXY', 'false'))
+    },
+    database: {
+      url: read.required('MONGODB_URI', profile.databaseUrl)
+    },
+    // '*' allows every origin
+    cors: {
+      origins: corsOrigins
+    },
+    auth: {
+      jwtSecret,
+      // Access tokens are short lived and renewed with a refresh token
+      accessTokenTtl: read.string('ACCESS_TOKEN_TTL', '15m'),
+      refreshTokenDays: read.number('REFRESH_TOKEN_DAYS', 30, { min: 1 }),
+      passwordResetMinutes: read.number('PASSWORD_RESET_MINUTES', 60, { min: 1 }),
+      // The reset token is appended as ?token=...
+      passwordResetUrl: read.string('PASSWORD_RESET_URL', 'http://localhost:3000/reset-password'),
+      emailVerificationHours: read.number('EMAIL_VERIFICATION_HOURS', 48, { min: 1 }),
+      // The verification token is appended as /<token>
+      emailVerificationUrl: read.string(
+        'EMAIL_VERIFICATION_URL',
+        'http://localhost:3000/api/auth/verify'
+      ),
+      // Verification emails one address may request per hour
+      verificationResendsPerHour: read.number('VERIFICATION_RESENDS_PER_HOUR', 3, {
+        min: 1,
+        integer: true
+      }),
+      // Password reset emails one address may request per hour
+      passwordResetsPerHour: read.number('PASSWORD_RESETS_PER_HOUR', 3, {
+        min: 1,
+        integer: true
+      })
+    },
+    security: {
+      // Failed logins allowed before each further attempt has to wait; the
+      // wait doubles per failure up to maxDelaySeconds
+      freeLoginAttempts: 3,
+      baseDelaySeconds: 1,
+      maxDelaySeconds: 60,
+      // Consecutive failures that lock the account, and for how long
+      lockThreshold: read.number('LOGIN_LOCK_THRESHOLD', 10, { min: 1, integer: true }),
+      lockMinutes: read.number('LOGIN_LOCK_MINUTES', 15, { min: 1 }),
+      // Failed logins from one IP, across all accounts, within the window
+      ipMaxFailures: read.number('LOGIN_IP_MAX_FAILURES', 50, { min: 1, integer: true }),
+      ipWindowMinutes: 15,
+      registrationsPerHour: read.number('REGISTRATIONS_PER_HOUR', 10, { min: 1, integer: true })
+    },
+    logging: {
+      // debug, info, warn, error or silent
+      level: read.string('LOG_LEVEL', profile.logLevel)
+    },
+    fines: {
+      // Amounts are in cents
+      dailyFee: read.number('FINE_DAILY_FEE', 50, { integer: true }),
+      maxFee: read.number('FINE_MAX_FEE', 2000, { integer: true }),
+      // Outstanding balance above which new reservations are refused
+      blockThreshold: read.number('FINE_BLOCK_THRESHOLD', 1000, { integer: true })
+    },
+    mail: {
+      // console, file or a transport passed to start() as mailTransports
+      transport: mailTransport,
+      from: read.string('MAIL_FROM', 'library@localhost'),
+      outboxDir: read.string('MAIL_OUTBOX_DIR', profile.mailOutboxDir)
+    },
+    policy: {
+      defaultTier: 'standard',
+      // Per-tier borrowing rules; lead time is counted in whole days and each
+      // renewal extends a loan by maxLoanDays
+      tiers: {
+        standard: { maxConcurrent: 3, maxLoanDays: 14, minLeadDays: 0, maxRenewals: 2 },
+        premium: { maxConcurrent: 6, maxLoanDays: 28, minLeadDays: 0, maxRenewals: 3 },
+        staff: { maxConcurrent: 10, maxLoanDays: 60, minLeadDays: 0, maxRenewals: 5 }
+      },
+      // Comma separated days or ranges, e.g. "2024-12-25,2024-12-30..2025-01-02"
+      blackoutDates: read.list('BLACKOUT_DATES')
+    },
+    scheduler: {
+      enabled: read.boolean('SCHEDULER_ENABLED', profile.schedulerEnabled),
+      intervalMinutes: read.number('SCHEDULER_INTERVAL_MINUTES', 15, { min: 1 })
+    },
+    uploads: {
+      coversDir: read.string('COVERS_DIR', path.join(ROOT, 'uploads', 'covers')),
+      maxCoverBytes: read.number('MAX_COVER_BYTES', 5 * 1024 * 1024, { min: 1, integer: true }),
+      maxImportBytes: read.number('MAX_IMPORT_BYTES', 10 * 1024 * 1024, { min: 1, integer: true })
+    },
+    waitlist: {
+      // How long a user has to claim a freed copy before it passes on
+      holdWindowHours: read.number('WAITLIST_HOLD_HOURS', 48, { min: 1 })
+    }
+  };
+
+  if (!['debug', 'info', 'warn', 'error', 'silent'].includes(config.logging.level)) {
+    problems.push('LOG_LEVEL must be one of debug, info, warn, error, silent');
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return config;
+};
+
+// ENV_FILE points at another file, e.g. for running a production build locally
+loadEnvFile(process.env.ENV_FILE || path.join(ROOT, '.env'));
+
+module.exports = createConfig();
+module.exports.createConfig = createConfig;
+module.exports.ConfigError = ConfigError;
@@ -0,0 +1,3 @@
+// Application settings, grouped by feature. They are read from the
+// environment and validated in config/index.js.
+module.exports = require('./index');
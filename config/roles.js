@@ -0,0 +1,28 @@
+// Staff roles and the permissions they grant. Members without a role can
+// still manage their own profile, reservations and waitlist entries.
+const PERMISSIONS = [
+  'books:write',
+  'reservations:read',
+  'reservations:manage',
+  'waitlist:manage',
+  'fines:manage',
+  'users:read',
+  'users:manage',
+  'roles:manage',
+  'audit:read'
+];
+
+module.exports = {
+  PERMISSIONS,
+  roles: {
+    librarian: [
+      'reservations:read',
+      'reservations:manage',
+      'waitlist:manage',
+      'fines:manage',
+      'users:read'
+    ],
+    catalogue_editor: ['books:write'],
+    superadmin: PERMISSIONS
+  }
+};
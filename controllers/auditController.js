@@ -0,0 +1,110 @@
+const AuditLog = require('../models/AuditLog');
+const csv = require('../utils/csv');
+const { DAY } = require('../utils/dateUtils');
+const { BadRequestError } = require('../utils/errors');
+
+const DEFAULT_PAGE_SIZE = 50;
+
+// Rows are capped so an unfiltered export cannot exhaust memory
+const MAX_EXPORT_ROWS = 10000;
+
+const EXPORT_COLUMNS = [
+  'createdAt',
+  'actor',
+  'actorName',
+  'action',
+  'targetType',
+  'target',
+  'before',
+  'after',
+  'requestId'
+];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Builds the Mongo filter from the validated query, or an error message.
+// `from` and `to` are both inclusive; a `to` without a time covers that
+// whole day.
+const buildFilter = (query) => {
+  const filter = {};
+  ['actor', 'targetType', 'target', 'action'].forEach((field) => {
+    if (query[field] !== undefined) {
+      filter[field] = query[field];
+    }
+  });
+  const to = query.to === undefined ? undefined : new Date(query.to);
+  if (to && isNaN(to.getTime())) {
+    return { error: 'to must be a valid date' };
+  }
+  if (query.from && to && query.from > to) {
+    return { error: 'from must not be after to' };
+  }
+  if (query.from || to) {
+    filter.createdAt = {};
+    if (query.from) {
+      filter.createdAt.$gte = query.from;
+    }
+    if (to && DATE_ONLY.test(query.to)) {
+      filter.createdAt.$lt = new Date(to.getTime() + DAY);
+    } else if (to) {
+      filter.createdAt.$lte = to;
+    }
+  }
+  return { filter };
+};
+
+const toExportRecord = (entry) => ({
+  createdAt: entry.createdAt,
+  actor: entry.actor,
+  actorName: entry.actorName,
+  action: entry.action,
+  targetType: entry.targetType,
+  target: entry.target,
+  before: entry.before ? JSON.stringify(entry.before) : '',
+  after: entry.after ? JSON.stringify(entry.after) : '',
+  requestId: entry.requestId
+});
+
+exports.getAuditLog = async (req, res, next) => {
+  try {
+    const { filter, error } = buildFilter(req.query);
+    if (error) {
+      return next(new BadRequestError(error));
+    }
+    const page = req.query.page || 1;
+    const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+    res.json({
+      entries,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.exportAuditLog = async (req, res, next) => {
+  try {
+    const { filter, error } = buildFilter(req.query);
+    if (error) {
+      return next(new BadRequestError(error));
+    }
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(MAX_EXPORT_ROWS)
+      .lean();
+    res.attachment('audit.csv');
+    res.type('text/csv').send(csv.stringify(entries.map(toExportRecord), EXPORT_COLUMNS));
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,61 +1,258 @@
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
-const config = require("../config/database");
+const library = require("../config/library");
 const { notifyAdmins } = require("../utils/notificationUtils");
+const { sendMail } = require("../utils/mailer");
+const logger = require("../utils/logger");
+const { createUserToken, consumeUserToken } = require("../utils/userTokens");
+const { sendVerificationEmail } = require("../utils/verificationEmail");
+const {
+  accountWait,
+  recordAccountFailure,
+  resetAccount,
+  ipWait,
+  recordIpFailure,
+} = require("../utils/loginThrottle");
+const {
+  startSession,
+  rotateSession,
+  signAccessToken,
+  revokeSession,
+  revokeAllSessions,
+} = require("../utils/sessionUtils");
+const {
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  TooManyRequestsError,
+} = require("../utils/errors");
 
-exports.register = async (req, res) => {
+const tooManyAttempts = (res, waitMs) => {
+  const seconds = Math.ceil(waitMs / 1000);
+  res.set("Retry-After", String(seconds));
+  return new TooManyRequestsError(
+    `Too many failed login attempts, try again in ${seconds} seconds`
+  );
+};
+
+const accountLocked = (lockedUntil) =>
+  new AppError("Account is temporarily locked after too many failed attempts", {
+    status: 423,
+    code: "LOCKED",
+    details: { lockedUntil },
+  });
+
+const PENDING_APPROVAL_MESSAGE = "Your account is pending approval";
+
+const VERIFICATION_SENT_MESSAGE =
+  "If that address has an unverified account, a verification link has been sent";
+
+const RESET_SENT_MESSAGE =
+  "If that address belongs to an account, a reset link has been sent";
+
+const clientInfo = (req) => ({
+  userAgent: req.get && req.get("user-agent"),
+  ip: req.ip,
+});
+
+exports.register = async (req, res, next) => {
   try {
     const { name, email, phoneNumber, password } = req.body;
     let user = await User.findOne({ email });
     if (user) {
-      return res.status(400).json({ message: "User already exists" });
+      return next(new BadRequestError("User already exists"));
     }
     user = new User({ name, email, phoneNumber, password, isApproved: false });
     await user.save();
+    await sendVerificationEmail(user);
 
     // Notify admins about new user registration
     await notifyAdmins(`New user registered: ${user.name}`, "new_user");
 
-    const payload = { user: { id: user.id } };
-    jwt.sign(payload, config.secret, { expiresIn: "1h" }, (err, token) => {
-      if (err) throw err;
-      res.json({ token, userId: user.id });
-    });
+    // No session yet: the account can only log in once an admin approves it
+    res.json({ message: PENDING_APPROVAL_MESSAGE, userId: user.id });
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server error");
+    next(err);
   }
 };
 
-exports.login = async (req, res) => {
+exports.login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
+    const ipWaitMs = ipWait(req.ip);
+    if (ipWaitMs > 0) {
+      return next(tooManyAttempts(res, ipWaitMs));
+    }
     let user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ message: "Invalid credentials" });
+    if (!user || user.deletedAt) {
+      recordIpFailure(req.ip);
+      return next(new BadRequestError("Invalid credentials"));
+    }
+    const { locked, waitMs } = accountWait(user);
+    if (locked) {
+      return next(accountLocked(user.lockedUntil));
+    }
+    if (waitMs > 0) {
+      return next(tooManyAttempts(res, waitMs));
     }
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
-      return res.status(400).json({ message: "Invalid credentials" });
+      recordIpFailure(req.ip);
+      const lockedUntil = await recordAccountFailure(user);
+      if (lockedUntil) {
+        return next(accountLocked(lockedUntil));
+      }
+      return next(new BadRequestError("Invalid credentials"));
+    }
+    if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+      await resetAccount(user._id);
+    }
+    if (!user.isApproved) {
+      return next(new ForbiddenError(PENDING_APPROVAL_MESSAGE));
+    }
+    const tokens = await startSession(user, clientInfo(req));
+    res.json({ ...tokens, isAdmin: user.isAdmin });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Exchanges a refresh token for a new access and refresh token pair. The
+// old refresh token stops working as soon as it has been used.
+exports.refresh = async (req, res, next) => {
+  try {
+    const rotated = await rotateSession(req.body.refreshToken);
+    if (!rotated) {
+      return next(new UnauthorizedError("Refresh token is invalid or expired"));
+    }
+    const user = await User.findById(rotated.session.user);
+    if (!user || user.deletedAt) {
+      await revokeSession(rotated.session._id);
+      return next(new UnauthorizedError("Refresh token is invalid or expired"));
     }
     if (!user.isApproved) {
-      return res
-        .status(403)
-        .json({ message: "Your account is pending approval" });
-    }
-    const payload = {
-      user: {
-        id: user.id,
-        isAdmin: user.isAdmin,
-      },
-    };
-    jwt.sign(payload, config.secret, { expiresIn: "1h" }, (err, token) => {
-      if (err) throw err;
-      res.json({ token, isAdmin: user.isAdmin });
+      await revokeSession(rotated.session._id);
+      return next(new ForbiddenError(PENDING_APPROVAL_MESSAGE));
+    }
+    res.json({
+      token: signAccessToken(user, rotated.session.id),
+      refreshToken: rotated.refreshToken,
+      isAdmin: user.isAdmin,
     });
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server error");
+    next(err);
+  }
+};
+
+exports.logout = async (req, res, next) => {
+  try {
+    await revokeSession(req.sessionId);
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Ends every session of the current user, including this one
+exports.logoutAll = async (req, res, next) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id);
+    res.json({ message: "Logged out of all devices", revoked });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Always answers the same way so the endpoint cannot be used to find out
+// which addresses have accounts
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (user && !user.deletedAt) {
+      const token = await createUserToken(
+        user._id,
+        "password_reset",
+        library.auth.passwordResetMinutes * 60 * 1000
+      );
+      try {
+        await sendMail({
+          to: user.email,
+          subject: "Reset your password",
+          text:
+            `Hi ${user.name},\n\n` +
+            "Use the link below to choose a new password. It can be used once " +
+            `and expires in ${library.auth.passwordResetMinutes} minutes.\n\n` +
+            `${library.auth.passwordResetUrl}?token=${token}\n\n` +
+            "If you did not ask for this, you can ignore this email.",
+        });
+      } catch (err) {
+        logger.error("Error sending password reset email", { err, userId: user._id });
+      }
+    }
+    res.json({ message: RESET_SENT_MESSAGE });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Sets a new password from a reset token and signs out every session
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+    const resetToken = await consumeUserToken(token, "password_reset");
+    if (!resetToken) {
+      return next(new BadRequestError("Reset token is invalid or expired"));
+    }
+    const user = await User.findById(resetToken.user);
+    if (!user || user.deletedAt) {
+      return next(new BadRequestError("Reset token is invalid or expired"));
+    }
+    user.password = password;
+    await user.save();
+    await revokeAllSessions(user._id);
+    res.json({ message: "Password has been reset" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const verification = await consumeUserToken(
+      req.params.token,
+      "email_verification"
+    );
+    if (!verification) {
+      return next(
+        new BadRequestError("Verification link is invalid or expired")
+      );
+    }
+    const user = await User.findById(verification.user);
+    if (!user || user.deletedAt) {
+      return next(
+        new BadRequestError("Verification link is invalid or expired")
+      );
+    }
+    if (!user.emailVerifiedAt) {
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+    res.json({ message: "Email address verified" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Like forgotPassword, the answer does not reveal whether the address exists
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (user && !user.deletedAt && !user.emailVerifiedAt) {
+      await sendVerificationEmail(user);
+    }
+    res.json({ message: VERIFICATION_SENT_MESSAGE });
+  } catch (err) {
+    next(err);
   }
 };
@@ -1,60 +1,391 @@
 const Book = require('../models/Book');
+const BookCopy = require('../models/BookCopy');
+const Reservation = require('../models/Reservation');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { validateBook } = require('../utils/bookValidation');
+const { validate } = require('../utils/validation');
+const schemas = require('../schemas/books');
+const { saveCover, removeCover, coverPath } = require('../utils/coverUtils');
+const { snapshot, recordAudit } = require('../utils/audit');
+const {
+  parseRange,
+  findAvailableCopies,
+  findOverlappingReservations,
+  toInterval,
+  fullyBookedIntervals,
+  findBookIdsWithFreeCopies,
+  OUTSTANDING_STATUSES
+} = require('../utils/availabilityUtils');
+const {
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+  ValidationError
+} = require('../utils/errors');
 
-exports.getBooks = async (req, res) => {
+const CALENDAR_DEFAULT_DAYS = 90;
+
+// Records an edit of `book`; `before` is null for new books, and `book` is
+// null once it has been deleted for good
+const auditBook = (req, action, target, before, book) =>
+  recordAudit(req, {
+    action,
+    targetType: 'Book',
+    target,
+    before,
+    after: snapshot('Book', book)
+  });
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const SORT_OPTIONS = {
+  title: { title: 1 },
+  '-title': { title: -1 },
+  author: { author: 1, title: 1 },
+  '-author': { author: -1, title: 1 },
+  publicationDate: { publicationDate: 1 },
+  '-publicationDate': { publicationDate: -1 },
+  newest: { createdAt: -1 },
+  relevance: { score: { $meta: 'textScore' } }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toInt = (value, fallback) => {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  return Number.isInteger(number) ? number : NaN;
+};
+
+// Turns the catalogue query string into a Mongo filter, or an error message
+const buildBookFilter = async (query) => {
+  const filter = { deletedAt: null };
+  if (query.q) {
+    filter.$text = { $search: query.q };
+  }
+  if (query.author) {
+    filter.author = { $regex: escapeRegex(query.author), $options: 'i' };
+  }
+  if (query.genre) {
+    // Genres are stored lowercase
+    filter.genres = { $in: query.genre.split(',').map((g) => g.trim().toLowerCase()) };
+  }
+  const yearFrom = toInt(query.yearFrom);
+  const yearTo = toInt(query.yearTo);
+  if (Number.isNaN(yearFrom) || Number.isNaN(yearTo)) {
+    return { error: 'Publication years must be whole numbers' };
+  }
+  if (yearFrom !== undefined || yearTo !== undefined) {
+    filter.publicationDate = {};
+    if (yearFrom !== undefined) {
+      filter.publicationDate.$gte = new Date(Date.UTC(yearFrom, 0, 1));
+    }
+    if (yearTo !== undefined) {
+      filter.publicationDate.$lt = new Date(Date.UTC(yearTo + 1, 0, 1));
+    }
+  }
+  if (query.available !== undefined) {
+    if (!['true', 'false'].includes(query.available)) {
+      return { error: 'available must be true or false' };
+    }
+    const ids = await findBookIdsWithFreeCopies();
+    filter._id = query.available === 'true' ? { $in: ids } : { $nin: ids };
+  }
+  return { filter };
+};
+
+exports.getBooks = async (req, res, next) => {
   try {
-    const books = await Book.find();
-    res.json(books);
+    const page = toInt(req.query.page, 1);
+    const limit = toInt(req.query.limit, DEFAULT_PAGE_SIZE);
+    if (!(page >= 1) || !(limit >= 1 && limit <= MAX_PAGE_SIZE)) {
+      return next(
+        new BadRequestError(`page must be at least 1 and limit between 1 and ${MAX_PAGE_SIZE}`)
+      );
+    }
+    const sortKey = req.query.sort || (req.query.q ? 'relevance' : 'title');
+    const sort = SORT_OPTIONS[sortKey];
+    if (!sort || (sortKey === 'relevance' && !req.query.q)) {
+      return next(new BadRequestError(`Unknown sort option: ${sortKey}`));
+    }
+    const { filter, error } = await buildBookFilter(req.query);
+    if (error) {
+      return next(new BadRequestError(error));
+    }
+
+    const projection = req.query.q ? { score: { $meta: 'textScore' } } : {};
+    const [books, total] = await Promise.all([
+      Book.find(filter, projection)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Book.countDocuments(filter)
+    ]);
+    res.json({
+      books,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    });
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Server Error');
+    next(err);
   }
 };
 
-exports.getBook = async (req, res) => {
+exports.getBook = async (req, res, next) => {
   try {
     const book = await Book.findById(req.params.id);
     if (!book) {
-      return res.status(404).json({ message: 'Book not found' });
+      return next(new NotFoundError('Book not found'));
     }
     res.json(book);
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Server Error');
+    next(err);
+  }
+};
+
+// Another book already using `isbn`, ignoring the book being updated
+const findIsbnDuplicate = (isbn, exceptId) => {
+  const query = { isbn };
+  if (exceptId) {
+    query._id = { $ne: exceptId };
   }
+  return Book.findOne(query);
 };
 
-exports.addBook = async (req, res) => {
+exports.addBook = async (req, res, next) => {
   try {
-    const { title, author, publicationDate, description } = req.body;
-    const newBook = new Book({
-      title,
-      author,
-      publicationDate,
-      description
-    });
+    const { values, errors } = validateBook(req.body);
+    if (errors.length > 0) {
+      return next(new ValidationError('Validation failed', errors));
+    }
+    if (values.isbn && await findIsbnDuplicate(values.isbn)) {
+      return next(new ConflictError('A book with this ISBN already exists'));
+    }
+    const newBook = new Book(values);
     const book = await newBook.save();
+    await auditBook(req, 'book.create', book._id, null, book);
     res.json(book);
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Server Error');
+    next(err);
   }
 };
 
-exports.updateBook = async (req, res) => {
+exports.updateBook = async (req, res, next) => {
   try {
-    const { title, author, publicationDate, description } = req.body;
+    const { values, errors } = validateBook(req.body, { partial: true });
+    if (errors.length > 0) {
+      return next(new ValidationError('Validation failed', errors));
+    }
     let book = await Book.findById(req.params.id);
     if (!book) {
-      return res.status(404).json({ message: 'Book not found' });
+      return next(new NotFoundError('Book not found'));
+    }
+    if (values.isbn && await findIsbnDuplicate(values.isbn, book._id)) {
+      return next(new ConflictError('A book with this ISBN already exists'));
+    }
+    const before = snapshot('Book', book);
+    Object.keys(values).forEach((field) => {
+      book[field] = values[field];
+    });
+    await book.save();
+    await auditBook(req, 'book.update', book._id, before, book);
+    res.json(book);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Partial update: only the supplied fields change, `null` clears an
+// optional field and fields outside the book schema are rejected.
+exports.patchBook = async (req, res, next) => {
+  try {
+    const { value, errors } = validate(schemas.book, req.body, { partial: true });
+    if (errors.length > 0) {
+      return next(new ValidationError('Validation failed', errors));
+    }
+    const book = await Book.findOne({ _id: req.params.id, deletedAt: null });
+    if (!book) {
+      return next(new NotFoundError('Book not found'));
+    }
+    if (value.isbn && await findIsbnDuplicate(value.isbn, book._id)) {
+      return next(new ConflictError('A book with this ISBN already exists'));
+    }
+    const before = snapshot('Book', book);
+    Object.keys(value).forEach((field) => {
+      book[field] = value[field] === null ? undefined : value[field];
+    });
+    await book.save();
+    await auditBook(req, 'book.update', book._id, before, book);
+    res.json(book);
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getArchivedBooks = async (req, res, next) => {
+  try {
+    const books = await Book.find({ deletedAt: { $ne: null } }).sort({ deletedAt: -1 });
+    res.json(books);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Archives the book, or with ?hard=true removes it and its copies for good
+// as long as no reservation for it is still outstanding
+exports.deleteBook = async (req, res, next) => {
+  try {
+    const book = await Book.findById(req.params.id);
+    if (!book) {
+      return next(new NotFoundError('Book not found'));
+    }
+    if (req.query.hard === 'true') {
+      const activeReservations = await Reservation.countDocuments({
+        book: book._id,
+        status: { $in: OUTSTANDING_STATUSES }
+      });
+      if (activeReservations > 0) {
+        return next(
+          new ConflictError('Book has active reservations and cannot be deleted', {
+            activeReservations
+          })
+        );
+      }
+      await BookCopy.deleteMany({ book: book._id });
+      await WaitlistEntry.deleteMany({ book: book._id });
+      if (book.cover) {
+        await removeCover(book.cover);
+      }
+      await Book.deleteOne({ _id: book._id });
+      await auditBook(req, 'book.delete', book._id, snapshot('Book', book), null);
+      return res.json({ message: 'Book deleted permanently' });
     }
-    book.title = title || book.title;
-    book.author = author || book.author;
-    book.publicationDate = publicationDate || book.publicationDate;
-    book.description = description || book.description;
+    if (book.deletedAt) {
+      return next(new BadRequestError('Book is already archived'));
+    }
+    const before = snapshot('Book', book);
+    book.deletedAt = new Date();
     await book.save();
+    await auditBook(req, 'book.archive', book._id, before, book);
     res.json(book);
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Server Error');
+    next(err);
+  }
+};
+
+exports.restoreBook = async (req, res, next) => {
+  try {
+    const book = await Book.findById(req.params.id);
+    if (!book) {
+      return next(new NotFoundError('Book not found'));
+    }
+    if (!book.deletedAt) {
+      return next(new BadRequestError('Book is not archived'));
+    }
+    const before = snapshot('Book', book);
+    book.deletedAt = null;
+    await book.save();
+    await auditBook(req, 'book.restore', book._id, before, book);
+    res.json(book);
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.uploadCover = async (req, res, next) => {
+  try {
+    const book = await Book.findById(req.params.id);
+    if (!book) {
+      return next(new NotFoundError('Book not found'));
+    }
+    const before = snapshot('Book', book);
+    const { filename, thumbnail } = await saveCover(book._id, req.file.buffer);
+    book.cover = { filename, thumbnail, uploadedAt: new Date() };
+    await book.save();
+    await auditBook(req, 'book.cover', book._id, before, book);
+    res.json(book);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Serves the thumbnail by default, or the full image with ?size=full
+exports.getCover = async (req, res, next) => {
+  try {
+    const book = await Book.findById(req.params.id);
+    if (!book) {
+      return next(new NotFoundError('Book not found'));
+    }
+    if (!book.cover) {
+      return next(new NotFoundError('Book has no cover image'));
+    }
+    const filename = req.query.size === 'full' ? book.cover.filename : book.cover.thumbnail;
+    // The file can be gone while the book still points at it, e.g. after the
+    // covers directory was cleared
+    res.sendFile(coverPath(filename), (err) => {
+      if (!err) {
+        return;
+      }
+      if (err.code === 'ENOENT' || err.status === 404) {
+        return next(new NotFoundError('Book has no cover image'));
+      }
+      next(err);
+    });
+  } catch (err) {
+    next(err);
   }
-};
\ No newline at end of file
+};
+
+exports.getAvailability = async (req, res, next) => {
+  try {
+    const range = parseRange(req.query.startDate, req.query.endDate);
+    if (!range || range.end < range.start) {
+      return next(new BadRequestError('Invalid date range'));
+    }
+    const book = await Book.findById(req.params.id);
+    if (!book) {
+      return next(new NotFoundError('Book not found'));
+    }
+    const totalCopies = await BookCopy.countDocuments({ book: book._id, status: 'active' });
+    const available = await findAvailableCopies(book._id, range.start, range.end);
+    res.json({
+      book: book._id,
+      startDate: range.start,
+      endDate: range.end,
+      totalCopies,
+      availableCopies: available.length
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getCalendar = async (req, res, next) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + CALENDAR_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || to < from) {
+      return next(new BadRequestError('Invalid date range'));
+    }
+    const book = await Book.findById(req.params.id);
+    if (!book) {
+      return next(new NotFoundError('Book not found'));
+    }
+    const totalCopies = await BookCopy.countDocuments({ book: book._id, status: 'active' });
+    const reservations = await findOverlappingReservations(book._id, from, to);
+    const bookings = reservations.map(toInterval);
+    const unavailable = totalCopies > 0
+      ? fullyBookedIntervals(bookings, totalCopies)
+      : [{ startDate: from, endDate: to }];
+    res.json({ book: book._id, from, to, totalCopies, bookings, unavailable });
+  } catch (err) {
+    next(err);
+  }
+};
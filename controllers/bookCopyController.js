@@ -0,0 +1,67 @@
+const Book = require('../models/Book');
+const BookCopy = require('../models/BookCopy');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+// Records a change to `copy`; `before` is null for new copies
+const auditCopy = (req, action, before, copy) =>
+  recordAudit(req, {
+    action,
+    targetType: 'BookCopy',
+    target: copy._id,
+    before,
+    after: snapshot('BookCopy', copy)
+  });
+
+exports.getCopies = async (req, res, next) => {
+  try {
+    const copies = await BookCopy.find({ book: req.params.id });
+    res.json(copies);
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.addCopy = async (req, res, next) => {
+  try {
+    const { barcode, condition, shelfLocation } = req.body;
+    const book = await Book.findById(req.params.id);
+    if (!book) {
+      return next(new NotFoundError('Book not found'));
+    }
+    const existing = await BookCopy.findOne({ barcode });
+    if (existing) {
+      return next(new ConflictError('Barcode already in use'));
+    }
+    const newCopy = new BookCopy({
+      book: book._id,
+      barcode,
+      condition,
+      shelfLocation
+    });
+    const copy = await newCopy.save();
+    await auditCopy(req, 'copy.create', null, copy);
+    res.json(copy);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Changes only the fields in the (validated) body; null clears a field
+exports.updateCopy = async (req, res, next) => {
+  try {
+    const copy = await BookCopy.findOne({ _id: req.params.copyId, book: req.params.id });
+    if (!copy) {
+      return next(new NotFoundError('Copy not found'));
+    }
+    const before = snapshot('BookCopy', copy);
+    Object.keys(req.body).forEach((field) => {
+      copy[field] = req.body[field] === null ? undefined : req.body[field];
+    });
+    await copy.save();
+    await auditCopy(req, 'copy.update', before, copy);
+    res.json(copy);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,144 @@
+const path = require('path');
+const Book = require('../models/Book');
+const csv = require('../utils/csv');
+const { validateBook } = require('../utils/bookValidation');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { BadRequestError } = require('../utils/errors');
+
+const EXPORT_COLUMNS = [
+  'isbn',
+  'title',
+  'author',
+  'publicationDate',
+  'description',
+  'genres',
+  'language',
+  'publisher',
+  'pageCount',
+  'edition'
+];
+
+// Works out the upload format from ?format, then the file name
+const detectFormat = (req) => {
+  if (req.query.format) {
+    return req.query.format;
+  }
+  const extension = path.extname(req.file.originalname || '').slice(1).toLowerCase();
+  return extension || (req.file.mimetype === 'application/json' ? 'json' : 'csv');
+};
+
+const readRecords = (format, text) => {
+  if (format === 'csv') {
+    return csv.parse(text);
+  }
+  const records = JSON.parse(text);
+  if (!Array.isArray(records)) {
+    throw new SyntaxError('JSON import must be an array of books');
+  }
+  return records;
+};
+
+// Imports books row by row, creating new ones and updating those whose
+// ISBN already exists. With ?dryRun=true nothing is written and the report
+// says what would have happened.
+exports.importBooks = async (req, res, next) => {
+  try {
+    const format = detectFormat(req);
+    if (!['csv', 'json'].includes(format)) {
+      return next(new BadRequestError('Format must be csv or json'));
+    }
+    let records;
+    try {
+      records = readRecords(format, req.file.buffer.toString('utf8'));
+    } catch (err) {
+      return next(new BadRequestError(`Could not parse file: ${err.message}`));
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+    const seenIsbns = new Set();
+    const rows = [];
+    for (let i = 0; i < records.length; i++) {
+      // Row numbers match the file: CSV line 1 is the header
+      const row = format === 'csv' ? i + 2 : i + 1;
+      const record = records[i];
+      const { values, errors } = record && typeof record === 'object'
+        ? validateBook(record)
+        : { errors: [{ field: null, message: 'Row must be an object' }] };
+      if (values && values.isbn) {
+        if (seenIsbns.has(values.isbn)) {
+          errors.push({ field: 'isbn', message: 'isbn appears more than once in this file' });
+        }
+        seenIsbns.add(values.isbn);
+      }
+      if (errors.length > 0) {
+        rows.push({ row, status: 'error', errors });
+        continue;
+      }
+
+      const existing = values.isbn ? await Book.findOne({ isbn: values.isbn }) : null;
+      const status = existing ? 'updated' : 'created';
+      if (!dryRun) {
+        const book = existing || new Book();
+        const before = existing ? snapshot('Book', existing) : null;
+        Object.keys(values).forEach((field) => {
+          book[field] = values[field];
+        });
+        await book.save();
+        await recordAudit(req, {
+          action: `book.import.${existing ? 'update' : 'create'}`,
+          targetType: 'Book',
+          target: book._id,
+          before,
+          after: snapshot('Book', book)
+        });
+      }
+      rows.push({ row, status, isbn: values.isbn });
+    }
+
+    const count = (status) => rows.filter((r) => r.status === status).length;
+    res.json({
+      dryRun,
+      total: rows.length,
+      created: count('created'),
+      updated: count('updated'),
+      failed: count('error'),
+      rows
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const toExportRecord = (book) => ({
+  isbn: book.isbn,
+  title: book.title,
+  author: book.author,
+  publicationDate: book.publicationDate
+    ? book.publicationDate.toISOString().slice(0, 10)
+    : undefined,
+  description: book.description,
+  genres: (book.genres || []).join(','),
+  language: book.language,
+  publisher: book.publisher,
+  pageCount: book.pageCount,
+  edition: book.edition
+});
+
+exports.exportBooks = async (req, res, next) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['csv', 'json'].includes(format)) {
+      return next(new BadRequestError('Format must be csv or json'));
+    }
+    const books = await Book.find({ deletedAt: null }).sort({ title: 1 });
+    const records = books.map(toExportRecord);
+    res.attachment(`books.${format}`);
+    if (format === 'csv') {
+      res.type('text/csv').send(csv.stringify(records, EXPORT_COLUMNS));
+    } else {
+      res.json(records);
+    }
+  } catch (err) {
+    next(err);
+  }
+};
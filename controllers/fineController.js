@@ -0,0 +1,72 @@
+const User = require('../models/User');
+const LedgerEntry = require('../models/LedgerEntry');
+const { createNotification } = require('../utils/notificationUtils');
+const { balanceOf, formatAmount } = require('../utils/fineUtils');
+const { hasPermission } = require('../utils/permissions');
+const { snapshot, recordAudit } = require('../utils/audit');
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError
+} = require('../utils/errors');
+
+exports.getUserFines = async (req, res, next) => {
+  try {
+    if (req.params.id !== req.user.id && !hasPermission(req.user, 'fines:manage')) {
+      return next(new ForbiddenError('Not authorized to view these fines'));
+    }
+    const entries = await LedgerEntry.find({ user: req.params.id }).sort({ createdAt: -1 });
+    res.json({ balance: balanceOf(entries), entries });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Shared by payments and waivers, which both lower the balance
+const recordCredit = async (req, res, next, type) => {
+  try {
+    const amount = Number(req.body.amount);
+    const { note, reservationId } = req.body;
+    if (!Number.isInteger(amount) || amount <= 0) {
+      return next(new BadRequestError('Amount must be a positive number of cents'));
+    }
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return next(new NotFoundError('User not found'));
+    }
+    const balance = balanceOf(await LedgerEntry.find({ user: user._id }));
+    if (amount > balance) {
+      return next(new BadRequestError('Amount exceeds the outstanding balance', { balance }));
+    }
+    const newEntry = new LedgerEntry({
+      user: user._id,
+      reservation: reservationId,
+      type,
+      amount,
+      note,
+      recordedBy: req.user.id
+    });
+    const entry = await newEntry.save();
+    await recordAudit(req, {
+      action: `fine.${type}`,
+      targetType: 'LedgerEntry',
+      target: entry._id,
+      after: snapshot('LedgerEntry', entry)
+    });
+
+    const verb = type === 'payment' ? 'received' : 'waived';
+    await createNotification(
+      user._id,
+      `${formatAmount(amount)} of your fines has been ${verb}`,
+      'fine'
+    );
+
+    res.json({ balance: balance - amount, entry });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.recordPayment = (req, res, next) => recordCredit(req, res, next, 'payment');
+
+exports.waiveFine = (req, res, next) => recordCredit(req, res, next, 'waiver');
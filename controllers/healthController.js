@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { registry } = require('../utils/appMetrics');
+const { CONTENT_TYPE } = require('../utils/metrics');
+
+const CONNECTION_STATES = {
+  0: 'disconnected',
+  1: 'connected',
+  2: 'connecting',
+  3: 'disconnecting'
+};
+
+// Liveness: the process is up and serving requests
+exports.healthz = (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+};
+
+// Readiness: traffic should only be routed here while MongoDB is connected
+exports.readyz = (req, res) => {
+  const state = mongoose.connection.readyState;
+  const database = CONNECTION_STATES[state] || 'unknown';
+  if (state !== 1) {
+    // Answered here rather than by the error handler, which would log every
+    // failed probe as a server error
+    return res.status(503).json({
+      status: 'unavailable',
+      database,
+      code: 'SERVICE_UNAVAILABLE',
+      requestId: req.id
+    });
+  }
+  res.json({ status: 'ready', database });
+};
+
+exports.metrics = async (req, res, next) => {
+  try {
+    res.set('Content-Type', CONTENT_TYPE).send(await registry.render());
+  } catch (err) {
+    next(err);
+  }
+};
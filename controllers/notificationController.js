@@ -1,4 +1,5 @@
 const Notification = require('../models/Notification');
+const logger = require('../utils/logger');
 
 exports.createNotification = async (userId, message, type) => {
   try {
@@ -9,16 +10,15 @@ exports.createNotification = async (userId, message, type) => {
     });
     await notification.save();
   } catch (err) {
-    console.error('Error creating notification:', err);
+    logger.error('Error creating notification', { err, userId, type });
   }
 };
 
-exports.getNotifications = async (req, res) => {
+exports.getNotifications = async (req, res, next) => {
   try {
     const notifications = await Notification.find({ user: req.user.id }).sort({ createdAt: -1 });
     res.json(notifications);
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Server Error');
+    next(err);
   }
 };
\ No newline at end of file
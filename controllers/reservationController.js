@@ -4,13 +4,89 @@ const {
   createNotification,
   notifyAdmins,
 } = require("../utils/notificationUtils");
+const {
+  parseRange,
+  checkAvailability,
+  ACTIVE_STATUSES,
+  OUTSTANDING_STATUSES,
+} = require("../utils/availabilityUtils");
+const {
+  offerNextHold,
+  countActiveHolds,
+} = require("../utils/waitlistUtils");
+const {
+  STATUSES,
+  RELEASING_STATUSES,
+  canTransition,
+  applyTransition,
+  describeStatus,
+} = require("../utils/reservationLifecycle");
+const { accrueLateFee } = require("../utils/fineUtils");
+const { hasPermission } = require("../utils/permissions");
+const {
+  checkReservationPolicy,
+  checkRenewalPolicy,
+} = require("../utils/borrowingPolicy");
+const { snapshot, recordAudit } = require("../utils/audit");
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PolicyError,
+} = require("../utils/errors");
 
-exports.createReservation = async (req, res) => {
+// Records a change made to a reservation by staff
+const auditReservation = (req, action, before, reservation) =>
+  recordAudit(req, {
+    action,
+    targetType: "Reservation",
+    target: reservation._id,
+    before,
+    after: snapshot("Reservation", reservation),
+  });
+
+exports.createReservation = async (req, res, next) => {
   try {
     const { bookId, startDate, endDate } = req.body;
+    const range = startDate ? parseRange(startDate, endDate) : null;
+    if (!range) {
+      return next(new BadRequestError("Invalid reservation dates"));
+    }
+    if (range.end < range.start) {
+      return next(new BadRequestError("End date cannot be before start date"));
+    }
+    const reasons = await checkReservationPolicy(
+      req.user.id,
+      range.start,
+      range.end
+    );
+    if (reasons.length > 0) {
+      return next(
+        new PolicyError(
+          "Reservation does not meet the borrowing policy",
+          reasons
+        )
+      );
+    }
     const book = await Book.findById(bookId);
-    if (!book) {
-      return res.status(404).json({ message: "Book not found" });
+    if (!book || book.deletedAt) {
+      return next(new NotFoundError("Book not found"));
+    }
+    const { copies, conflicts } = await checkAvailability(
+      book._id,
+      range.start,
+      range.end
+    );
+    // Copies held for waitlisted users are not up for grabs
+    const held = await countActiveHolds(book._id, req.user.id);
+    if (copies.length <= held) {
+      return next(
+        new ConflictError(
+          "Book is not available for the requested dates",
+          { conflicts }
+        )
+      );
     }
     const newReservation = new Reservation({
       user: req.user.id,
@@ -29,67 +105,271 @@ exports.createReservation = async (req, res) => {
 
     res.json(reservation);
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server Error");
+    next(err);
   }
 };
 
-exports.updateReservationStatus = async (req, res) => {
+// Moves a reservation to `status`, enforcing the lifecycle rules. With
+// `allowOwner`, non-admins may act on their own pending reservations.
+const changeStatus = async (req, res, next, status, { allowOwner = false } = {}) => {
   try {
-    const { status } = req.body;
     const reservation = await Reservation.findById(req.params.id).populate(
       "book",
       "title"
     );
     if (!reservation) {
-      return res.status(404).json({ message: "Reservation not found" });
+      return next(new NotFoundError("Reservation not found"));
+    }
+
+    const isStaff = hasPermission(req.user, "reservations:manage");
+    if (!isStaff) {
+      if (!allowOwner || reservation.user.toString() !== req.user.id) {
+        return next(
+          new ForbiddenError("Not authorized to modify this reservation")
+        );
+      }
+      if (reservation.status !== "pending") {
+        return next(
+          new ConflictError("Only pending reservations can be cancelled")
+        );
+      }
+    }
+
+    if (!STATUSES.includes(status)) {
+      return next(new BadRequestError("Invalid reservation status"));
+    }
+    if (!canTransition(reservation.status, status)) {
+      return next(
+        new ConflictError(
+          `Cannot change reservation from ${reservation.status} to ${status}`
+        )
+      );
+    }
+
+    if (status === "approved") {
+      const reasons = await checkReservationPolicy(
+        reservation.user,
+        reservation.startDate,
+        reservation.endDate || reservation.startDate,
+        reservation._id
+      );
+      if (reasons.length > 0) {
+        return next(
+          new PolicyError(
+            "Reservation does not meet the borrowing policy",
+            reasons
+          )
+        );
+      }
+      const { copies, conflicts } = await checkAvailability(
+        reservation.book._id,
+        reservation.startDate,
+        reservation.endDate || reservation.startDate,
+        reservation._id
+      );
+      const held = await countActiveHolds(reservation.book._id, reservation.user);
+      if (copies.length <= held) {
+        return next(
+          new ConflictError(
+            "No copies available for the requested dates",
+            { conflicts }
+          )
+        );
+      }
+      reservation.copy = copies[0]._id;
     }
 
-    reservation.status = status;
+    const before = snapshot("Reservation", reservation);
+    const heldCopy = ACTIVE_STATUSES.includes(reservation.status);
+    applyTransition(reservation, status);
     await reservation.save();
+    if (isStaff) {
+      await auditReservation(req, `reservation.${status}`, before, reservation);
+    }
+
+    if (status === "returned") {
+      await accrueLateFee(reservation);
+    }
 
     // Notify user about reservation status change
     await createNotification(
       reservation.user,
-      `Your reservation for "${reservation.book.title}" has been ${status}`,
+      `Your reservation for "${reservation.book.title}" has been ${describeStatus(status)}`,
       "reservation_status"
     );
 
+    // A freed copy goes to the next person on the waitlist. Pending
+    // reservations never held one, so rejecting or cancelling them frees none.
+    if (heldCopy && RELEASING_STATUSES.includes(status)) {
+      await offerNextHold(reservation.book);
+    }
+
+    res.json(reservation);
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.updateReservationStatus = (req, res, next) =>
+  changeStatus(req, res, next, req.body.status);
+
+exports.approveReservation = (req, res, next) =>
+  changeStatus(req, res, next, "approved");
+
+exports.rejectReservation = (req, res, next) =>
+  changeStatus(req, res, next, "rejected");
+
+exports.cancelReservation = (req, res, next) =>
+  changeStatus(req, res, next, "cancelled", { allowOwner: true });
+
+exports.checkOutReservation = (req, res, next) =>
+  changeStatus(req, res, next, "checked_out");
+
+exports.returnReservation = (req, res, next) =>
+  changeStatus(req, res, next, "returned");
+
+exports.markReservationOverdue = (req, res, next) =>
+  changeStatus(req, res, next, "overdue");
+
+exports.renewReservation = async (req, res, next) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id).populate(
+      "book",
+      "title"
+    );
+    if (!reservation) {
+      return next(new NotFoundError("Reservation not found"));
+    }
+    if (
+      reservation.user.toString() !== req.user.id &&
+      !hasPermission(req.user, "reservations:manage")
+    ) {
+      return next(
+        new ForbiddenError("Not authorized to modify this reservation")
+      );
+    }
+
+    const { previousEndDate, newEndDate, reasons } = await checkRenewalPolicy(
+      reservation
+    );
+    if (reasons.length > 0) {
+      await createNotification(
+        reservation.user,
+        `Your renewal of "${reservation.book.title}" was refused: ${reasons
+          .map((r) => r.message)
+          .join("; ")}`,
+        "renewal"
+      );
+      return next(
+        new ConflictError("Reservation cannot be renewed", { reasons })
+      );
+    }
+
+    const before = snapshot("Reservation", reservation);
+    reservation.renewals.push({
+      previousEndDate,
+      newEndDate,
+      renewedBy: req.user.id,
+    });
+    reservation.endDate = newEndDate;
+    // The extended loan gets its own due-date reminder
+    reservation.dueReminderSentAt = null;
+    await reservation.save();
+    // Only renewing someone else's loan takes staff permissions
+    if (reservation.user.toString() !== req.user.id) {
+      await auditReservation(req, "reservation.renew", before, reservation);
+    }
+
+    await createNotification(
+      reservation.user,
+      `Your loan of "${reservation.book.title}" has been renewed until ${newEndDate.toDateString()}`,
+      "renewal"
+    );
+
+    res.json(reservation);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Soft-deletes a finished reservation; outstanding ones must be cancelled,
+// rejected or returned first so they do not keep holding a copy
+exports.deleteReservation = async (req, res, next) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id);
+    if (!reservation) {
+      return next(new NotFoundError("Reservation not found"));
+    }
+    if (OUTSTANDING_STATUSES.includes(reservation.status)) {
+      return next(
+        new ConflictError("Only finished reservations can be deleted")
+      );
+    }
+    if (reservation.deletedAt) {
+      return next(new BadRequestError("Reservation is already deleted"));
+    }
+    const before = snapshot("Reservation", reservation);
+    reservation.deletedAt = new Date();
+    await reservation.save();
+    await auditReservation(req, "reservation.delete", before, reservation);
+    res.json({ message: "Reservation deleted successfully" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.restoreReservation = async (req, res, next) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id);
+    if (!reservation) {
+      return next(new NotFoundError("Reservation not found"));
+    }
+    if (!reservation.deletedAt) {
+      return next(new BadRequestError("Reservation is not deleted"));
+    }
+    const before = snapshot("Reservation", reservation);
+    reservation.deletedAt = null;
+    await reservation.save();
+    await auditReservation(req, "reservation.restore", before, reservation);
     res.json(reservation);
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server Error");
+    next(err);
   }
 };
 
-exports.getReservations = async (req, res) => {
+exports.getReservations = async (req, res, next) => {
   try {
-    const reservations = await Reservation.find()
+    const filter =
+      req.query && req.query.includeDeleted === "true"
+        ? {}
+        : { deletedAt: null };
+    const reservations = await Reservation.find(filter)
       .populate("user", "name")
       .populate("book", "title");
     res.json(reservations);
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server Error");
+    next(err);
   }
 };
 
-exports.getReservation = async (req, res) => {
+exports.getReservation = async (req, res, next) => {
   try {
     const reservation = await Reservation.findById(req.params.id)
       .populate("user", "name")
       .populate("book", "title");
     if (!reservation) {
-      return res.status(404).json({ message: "Reservation not found" });
+      return next(new NotFoundError("Reservation not found"));
     }
-    if (reservation.user._id.toString() !== req.user.id && !req.user.isAdmin) {
-      return res
-        .status(403)
-        .json({ message: "Not authorized to view this reservation" });
+    if (
+      reservation.user._id.toString() !== req.user.id &&
+      !hasPermission(req.user, "reservations:read")
+    ) {
+      return next(
+        new ForbiddenError("Not authorized to view this reservation")
+      );
     }
     res.json(reservation);
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server Error");
+    next(err);
   }
 };
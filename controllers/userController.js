@@ -1,61 +1,269 @@
 const User = require("../models/User");
+const library = require("../config/library");
+const { roles } = require("../config/roles");
+const { validate } = require("../utils/validation");
+const bcrypt = require("bcryptjs");
+const { resetAccount } = require("../utils/loginThrottle");
+const { sendVerificationEmail } = require("../utils/verificationEmail");
+const {
+  revokeAllSessions,
+  revokeOtherSessions,
+} = require("../utils/sessionUtils");
+const schemas = require("../schemas/users");
+const { snapshot, recordAudit } = require("../utils/audit");
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+} = require("../utils/errors");
 
-exports.getUser = async (req, res) => {
+// Records an admin action on `user`, given its snapshot from before
+const auditUser = (req, action, before, user) =>
+  recordAudit(req, {
+    action,
+    targetType: "User",
+    target: user._id,
+    before,
+    after: snapshot("User", user),
+  });
+
+exports.getUser = async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id).select("-password");
     if (!user) {
-      return res.status(404).json({ message: "User not found" });
+      return next(new NotFoundError("User not found"));
     }
     res.json(user);
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server Error");
+    next(err);
   }
 };
 
-exports.updateUser = async (req, res) => {
+exports.updateUser = async (req, res, next) => {
   try {
     const { name, phoneNumber } = req.body;
     const user = await User.findById(req.params.id);
     if (!user) {
-      return res.status(404).json({ message: "User not found" });
+      return next(new NotFoundError("User not found"));
     }
     if (user._id.toString() !== req.user.id) {
-      return res
-        .status(403)
-        .json({ message: "Not authorized to update this user" });
+      return next(new ForbiddenError("Not authorized to update this user"));
     }
     user.name = name || user.name;
     user.phoneNumber = phoneNumber || user.phoneNumber;
     await user.save();
     res.json(user);
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server Error");
+    next(err);
+  }
+};
+
+// Partial profile update. Only the profile fields may be changed here, so
+// attempts to set isAdmin, password or tier are rejected outright.
+exports.patchUser = async (req, res, next) => {
+  try {
+    if (req.params.id !== req.user.id) {
+      return next(new ForbiddenError("Not authorized to update this user"));
+    }
+    const { value, errors } = validate(schemas.profile, req.body, {
+      partial: true,
+    });
+    if (errors.length > 0) {
+      return next(new ValidationError("Validation failed", errors));
+    }
+    const user = await User.findOne({ _id: req.params.id, deletedAt: null });
+    if (!user) {
+      return next(new NotFoundError("User not found"));
+    }
+    if (value.email && value.email !== user.email) {
+      const taken = await User.findOne({
+        email: value.email,
+        _id: { $ne: user._id },
+      });
+      if (taken) {
+        return next(new ConflictError("Email is already in use"));
+      }
+    }
+    const emailChanged = value.email !== undefined && value.email !== user.email;
+    Object.assign(user, value);
+    // A new address has to be confirmed again before it is trusted
+    if (emailChanged) {
+      user.emailVerifiedAt = null;
+    }
+    await user.save();
+    if (emailChanged) {
+      await sendVerificationEmail(user);
+    }
+    const result = user.toObject();
+    delete result.password;
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Other devices are signed out; the session making the change stays open
+exports.changePassword = async (req, res, next) => {
+  try {
+    if (req.params.id !== req.user.id) {
+      return next(new ForbiddenError("Not authorized to change this password"));
+    }
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.params.id);
+    if (!user || user.deletedAt) {
+      return next(new NotFoundError("User not found"));
+    }
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return next(new BadRequestError("Current password is incorrect"));
+    }
+    user.password = newPassword;
+    await user.save();
+    await revokeOtherSessions(user._id, req.sessionId);
+    res.json({ message: "Password changed successfully" });
+  } catch (err) {
+    next(err);
   }
 };
 
-exports.approveUser = async (req, res) => {
+exports.approveUser = async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) {
-      return res.status(404).json({ message: "User not found" });
+      return next(new NotFoundError("User not found"));
     }
+    if (!user.emailVerifiedAt) {
+      return next(
+        new ConflictError("User has not verified their email address")
+      );
+    }
+    const before = snapshot("User", user);
     user.isApproved = true;
     await user.save();
+    await auditUser(req, "user.approve", before, user);
     res.json({ message: "User approved successfully" });
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server Error");
+    next(err);
   }
 };
 
-exports.getAllUsers = async (req, res) => {
+exports.setUserTier = async (req, res, next) => {
   try {
-    const users = await User.find().select("-password");
+    const { tier } = req.body;
+    if (!library.policy.tiers[tier]) {
+      return next(new BadRequestError("Unknown borrowing tier"));
+    }
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return next(new NotFoundError("User not found"));
+    }
+    const before = snapshot("User", user);
+    user.tier = tier;
+    await user.save();
+    await auditUser(req, "user.tier", before, user);
+    res.json({ message: "User tier updated successfully", tier });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Lifts a login lockout and clears the failed attempt count
+exports.unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user || user.deletedAt) {
+      return next(new NotFoundError("User not found"));
+    }
+    const before = snapshot("User", user);
+    await resetAccount(user._id);
+    // Mirror what resetAccount wrote so the entry shows the change
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = null;
+    await auditUser(req, "user.unlock", before, user);
+    res.json({ message: "User unlocked successfully" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getRoles = (req, res) => {
+  res.json(roles);
+};
+
+exports.setUserRoles = async (req, res, next) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return next(new BadRequestError("You cannot change your own roles"));
+    }
+    const user = await User.findById(req.params.id);
+    if (!user || user.deletedAt) {
+      return next(new NotFoundError("User not found"));
+    }
+    const before = snapshot("User", user);
+    user.roles = req.body.roles;
+    await user.save();
+    await auditUser(req, "user.roles", before, user);
+    res.json({ message: "User roles updated successfully", roles: user.roles });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.deleteUser = async (req, res, next) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return next(new BadRequestError("You cannot delete your own account"));
+    }
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return next(new NotFoundError("User not found"));
+    }
+    if (user.deletedAt) {
+      return next(new BadRequestError("User is already deleted"));
+    }
+    const before = snapshot("User", user);
+    user.deletedAt = new Date();
+    await user.save();
+    await revokeAllSessions(user._id);
+    await auditUser(req, "user.delete", before, user);
+    res.json({ message: "User deleted successfully" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.restoreUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return next(new NotFoundError("User not found"));
+    }
+    if (!user.deletedAt) {
+      return next(new BadRequestError("User is not deleted"));
+    }
+    const before = snapshot("User", user);
+    user.deletedAt = null;
+    await user.save();
+    await auditUser(req, "user.restore", before, user);
+    res.json({ message: "User restored successfully" });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getAllUsers = async (req, res, next) => {
+  try {
+    const query = req.query || {};
+    const filter = query.includeDeleted === "true" ? {} : { deletedAt: null };
+    if (query.verified !== undefined) {
+      filter.emailVerifiedAt =
+        query.verified === "true" ? { $ne: null } : null;
+    }
+    const users = await User.find(filter).select("-password");
     res.json(users);
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server Error");
+    next(err);
   }
 };
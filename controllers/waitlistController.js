@@ -0,0 +1,203 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Reservation = require('../models/Reservation');
+const Book = require('../models/Book');
+const { notifyAdmins } = require('../utils/notificationUtils');
+const { parseRange, checkAvailability } = require('../utils/availabilityUtils');
+const {
+  OPEN_STATUSES,
+  nextPosition,
+  offerNextHold,
+  countActiveHolds,
+} = require('../utils/waitlistUtils');
+const { checkReservationPolicy } = require('../utils/borrowingPolicy');
+const { hasPermission } = require('../utils/permissions');
+const { snapshot, recordAudit } = require('../utils/audit');
+const {
+  AppError,
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PolicyError
+} = require('../utils/errors');
+
+exports.joinWaitlist = async (req, res, next) => {
+  try {
+    const { bookId } = req.body;
+    const book = await Book.findById(bookId);
+    if (!book || book.deletedAt) {
+      return next(new NotFoundError('Book not found'));
+    }
+    const existing = await WaitlistEntry.findOne({
+      book: book._id,
+      user: req.user.id,
+      status: { $in: OPEN_STATUSES },
+    });
+    if (existing) {
+      return next(new BadRequestError('Already on the waitlist for this book'));
+    }
+    const newEntry = new WaitlistEntry({
+      book: book._id,
+      user: req.user.id,
+      position: await nextPosition(book._id),
+    });
+    const entry = await newEntry.save();
+    res.json(entry);
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getMyWaitlist = async (req, res, next) => {
+  try {
+    const entries = await WaitlistEntry.find({
+      user: req.user.id,
+      status: { $in: OPEN_STATUSES },
+    }).populate('book', 'title');
+    res.json(entries);
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.leaveWaitlist = async (req, res, next) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id).populate('book', 'title');
+    if (!entry || !OPEN_STATUSES.includes(entry.status)) {
+      return next(new NotFoundError('Waitlist entry not found'));
+    }
+    if (entry.user.toString() !== req.user.id && !hasPermission(req.user, 'waitlist:manage')) {
+      return next(new ForbiddenError('Not authorized to modify this waitlist entry'));
+    }
+    const wasOffered = entry.status === 'offered';
+    entry.status = 'cancelled';
+    await entry.save();
+    // A declined offer frees the held copy for the next person
+    if (wasOffered) {
+      await offerNextHold(entry.book);
+    }
+    res.json({ message: 'Removed from waitlist' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.claimHold = async (req, res, next) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id).populate('book', 'title');
+    if (!entry) {
+      return next(new NotFoundError('Waitlist entry not found'));
+    }
+    if (entry.user.toString() !== req.user.id) {
+      return next(new ForbiddenError('Not authorized to claim this hold'));
+    }
+    if (entry.status !== 'offered') {
+      return next(new BadRequestError('No copy is being held for you'));
+    }
+    if (entry.holdExpiresAt <= new Date()) {
+      entry.status = 'expired';
+      await entry.save();
+      await offerNextHold(entry.book);
+      return next(new AppError('Your hold has expired', { status: 410, code: 'GONE' }));
+    }
+
+    const { startDate, endDate } = req.body;
+    const range = parseRange(startDate, endDate);
+    if (!range || range.end < range.start) {
+      return next(new BadRequestError('Invalid reservation dates'));
+    }
+    const reasons = await checkReservationPolicy(req.user.id, range.start, range.end);
+    if (reasons.length > 0) {
+      return next(
+        new PolicyError('Reservation does not meet the borrowing policy', reasons)
+      );
+    }
+    const { copies, conflicts } = await checkAvailability(
+      entry.book._id,
+      range.start,
+      range.end
+    );
+    const held = await countActiveHolds(entry.book._id, req.user.id);
+    if (copies.length <= held) {
+      return next(
+        new ConflictError('Book is not available for the requested dates', { conflicts })
+      );
+    }
+
+    const newReservation = new Reservation({
+      user: req.user.id,
+      book: entry.book._id,
+      startDate: range.start,
+      endDate: range.end,
+      status: 'pending',
+    });
+    const reservation = await newReservation.save();
+    entry.status = 'claimed';
+    entry.reservation = reservation._id;
+    await entry.save();
+
+    await notifyAdmins(
+      `New reservation request from ${req.user.name} for "${entry.book.title}" (waitlist hold)`,
+      'new_reservation'
+    );
+
+    res.json(reservation);
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.getBookWaitlist = async (req, res, next) => {
+  try {
+    const entries = await WaitlistEntry.find({
+      book: req.params.bookId,
+      status: { $in: OPEN_STATUSES },
+    })
+      .sort({ position: 1 })
+      .populate('user', 'name email');
+    res.json(entries);
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.reorderWaitlist = async (req, res, next) => {
+  try {
+    const position = Number(req.body.position);
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry || entry.status !== 'waiting') {
+      return next(new NotFoundError('Waitlist entry not found'));
+    }
+    const queue = await WaitlistEntry.find({
+      book: entry.book,
+      status: 'waiting',
+    }).sort({ position: 1 });
+    if (!Number.isInteger(position) || position < 1 || position > queue.length) {
+      return next(new BadRequestError(`Position must be between 1 and ${queue.length}`));
+    }
+
+    const others = queue.filter((e) => e._id.toString() !== entry._id.toString());
+    const moved = queue.find((e) => e._id.toString() === entry._id.toString());
+    const before = snapshot('WaitlistEntry', moved);
+    others.splice(position - 1, 0, moved);
+    // Reuse the queue's own position range so offered entries ahead of it keep theirs
+    const base = queue.length ? Math.min(...queue.map((e) => e.position)) : 1;
+    for (let i = 0; i < others.length; i++) {
+      if (others[i].position !== base + i) {
+        others[i].position = base + i;
+        await others[i].save();
+      }
+    }
+    // The entries it passed shift by one; only the deliberate move is recorded
+    await recordAudit(req, {
+      action: 'waitlist.reorder',
+      targetType: 'WaitlistEntry',
+      target: moved._id,
+      before,
+      after: snapshot('WaitlistEntry', moved)
+    });
+    res.json(others);
+  } catch (err) {
+    next(err);
+  }
+};
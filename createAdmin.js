@@ -1,8 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('./models/User');
 const config = require('./config/database');
+const { startSession } = require('./utils/sessionUtils');
 
 // Connect to MongoDB
 mongoose.connect(config.database, { useNewUrlParser: true, useUnifiedTopology: true })
@@ -22,6 +22,8 @@ mongoose.connect(config.database, { useNewUrlParser: true, useUnifiedTopology: t
             phoneNumber: '0901946736',
             password: hashedPassword,
             isAdmin: true,
+            isApproved: true,
+            emailVerifiedAt: new Date(),
           }
         },
         { new: true, upsert: true }
@@ -30,11 +32,11 @@ mongoose.connect(config.database, { useNewUrlParser: true, useUnifiedTopology: t
       console.log('Admin user updated successfully');
       console.log(updatedAdmin);
   
-      // Generate JWT token
-      const payload = { user: { id: updatedAdmin.id } };
-      const token = jwt.sign(payload, config.secret, { expiresIn: '1h' });
+      // Open a session so the printed tokens pass the auth middleware
+      const { token, refreshToken } = await startSession(updatedAdmin);
   
       console.log('Admin token:', token);
+      console.log('Admin refresh token:', refreshToken);
   
       mongoose.connection.close();
     } catch (err) {
@@ -0,0 +1,68 @@
+const Reservation = require('../models/Reservation');
+const { createNotification } = require('../utils/notificationUtils');
+const { applyTransition } = require('../utils/reservationLifecycle');
+const { expireHolds } = require('../utils/waitlistUtils');
+const { DAY, startOfDay } = require('../utils/dateUtils');
+
+// Flags checked-out reservations whose end date has passed
+exports.markOverdueReservations = async (now) => {
+  const reservations = await Reservation.find({
+    status: 'checked_out',
+    endDate: { $lt: startOfDay(now) },
+  }).populate('book', 'title');
+  for (const reservation of reservations) {
+    applyTransition(reservation, 'overdue', now);
+    await reservation.save();
+    await createNotification(
+      reservation.user,
+      `"${reservation.book.title}" is overdue. Please return it as soon as possible`,
+      'overdue'
+    );
+  }
+  return reservations.length;
+};
+
+// Reminds borrowers once, the day before their loan ends
+exports.sendDueReminders = async (now) => {
+  const tomorrow = new Date(startOfDay(now).getTime() + DAY);
+  const reservations = await Reservation.find({
+    status: 'checked_out',
+    endDate: { $gte: tomorrow, $lt: new Date(tomorrow.getTime() + DAY) },
+    dueReminderSentAt: null,
+  }).populate('book', 'title');
+  for (const reservation of reservations) {
+    reservation.dueReminderSentAt = now;
+    await reservation.save();
+    await createNotification(
+      reservation.user,
+      `"${reservation.book.title}" is due tomorrow`,
+      'due_reminder'
+    );
+  }
+  return reservations.length;
+};
+
+// Expires requests that were never approved before their start date
+exports.expireStalePendingReservations = async (now) => {
+  const reservations = await Reservation.find({
+    status: 'pending',
+    startDate: { $lt: startOfDay(now) },
+  }).populate('book', 'title');
+  for (const reservation of reservations) {
+    applyTransition(reservation, 'expired', now);
+    await reservation.save();
+    await createNotification(
+      reservation.user,
+      `Your reservation for "${reservation.book.title}" has expired without approval`,
+      'reservation_status'
+    );
+  }
+  return reservations.length;
+};
+
+exports.jobs = [
+  { name: 'markOverdueReservations', run: exports.markOverdueReservations },
+  { name: 'sendDueReminders', run: exports.sendDueReminders },
+  { name: 'expireStalePendingReservations', run: exports.expireStalePendingReservations },
+  { name: 'expireWaitlistHolds', run: expireHolds },
+];
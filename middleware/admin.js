@@ -1,6 +0,0 @@
-module.exports = function(req, res, next) {
-    if (!req.user.isAdmin) {
-      return res.status(403).json({ message: 'Access denied. Admin only.' });
-    }
-    next();
-  };
\ No newline at end of file
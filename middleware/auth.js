@@ -1,15 +1,43 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config/database');
+const User = require('../models/User');
+const { isSessionActive } = require('../utils/sessionUtils');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
 
-module.exports = function(req, res, next) {
+module.exports = async function(req, res, next) {
   const token = req.header('x-auth-token');
-  if (!token) return res.status(401).json({ message: 'No token, authorization denied' });
+  if (!token) return next(new UnauthorizedError('No token, authorization denied'));
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, config.secret);
-    req.user = decoded.user;
-    next();
+    decoded = jwt.verify(token, config.secret);
   } catch (err) {
-    res.status(401).json({ message: 'Token is not valid' });
+    return next(new UnauthorizedError('Token is not valid'));
   }
-};
\ No newline at end of file
+
+  // Access tokens belong to a session, which logout or a replayed refresh
+  // token may have revoked before the token itself expires. Roles and
+  // approval are read fresh so that changing them takes effect immediately.
+  try {
+    const [active, user] = await Promise.all([
+      decoded.sid ? isSessionActive(decoded.sid, decoded.user.id) : false,
+      User.findById(decoded.user.id).select('name isAdmin isApproved roles deletedAt')
+    ]);
+    if (!active || !user || user.deletedAt) {
+      return next(new UnauthorizedError('Session has been revoked'));
+    }
+    if (!user.isApproved) {
+      return next(new ForbiddenError('Your account is pending approval'));
+    }
+    req.user = {
+      id: user.id,
+      name: user.name,
+      isAdmin: user.isAdmin,
+      roles: user.roles || []
+    };
+  } catch (err) {
+    return next(err);
+  }
+  req.sessionId = decoded.sid;
+  next();
+};
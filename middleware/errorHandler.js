@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const { AppError, NotFoundError, codeForStatus } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Ids accepted from an incoming X-Request-Id header, e.g. set by a proxy
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Tags each request with an id that is echoed in the X-Request-Id header
+// and in every error body, so reports can be matched to the logs. A valid id
+// sent by the client is kept so one id can follow a call across services.
+exports.requestId = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  const valid = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming);
+  req.id = valid ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+// Registered after all routes
+exports.notFound = (req, res, next) => {
+  next(new NotFoundError(`Cannot ${req.method} ${req.originalUrl}`));
+};
+
+// Maps anything thrown or passed to next(err) onto an AppError
+const normalize = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
+  if (err.name === 'CastError') {
+    return new AppError(`Invalid ${err.path}: ${JSON.stringify(err.value)}`, {
+      status: 400,
+      code: 'INVALID_ID'
+    });
+  }
+  if (err.name === 'ValidationError' && err.errors) {
+    const errors = Object.values(err.errors).map((e) => ({ field: e.path, message: e.message }));
+    return new AppError('Validation failed', {
+      status: 422,
+      code: 'VALIDATION_FAILED',
+      details: { errors }
+    });
+  }
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new AppError(
+      fields.length > 0 ? `${fields.join(', ')} already exists` : 'Duplicate value',
+      { status: 409, code: 'DUPLICATE_KEY', details: { fields } }
+    );
+  }
+  // body-parser failures (malformed JSON, payload too large) carry a status
+  if (err.type && err.status >= 400 && err.status < 500) {
+    return new AppError(err.message, { status: err.status, code: codeForStatus(err.status) });
+  }
+  return null;
+};
+
+exports.errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+  const error = normalize(err);
+  if (!error || error.status >= 500) {
+    logger.error('Request failed', { requestId: req.id, err });
+  }
+  const status = error ? error.status : 500;
+  res.status(status).json({
+    message: error ? error.message : 'Server Error',
+    code: error ? error.code : 'INTERNAL_ERROR',
+    requestId: req.id,
+    ...(error && error.details)
+  });
+};
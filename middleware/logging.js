@@ -0,0 +1,26 @@
+const logger = require('../utils/logger');
+
+// Makes the request id part of every log entry written while the request
+// is handled. Registered after the body parser, whose stream callbacks
+// would otherwise run outside the context.
+exports.logContext = (req, res, next) => {
+  logger.runWithContext({ requestId: req.id }, next);
+};
+
+// One entry per finished request with its status and duration
+exports.accessLog = (req, res, next) => {
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    logger[level]('Request completed', {
+      requestId: req.id,
+      method: req.method,
+      url: logger.redactUrl(req.originalUrl),
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+      ip: req.ip,
+      userId: req.user ? req.user.id : undefined
+    });
+  });
+  next();
+};
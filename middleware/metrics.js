@@ -0,0 +1,38 @@
+const { httpRequests, httpDuration } = require('../utils/appMetrics');
+
+const patternOf = (req) => `${req.baseUrl}${req.route.path}`;
+
+// Requests that matched no route share one label so unknown URLs cannot
+// grow the number of series
+const routeOf = (req, res) => {
+  if (res.locals.route) {
+    return res.locals.route;
+  }
+  return req.route ? patternOf(req) : 'unmatched';
+};
+
+// Counts every request and records its latency once the response is sent,
+// labelled by the route pattern (e.g. /api/books/:id) rather than the URL
+const trackRequests = (req, res, next) => {
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = routeOf(req, res);
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+  });
+  next();
+};
+
+// Mounted after each router. When a handler calls next(err), Express resets
+// req.baseUrl on the way out of the router, so the pattern is kept here
+// while it can still be built from the mount path.
+const captureRoute = (err, req, res, next) => {
+  if (req.route && !res.locals.route) {
+    res.locals.route = patternOf(req);
+  }
+  next(err);
+};
+
+module.exports = trackRequests;
+module.exports.captureRoute = captureRoute;
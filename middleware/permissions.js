@@ -0,0 +1,12 @@
+const { ForbiddenError } = require('../utils/errors');
+const { hasPermission } = require('../utils/permissions');
+
+// Route guard used after auth, e.g. requirePermission('books:write').
+// With several permissions the user needs all of them.
+exports.requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter((permission) => !hasPermission(req.user, permission));
+  if (missing.length > 0) {
+    return next(new ForbiddenError(`Missing permission: ${missing.join(', ')}`));
+  }
+  next();
+};
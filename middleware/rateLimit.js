@@ -0,0 +1,48 @@
+const { TooManyRequestsError } = require('../utils/errors');
+
+// Fixed-window rate limiter kept in memory. Fine for a single process; a
+// shared store would be needed once the API runs on several instances.
+//
+// Options:
+// - windowMs: length of a window
+// - max: requests allowed per key within a window
+// - key: derives the bucket from the request, by default the client IP
+// - message: body of the 429 response
+module.exports = ({
+  windowMs,
+  max,
+  key = (req) => req.ip,
+  message = 'Too many requests, please try again later'
+}) => {
+  const hits = new Map();
+
+  const limiter = (req, res, next) => {
+    const now = Date.now();
+    const bucket = key(req);
+    let entry = hits.get(bucket);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(bucket, entry);
+    }
+    entry.count += 1;
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return next(new TooManyRequestsError(message));
+    }
+    next();
+  };
+
+  // Drops expired windows so the map does not grow without bound
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, bucket) => {
+      if (entry.resetAt <= now) {
+        hits.delete(bucket);
+      }
+    });
+  }, windowMs);
+  sweep.unref();
+
+  limiter.reset = () => hits.clear();
+  return limiter;
+};
@@ -0,0 +1,38 @@
+const multer = require('multer');
+const library = require('../config/library');
+const { BadRequestError } = require('../utils/errors');
+
+const coverUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: library.uploads.maxCoverBytes },
+  fileFilter: (req, file, cb) => {
+    if (!file.mimetype.startsWith('image/')) {
+      return cb(new Error('Cover must be an image'));
+    }
+    cb(null, true);
+  }
+}).single('cover');
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: library.uploads.maxImportBytes }
+}).single('file');
+
+// Runs a single-file multer handler, answering 400 for bad or missing uploads
+const requireFile = (handler, missingMessage) => function(req, res, next) {
+  handler(req, res, (err) => {
+    if (err) {
+      return next(new BadRequestError(err.message));
+    }
+    if (!req.file) {
+      return next(new BadRequestError(missingMessage));
+    }
+    next();
+  });
+};
+
+// A single "cover" image field
+exports.cover = requireFile(coverUpload, 'No cover image uploaded');
+
+// A single "file" field holding a CSV or JSON book list
+exports.importFile = requireFile(importUpload, 'No import file uploaded');
@@ -0,0 +1,43 @@
+const { validate } = require('../utils/validation');
+const { BadRequestError, ValidationError } = require('../utils/errors');
+
+/**
+ * Builds middleware that checks a request against declarative schemas
+ * (see utils/validation) before it reaches the controller.
+ *
+ * `schemas` may hold `params`, `query` and `body`. Malformed path or query
+ * values are passed on as a 400 BadRequestError and an invalid body as a
+ * 422 ValidationError, both listing every offending field. Checked values are coerced in place, so controllers see
+ * dates as Date objects and numbers as numbers. The body is replaced by its
+ * validated fields; unknown query parameters are left alone.
+ *
+ * `options.partial` lets the body omit required fields (partial updates).
+ */
+module.exports = (schemas, options = {}) => (req, res, next) => {
+  const errors = [];
+  if (schemas.params) {
+    const result = validate(schemas.params, req.params, { allowUnknown: true });
+    errors.push(...result.errors);
+    Object.assign(req.params, result.value);
+  }
+  if (schemas.query) {
+    const result = validate(schemas.query, req.query, {
+      allowUnknown: true,
+      blankAsMissing: true
+    });
+    errors.push(...result.errors);
+    Object.assign(req.query, result.value);
+  }
+  if (errors.length > 0) {
+    return next(new BadRequestError('Invalid request', { errors }));
+  }
+
+  if (schemas.body) {
+    const result = validate(schemas.body, req.body, { partial: options.partial });
+    if (result.errors.length > 0) {
+      return next(new ValidationError('Validation failed', result.errors));
+    }
+    req.body = result.value;
+  }
+  next();
+};
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const { TARGET_TYPES } = require('../config/audit');
+
+// Who changed what through an administrative action. `before` and `after`
+// hold only the fields that changed; `before` is null for creations and
+// `after` for permanent deletions.
+const AuditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Kept so entries stay readable after the actor is renamed or removed
+  actorName: { type: String },
+  action: { type: String, required: true },
+  targetType: {
+    type: String,
+    enum: TARGET_TYPES,
+    required: true
+  },
+  target: { type: mongoose.Schema.Types.ObjectId, required: true },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+  requestId: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -1,10 +1,39 @@
 const mongoose = require('mongoose');
+const { isValidIsbn13 } = require('../utils/isbn');
+
+const CoverSchema = new mongoose.Schema({
+  filename: { type: String, required: true },
+  thumbnail: { type: String, required: true },
+  uploadedAt: { type: Date, default: Date.now }
+}, { _id: false });
 
 const BookSchema = new mongoose.Schema({
   title: { type: String, required: true },
   author: { type: String, required: true },
   publicationDate: { type: Date, required: true },
-  description: { type: String, required: true }
+  description: { type: String, required: true },
+  // Always stored as ISBN-13, see utils/isbn.toIsbn13
+  isbn: {
+    type: String,
+    unique: true,
+    sparse: true,
+    validate: { validator: isValidIsbn13, message: 'Invalid ISBN' }
+  },
+  genres: { type: [String], default: [] },
+  language: { type: String, lowercase: true, match: /^[a-z]{2,3}$/ },
+  publisher: { type: String },
+  pageCount: { type: Number, min: 1 },
+  edition: { type: String },
+  cover: { type: CoverSchema },
+  createdAt: { type: Date, default: Date.now },
+  // Set when the title is withdrawn; archived books stay resolvable
+  deletedAt: { type: Date, default: null }
 });
 
-module.exports = mongoose.model('Book', BookSchema);
\ No newline at end of file
+BookSchema.index(
+  { title: 'text', author: 'text', description: 'text' },
+  { weights: { title: 10, author: 5, description: 1 } }
+);
+BookSchema.index({ genres: 1 });
+
+module.exports = mongoose.model('Book', BookSchema);
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+const BookCopySchema = new mongoose.Schema({
+  book: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', required: true },
+  barcode: { type: String, required: true, unique: true, trim: true },
+  condition: { type: String, enum: ['new', 'good', 'fair', 'poor', 'damaged'], default: 'good' },
+  shelfLocation: { type: String, trim: true },
+  status: { type: String, enum: ['active', 'maintenance', 'lost', 'withdrawn'], default: 'active' },
+  createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('BookCopy', BookCopySchema);
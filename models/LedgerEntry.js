@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// One movement on a user's fines account. Amounts are positive cents;
+// charges raise the balance, payments and waivers lower it.
+const LedgerEntrySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reservation: { type: mongoose.Schema.Types.ObjectId, ref: 'Reservation' },
+  type: { type: String, enum: ['charge', 'payment', 'waiver'], required: true },
+  amount: { type: Number, required: true, min: 1 },
+  note: { type: String },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('LedgerEntry', LedgerEntrySchema);
@@ -3,7 +3,7 @@ const mongoose = require('mongoose');
 const NotificationSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   message: { type: String, required: true },
-  type: { type: String, enum: ['new_user', 'reservation_status'], required: true },
+  type: { type: String, enum: ['new_user', 'new_reservation', 'reservation_status', 'due_reminder', 'overdue', 'fine', 'renewal', 'waitlist', 'account_locked'], required: true },
   isRead: { type: Boolean, default: false },
   createdAt: { type: Date, default: Date.now },
 });
@@ -1,11 +1,31 @@
 const mongoose = require('mongoose');
+const { STATUSES } = require('../utils/reservationLifecycle');
+
+const RenewalSchema = new mongoose.Schema({
+  previousEndDate: { type: Date, required: true },
+  newEndDate: { type: Date, required: true },
+  renewedAt: { type: Date, default: Date.now },
+  renewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false });
 
 const ReservationSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   book: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', required: true },
+  copy: { type: mongoose.Schema.Types.ObjectId, ref: 'BookCopy' },
   startDate: { type: Date, required: true },
   endDate: { type: Date },
-  status: { type: String, enum: ['pending', 'approved', 'rejected', 'completed'], default: 'pending' }
+  status: { type: String, enum: STATUSES, default: 'pending' },
+  createdAt: { type: Date, default: Date.now },
+  approvedAt: { type: Date },
+  rejectedAt: { type: Date },
+  cancelledAt: { type: Date },
+  expiredAt: { type: Date },
+  checkedOutAt: { type: Date },
+  overdueAt: { type: Date },
+  returnedAt: { type: Date },
+  dueReminderSentAt: { type: Date },
+  renewals: { type: [RenewalSchema], default: [] },
+  deletedAt: { type: Date, default: null }
 });
 
-module.exports = mongoose.model('Reservation', ReservationSchema);
\ No newline at end of file
+module.exports = mongoose.model('Reservation', ReservationSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// One per login. Only a hash of the current refresh token is kept; each
+// refresh replaces it, so an older token that shows up again was copied.
+const SessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  userAgent: { type: String },
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+});
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB drop sessions once they can no longer be refreshed
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { roles } = require('../config/roles');
 
 const UserSchema = new mongoose.Schema({
   name: { type: String, required: true },
@@ -7,7 +8,14 @@ const UserSchema = new mongoose.Schema({
   phoneNumber: { type: String, required: true },
   password: { type: String, required: true },
   isAdmin: { type: Boolean, default: false },
+  roles: [{ type: String, enum: Object.keys(roles) }],
   isApproved: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date, default: null },
+  failedLoginAttempts: { type: Number, default: 0 },
+  lastFailedLoginAt: { type: Date, default: null },
+  lockedUntil: { type: Date, default: null },
+  tier: { type: String, enum: ['standard', 'premium', 'staff'], default: 'standard' },
+  deletedAt: { type: Date, default: null },
 });
 
 UserSchema.pre('save', async function(next) {
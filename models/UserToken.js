@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens mailed to users (password resets, email verification). Only
+// the hash is stored, so a leaked database does not leak usable links.
+const UserTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: ['password_reset', 'email_verification'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+UserTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', UserTokenSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+const WaitlistEntrySchema = new mongoose.Schema({
+  book: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  position: { type: Number, required: true },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  offeredAt: { type: Date },
+  holdExpiresAt: { type: Date },
+  reservation: { type: mongoose.Schema.Types.ObjectId, ref: 'Reservation' },
+  createdAt: { type: Date, default: Date.now },
+});
+
+WaitlistEntrySchema.index({ book: 1, status: 1, position: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const { getAuditLog, exportAuditLog } = require('../controllers/auditController');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/audit');
+
+const canReadAudit = requirePermission('audit:read');
+
+router.get('/audit', [auth, canReadAudit, validate({ query: schemas.list })], getAuditLog);
+router.get(
+  '/audit/export',
+  [auth, canReadAudit, validate({ query: schemas.exportQuery })],
+  exportAuditLog
+);
+
+module.exports = router;
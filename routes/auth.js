@@ -1,8 +1,70 @@
 const express = require('express');
 const router = express.Router();
-const { register, login } = require('../controllers/authController');
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+} = require('../controllers/authController');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const rateLimit = require('../middleware/rateLimit');
+const library = require('../config/library');
+const schemas = require('../schemas/auth');
 
-router.post('/register', register);
-router.post('/login', login);
+const registerLimit = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: library.security.registrationsPerHour,
+  message: 'Too many accounts created from this address, please try again later'
+});
 
-module.exports = router;
\ No newline at end of file
+// Limits mail sent on request per address and per client so neither can be
+// used to flood an inbox
+const mailLimits = (perAddress, message) => [
+  rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: perAddress,
+    key: (req) => `email:${String(req.body.email).toLowerCase()}`,
+    message
+  }),
+  rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: perAddress * 5,
+    message
+  })
+];
+
+const resendLimits = mailLimits(
+  library.auth.verificationResendsPerHour,
+  'Too many verification emails requested, please try again later'
+);
+
+const resetLimits = mailLimits(
+  library.auth.passwordResetsPerHour,
+  'Too many password reset emails requested, please try again later'
+);
+
+router.post('/register', [registerLimit, validate({ body: schemas.register })], register);
+router.post('/login', validate({ body: schemas.login }), login);
+router.post('/refresh', validate({ body: schemas.refresh }), refresh);
+router.post('/logout', auth, logout);
+router.post('/logout-all', auth, logoutAll);
+router.get('/verify/:token', validate({ params: schemas.verifyParams }), verifyEmail);
+router.post(
+  '/verify/resend',
+  [validate({ body: schemas.resendVerification }), ...resendLimits],
+  resendVerification
+);
+router.post(
+  '/forgot-password',
+  [validate({ body: schemas.forgotPassword }), ...resetLimits],
+  forgotPassword
+);
+router.post('/reset-password', validate({ body: schemas.resetPassword }), resetPassword);
+
+module.exports = router;
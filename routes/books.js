@@ -1,12 +1,62 @@
 const express = require('express');
 const router = express.Router();
-const { getBooks, getBook, addBook, updateBook } = require('../controllers/bookController');
+const {
+  getBooks,
+  getBook,
+  addBook,
+  updateBook,
+  patchBook,
+  getAvailability,
+  getCalendar,
+  uploadCover,
+  getCover,
+  getArchivedBooks,
+  deleteBook,
+  restoreBook
+} = require('../controllers/bookController');
+const { getCopies, addCopy, updateCopy } = require('../controllers/bookCopyController');
+const { importBooks, exportBooks } = require('../controllers/bookImportController');
 const auth = require('../middleware/auth');
-const admin = require('../middleware/admin');
+const { requirePermission } = require('../middleware/permissions');
+const upload = require('../middleware/upload');
+const validate = require('../middleware/validate');
+const { idParams } = require('../schemas/common');
+const schemas = require('../schemas/books');
 
-router.get('/', getBooks);
-router.get('/:id', getBook);
-router.post('/', [auth, admin], addBook);
-router.put('/:id', [auth, admin], updateBook);
+const byId = validate({ params: idParams });
+const canEdit = requirePermission('books:write');
 
-module.exports = router;
\ No newline at end of file
+router.get('/', validate({ query: schemas.list }), getBooks);
+router.get('/export', [auth, canEdit, validate({ query: schemas.exportQuery })], exportBooks);
+router.get('/archived', [auth, canEdit], getArchivedBooks);
+router.post(
+  '/import',
+  [auth, canEdit, validate({ query: schemas.importQuery }), upload.importFile],
+  importBooks
+);
+router.get('/:id', byId, getBook);
+router.get(
+  '/:id/availability',
+  validate({ params: idParams, query: schemas.availability }),
+  getAvailability
+);
+router.get('/:id/calendar', validate({ params: idParams, query: schemas.calendar }), getCalendar);
+router.get('/:id/cover', validate({ params: idParams, query: schemas.cover }), getCover);
+// Book bodies are checked by validateBook in the controller, which also
+// serves the CSV/JSON import
+router.post('/', [auth, canEdit], addBook);
+router.put('/:id', [auth, canEdit, byId], updateBook);
+router.patch('/:id', [auth, canEdit, byId], patchBook);
+router.put('/:id/cover', [auth, canEdit, byId, upload.cover], uploadCover);
+router.delete('/:id', [auth, canEdit, validate({ params: idParams, query: schemas.remove })], deleteBook);
+router.post('/:id/restore', [auth, canEdit, byId], restoreBook);
+
+router.get('/:id/copies', [auth, canEdit, byId], getCopies);
+router.post('/:id/copies', [auth, canEdit, validate({ params: idParams, body: schemas.copy })], addCopy);
+router.put(
+  '/:id/copies/:copyId',
+  [auth, canEdit, validate({ params: schemas.copyParams, body: schemas.copyUpdate }, { partial: true })],
+  updateCopy
+);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { healthz, readyz, metrics } = require('../controllers/healthController');
+
+// Unauthenticated, for the orchestrator and the Prometheus scraper
+router.get('/healthz', healthz);
+router.get('/readyz', readyz);
+router.get('/metrics', metrics);
+
+module.exports = router;
@@ -1,12 +1,47 @@
 const express = require('express');
 const router = express.Router();
-const { createReservation, getReservations, getReservation, updateReservationStatus } = require('../controllers/reservationController');
+const {
+  createReservation,
+  getReservations,
+  getReservation,
+  updateReservationStatus,
+  approveReservation,
+  rejectReservation,
+  cancelReservation,
+  checkOutReservation,
+  returnReservation,
+  markReservationOverdue,
+  renewReservation,
+  deleteReservation,
+  restoreReservation,
+} = require('../controllers/reservationController');
 const auth = require('../middleware/auth');
-const admin = require('../middleware/admin');
+const { requirePermission } = require('../middleware/permissions');
+const validate = require('../middleware/validate');
+const { idParams, includeDeleted } = require('../schemas/common');
+const schemas = require('../schemas/reservations');
 
-router.post('/', auth, createReservation);
-router.get('/', [auth, admin], getReservations);
-router.get('/:id', auth, getReservation);
-router.put('/:id', [auth, admin], updateReservationStatus);
+const byId = validate({ params: idParams });
+const canManage = requirePermission('reservations:manage');
 
-module.exports = router;
\ No newline at end of file
+router.post('/', [auth, validate({ body: schemas.create })], createReservation);
+router.get('/', [auth, requirePermission('reservations:read'), validate({ query: includeDeleted })], getReservations);
+router.get('/:id', [auth, byId], getReservation);
+router.put(
+  '/:id',
+  [auth, canManage, validate({ params: idParams, body: schemas.status })],
+  updateReservationStatus
+);
+router.delete('/:id', [auth, canManage, byId], deleteReservation);
+router.post('/:id/restore', [auth, canManage, byId], restoreReservation);
+
+// Lifecycle transitions
+router.post('/:id/approve', [auth, canManage, byId], approveReservation);
+router.post('/:id/reject', [auth, canManage, byId], rejectReservation);
+router.post('/:id/cancel', [auth, byId], cancelReservation);
+router.post('/:id/checkout', [auth, canManage, byId], checkOutReservation);
+router.post('/:id/return', [auth, canManage, byId], returnReservation);
+router.post('/:id/overdue', [auth, canManage, byId], markReservationOverdue);
+router.post('/:id/renew', [auth, byId], renewReservation);
+
+module.exports = router;
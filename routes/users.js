@@ -3,22 +3,97 @@ const router = express.Router();
 const {
   getUser,
   updateUser,
+  patchUser,
+  changePassword,
   approveUser,
   getAllUsers,
+  setUserTier,
+  deleteUser,
+  restoreUser,
+  getRoles,
+  setUserRoles,
+  unlockUser,
 } = require("../controllers/userController");
+const {
+  getUserFines,
+  recordPayment,
+  waiveFine,
+} = require("../controllers/fineController");
 const auth = require("../middleware/auth");
-const admin = require("../middleware/admin");
+const { requirePermission } = require("../middleware/permissions");
+const validate = require("../middleware/validate");
+const { idParams } = require("../schemas/common");
+const schemas = require("../schemas/users");
+
+const byId = validate({ params: idParams });
+const validateCredit = validate({ params: idParams, body: schemas.credit });
+const canManage = requirePermission("users:manage");
+const canManageFines = requirePermission("fines:manage");
+
+// Get all users (staff), ?verified=true|false filters by email state
+router.get(
+  "/",
+  [auth, requirePermission("users:read"), validate({ query: schemas.list })],
+  getAllUsers
+);
 
-// Get all users (admin only)
-router.get("/", [auth, admin], getAllUsers);
+// Available roles and their permissions
+router.get("/roles", [auth, requirePermission("roles:manage")], getRoles);
 
 // Get user by ID
-router.get("/:id", auth, getUser);
+router.get("/:id", [auth, byId], getUser);
 
 // Update user
-router.put("/:id", auth, updateUser);
+router.put(
+  "/:id",
+  [auth, validate({ params: idParams, body: schemas.update }, { partial: true })],
+  updateUser
+);
+// The profile body is validated by patchUser itself
+router.patch("/:id", [auth, byId], patchUser);
+
+// Change own password (requires the current one)
+router.put(
+  "/:id/password",
+  [auth, validate({ params: idParams, body: schemas.password })],
+  changePassword
+);
+
+// Approve user (users:manage)
+router.put("/:id/approve", [auth, canManage, byId], approveUser);
+
+// Soft-delete and restore (users:manage)
+router.delete("/:id", [auth, canManage, byId], deleteUser);
+router.post("/:id/restore", [auth, canManage, byId], restoreUser);
+
+// Lift a login lockout (users:manage)
+router.post("/:id/unlock", [auth, canManage, byId], unlockUser);
+
+// Set borrowing tier (users:manage)
+router.put(
+  "/:id/tier",
+  [auth, canManage, validate({ params: idParams, body: schemas.tier })],
+  setUserTier
+);
+
+// Assign staff roles (roles:manage)
+router.put(
+  "/:id/roles",
+  [
+    auth,
+    requirePermission("roles:manage"),
+    validate({ params: idParams, body: schemas.roles }),
+  ],
+  setUserRoles
+);
 
-// Approve user (admin only)
-router.put("/:id/approve", [auth, admin], approveUser);
+// Fines ledger (owner or fines:manage may view, staff records payments/waivers)
+router.get("/:id/fines", [auth, byId], getUserFines);
+router.post(
+  "/:id/fines/payments",
+  [auth, canManageFines, validateCredit],
+  recordPayment
+);
+router.post("/:id/fines/waivers", [auth, canManageFines, validateCredit], waiveFine);
 
 module.exports = router;
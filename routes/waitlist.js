@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const {
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+  claimHold,
+  getBookWaitlist,
+  reorderWaitlist,
+} = require('../controllers/waitlistController');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const validate = require('../middleware/validate');
+const { idParams } = require('../schemas/common');
+const schemas = require('../schemas/waitlist');
+
+router.post('/', [auth, validate({ body: schemas.join })], joinWaitlist);
+router.get('/', auth, getMyWaitlist);
+router.delete('/:id', [auth, validate({ params: idParams })], leaveWaitlist);
+router.post('/:id/claim', [auth, validate({ params: idParams, body: schemas.claim })], claimHold);
+
+// Queue management (staff with waitlist:manage)
+router.get('/book/:bookId', [auth, requirePermission('waitlist:manage'), validate({ params: schemas.bookParams })], getBookWaitlist);
+router.put(
+  '/:id/position',
+  [auth, requirePermission('waitlist:manage'), validate({ params: idParams, body: schemas.position })],
+  reorderWaitlist
+);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+// Declarative field rules for the audit trail, see utils/validation.validate
+const { TARGET_TYPES } = require('../utils/audit');
+
+exports.list = {
+  actor: { type: 'objectId' },
+  targetType: { type: 'string', enum: TARGET_TYPES },
+  target: { type: 'objectId' },
+  action: { type: 'string' },
+  from: { type: 'date' },
+  // Kept as text so the controller can tell a whole day from an exact time
+  to: {
+    type: 'string',
+    pattern: /^\d{4}-\d{2}-\d{2}(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/,
+    message: 'must be a date (YYYY-MM-DD) or date and time'
+  },
+  page: { type: 'integer', min: 1 },
+  limit: { type: 'integer', min: 1, max: 100 }
+};
+
+exports.exportQuery = {
+  actor: exports.list.actor,
+  targetType: exports.list.targetType,
+  target: exports.list.target,
+  action: exports.list.action,
+  from: exports.list.from,
+  to: exports.list.to
+};
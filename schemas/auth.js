@@ -0,0 +1,37 @@
+// Rules for any password a user chooses
+const newPassword = { type: 'string', required: true, minLength: 8, trim: false };
+
+exports.newPassword = newPassword;
+
+exports.register = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  email: { type: 'email', required: true },
+  phoneNumber: { type: 'phone', required: true },
+  password: newPassword
+};
+
+exports.login = {
+  email: { type: 'string', required: true },
+  password: { type: 'string', required: true, trim: false }
+};
+
+exports.refresh = {
+  refreshToken: { type: 'string', required: true }
+};
+
+exports.forgotPassword = {
+  email: { type: 'string', required: true }
+};
+
+exports.verifyParams = {
+  token: { type: 'string', required: true, pattern: /^[0-9a-f]{64}$/ }
+};
+
+exports.resendVerification = {
+  email: { type: 'string', required: true }
+};
+
+exports.resetPassword = {
+  token: { type: 'string', required: true },
+  password: newPassword
+};
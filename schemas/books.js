@@ -0,0 +1,81 @@
+// Declarative field rules for books, see utils/validation.validate
+const { id, flag } = require('./common');
+
+exports.book = {
+  title: { type: 'string', required: true, maxLength: 300 },
+  author: { type: 'string', required: true, maxLength: 200 },
+  publicationDate: { type: 'date', required: true },
+  description: { type: 'string', required: true },
+  isbn: { type: 'isbn' },
+  genres: { type: 'array', items: { type: 'string', lowercase: true }, unique: true },
+  language: {
+    type: 'string',
+    lowercase: true,
+    pattern: /^[a-z]{2,3}$/,
+    message: 'must be an ISO 639 code such as "en"'
+  },
+  publisher: { type: 'string' },
+  pageCount: { type: 'integer', min: 1, message: 'must be a positive whole number' },
+  edition: { type: 'string' }
+};
+
+exports.list = {
+  q: { type: 'string' },
+  author: { type: 'string' },
+  genre: { type: 'string' },
+  yearFrom: { type: 'integer' },
+  yearTo: { type: 'integer' },
+  available: flag,
+  sort: { type: 'string' },
+  page: { type: 'integer', min: 1 },
+  limit: { type: 'integer', min: 1 }
+};
+
+exports.availability = {
+  startDate: { type: 'date' },
+  endDate: { type: 'date' }
+};
+
+exports.calendar = {
+  from: { type: 'date' },
+  to: { type: 'date' }
+};
+
+exports.cover = {
+  size: { type: 'string', enum: ['full', 'thumbnail'] }
+};
+
+exports.remove = {
+  hard: flag
+};
+
+exports.importQuery = {
+  format: { type: 'string', enum: ['csv', 'json'] },
+  dryRun: flag
+};
+
+exports.exportQuery = {
+  format: { type: 'string', enum: ['csv', 'json'] }
+};
+
+exports.copyParams = {
+  id,
+  copyId: id
+};
+
+exports.copy = {
+  barcode: { type: 'string', required: true },
+  condition: { type: 'string', enum: ['new', 'good', 'fair', 'poor', 'damaged'] },
+  shelfLocation: { type: 'string' }
+};
+
+// Validated as a partial update; `required` only stops a field being cleared
+exports.copyUpdate = {
+  condition: { ...exports.copy.condition, required: true },
+  shelfLocation: exports.copy.shelfLocation,
+  status: {
+    type: 'string',
+    enum: ['active', 'maintenance', 'lost', 'withdrawn'],
+    required: true
+  }
+};
@@ -0,0 +1,9 @@
+// Building blocks shared by the per-resource request schemas
+exports.id = { type: 'objectId', required: true };
+
+exports.idParams = { id: exports.id };
+
+// Query string switches are compared as strings by the controllers
+exports.flag = { type: 'string', enum: ['true', 'false'] };
+
+exports.includeDeleted = { includeDeleted: exports.flag };
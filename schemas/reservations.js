@@ -0,0 +1,11 @@
+const { STATUSES } = require('../utils/reservationLifecycle');
+
+exports.create = {
+  bookId: { type: 'objectId', required: true },
+  startDate: { type: 'date', required: true },
+  endDate: { type: 'date' }
+};
+
+exports.status = {
+  status: { type: 'string', required: true, enum: STATUSES }
+};
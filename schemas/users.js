@@ -0,0 +1,48 @@
+// Declarative field rules for users, see utils/validation.validate
+const library = require('../config/library');
+const { roles } = require('../config/roles');
+const { newPassword } = require('./auth');
+const { flag } = require('./common');
+
+exports.profile = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  email: { type: 'email', required: true },
+  phoneNumber: { type: 'phone', required: true }
+};
+
+// PUT /api/users/:id only ever touched the name and phone number
+exports.update = {
+  name: exports.profile.name,
+  phoneNumber: exports.profile.phoneNumber
+};
+
+exports.list = {
+  includeDeleted: flag,
+  verified: flag
+};
+
+exports.tier = {
+  tier: { type: 'string', required: true, enum: Object.keys(library.policy.tiers) }
+};
+
+// The complete list of roles; an empty list removes every role
+exports.roles = {
+  roles: {
+    type: 'array',
+    required: true,
+    items: { type: 'string', enum: Object.keys(roles) },
+    unique: true
+  }
+};
+
+// Amounts are in cents
+exports.credit = {
+  amount: { type: 'integer', required: true, min: 1 },
+  note: { type: 'string', maxLength: 500 },
+  reservationId: { type: 'objectId' }
+};
+
+exports.password = {
+  currentPassword: { type: 'string', required: true, trim: false },
+  newPassword
+};
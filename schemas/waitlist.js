@@ -0,0 +1,16 @@
+exports.join = {
+  bookId: { type: 'objectId', required: true }
+};
+
+exports.claim = {
+  startDate: { type: 'date', required: true },
+  endDate: { type: 'date' }
+};
+
+exports.bookParams = {
+  bookId: { type: 'objectId', required: true }
+};
+
+exports.position = {
+  position: { type: 'integer', required: true, min: 1 }
+};
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const library = require('./config/library');
+const { ConfigError } = require('./config');
+const mailer = require('./utils/mailer');
+const logger = require('./utils/logger');
+const { createApp } = require('./app');
+const { createScheduler } = require('./utils/scheduler');
+const { jobs } = require('./jobs/reservationJobs');
+
+/**
+ * Connects to MongoDB, then starts listening and the background jobs, so no
+ * request is accepted before the database is reachable. Every dependency
+ * can be injected, including `log`; `signals: false` skips the
+ * SIGTERM/SIGINT handlers.
+ *
+ * `mailTransports` maps names to transport factories (see utils/mailer).
+ * They are registered first, and the server refuses to start when
+ * MAIL_TRANSPORT names a transport that has no factory.
+ *
+ * Resolves with `{ server, shutdown }`. `shutdown` stops accepting
+ * connections, waits for in-flight requests (forcing the remaining ones
+ * closed after server.shutdownTimeoutSeconds) and closes the database.
+ */
+exports.start = async ({
+  config = library,
+  db = mongoose,
+  app = createApp({ config }),
+  scheduler = createScheduler(jobs, {
+    intervalMs: config.scheduler.intervalMinutes * 60 * 1000,
+  }),
+  signals = true,
+  log = logger,
+  mailTransports = {},
+} = {}) => {
+  Object.entries(mailTransports).forEach(([name, factory]) =>
+    mailer.registerTransport(name, factory)
+  );
+  if (!mailer.hasTransport(config.mail.transport)) {
+    throw new ConfigError([
+      `MAIL_TRANSPORT ${config.mail.transport} is not a registered mail transport`,
+    ]);
+  }
+
+  await db.connect(config.database.url);
+  log.info('Connected to MongoDB');
+
+  const server = await new Promise((resolve, reject) => {
+    const listening = app.listen(config.server.port, () => resolve(listening));
+    listening.once('error', reject);
+  });
+  log.info('Server listening', { port: server.address().port });
+
+  // Background jobs (overdue detection, reminders, expiry)
+  if (config.scheduler.enabled) {
+    scheduler.start();
+  }
+
+  let closing = null;
+  const shutdown = () => {
+    if (!closing) {
+      closing = (async () => {
+        scheduler.stop();
+        await new Promise((resolve) => {
+          const force = setTimeout(() => {
+            log.warn('Shutdown timed out, closing open connections');
+            server.closeAllConnections();
+          }, config.server.shutdownTimeoutSeconds * 1000);
+          force.unref();
+          server.close(() => {
+            clearTimeout(force);
+            resolve();
+          });
+          // Keep-alive sockets without a request in flight would hold close() open
+          server.closeIdleConnections();
+        });
+        await db.connection.close();
+        log.info('Server stopped');
+      })();
+    }
+    return closing;
+  };
+
+  if (signals) {
+    ['SIGTERM', 'SIGINT'].forEach((signal) =>
+      process.once(signal, () => {
+        log.info('Shutting down', { signal });
+        shutdown().then(
+          () => process.exit(0),
+          (err) => {
+            log.error('Shutdown failed', { err });
+            process.exit(1);
+          }
+        );
+      })
+    );
+  }
+
+  return { server, shutdown };
+};
+
+if (require.main === module) {
+  exports.start().catch((err) => {
+    logger.error('Could not start the server', { err });
+    process.exit(1);
+  });
+}
@@ -0,0 +1,99 @@
+const AuditLog = require("../models/AuditLog");
+const logger = require("../utils/logger");
+const { snapshot, diff, recordAudit } = require("../utils/audit");
+
+jest.mock("../models/AuditLog");
+
+describe("audit utils", () => {
+  const req = { id: "req-1", user: { id: "adminId", name: "Admin" } };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should snapshot only the tracked fields as plain values", () => {
+    const deletedAt = new Date("2024-01-01T00:00:00Z");
+    const user = { _id: "u1", password: "hash", tier: "premium", roles: ["librarian"], deletedAt };
+
+    const values = snapshot("User", user);
+
+    expect(values).toEqual({
+      isApproved: null,
+      tier: "premium",
+      roles: ["librarian"],
+      deletedAt: "2024-01-01T00:00:00.000Z",
+      lockedUntil: null,
+      failedLoginAttempts: null,
+    });
+    expect(values).not.toHaveProperty("password");
+  });
+
+  it("should keep only the changed fields", () => {
+    expect(diff({ tier: "standard", roles: [] }, { tier: "premium", roles: [] })).toEqual({
+      before: { tier: "standard" },
+      after: { tier: "premium" },
+    });
+  });
+
+  it("should keep every field when one side is missing", () => {
+    expect(diff(null, { title: "Dune" })).toEqual({ before: null, after: { title: "Dune" } });
+    expect(diff({ title: "Dune" }, null)).toEqual({ before: { title: "Dune" }, after: null });
+  });
+
+  it("should record the actor, target and changes", async () => {
+    AuditLog.create.mockResolvedValue({ _id: "entry" });
+
+    await recordAudit(req, {
+      action: "book.update",
+      targetType: "Book",
+      target: "b1",
+      before: { title: "Old" },
+      after: { title: "New" },
+    });
+
+    expect(AuditLog.create).toHaveBeenCalledWith({
+      actor: "adminId",
+      actorName: "Admin",
+      action: "book.update",
+      targetType: "Book",
+      target: "b1",
+      before: { title: "Old" },
+      after: { title: "New" },
+      requestId: "req-1",
+    });
+  });
+
+  it("should skip actions that changed nothing", async () => {
+    const result = await recordAudit(req, {
+      action: "user.tier",
+      targetType: "User",
+      target: "u1",
+      before: { tier: "standard" },
+      after: { tier: "standard" },
+    });
+
+    expect(result).toBeNull();
+    expect(AuditLog.create).not.toHaveBeenCalled();
+  });
+
+  it("should log instead of failing when the entry cannot be saved", async () => {
+    const loggerSpy = jest.spyOn(logger, "error");
+    AuditLog.create.mockRejectedValue(new Error("Database error"));
+
+    const result = await recordAudit(req, {
+      action: "book.create",
+      targetType: "Book",
+      target: "b1",
+      after: { title: "Dune" },
+    });
+
+    expect(result).toBeNull();
+    expect(loggerSpy).toHaveBeenCalledWith("Error recording audit entry", {
+      err: expect.any(Error),
+      action: "book.create",
+      targetType: "Book",
+      target: "b1",
+    });
+    loggerSpy.mockRestore();
+  });
+});
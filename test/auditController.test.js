@@ -0,0 +1,143 @@
+const AuditLog = require("../models/AuditLog");
+const { getAuditLog, exportAuditLog } = require("../controllers/auditController");
+
+jest.mock("../models/AuditLog");
+
+describe("Audit Controller", () => {
+  let req, res, next, query;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { query: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      attachment: jest.fn(),
+      type: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+    };
+    next = jest.fn();
+    query = {
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      lean: jest.fn(),
+    };
+    AuditLog.find.mockReturnValue(query);
+  });
+
+  describe("getAuditLog", () => {
+    it("should filter by actor, target type and date range, newest first", async () => {
+      const from = new Date("2024-01-01");
+      req.query = {
+        actor: "adminId",
+        targetType: "Book",
+        from,
+        to: "2024-01-31T12:00:00Z",
+        page: 2,
+        limit: 10,
+      };
+      query.limit.mockResolvedValue([{ action: "book.update" }]);
+      AuditLog.countDocuments.mockResolvedValue(11);
+
+      await getAuditLog(req, res, next);
+
+      const filter = {
+        actor: "adminId",
+        targetType: "Book",
+        createdAt: { $gte: from, $lte: new Date("2024-01-31T12:00:00Z") },
+      };
+      expect(AuditLog.find).toHaveBeenCalledWith(filter);
+      expect(AuditLog.countDocuments).toHaveBeenCalledWith(filter);
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(query.skip).toHaveBeenCalledWith(10);
+      expect(res.json).toHaveBeenCalledWith({
+        entries: [{ action: "book.update" }],
+        total: 11,
+        page: 2,
+        limit: 10,
+        totalPages: 2,
+      });
+    });
+
+    it("should include the whole last day when to has no time", async () => {
+      req.query = { to: "2024-01-31" };
+      query.limit.mockResolvedValue([]);
+      AuditLog.countDocuments.mockResolvedValue(0);
+
+      await getAuditLog(req, res, next);
+
+      expect(AuditLog.find).toHaveBeenCalledWith({
+        createdAt: { $lt: new Date("2024-02-01T00:00:00Z") },
+      });
+    });
+
+    it("should return 400 for an impossible to date", async () => {
+      req.query = { to: "2024-13-45" };
+
+      await getAuditLog(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 400,
+          message: "to must be a valid date",
+        })
+      );
+    });
+
+    it("should return 400 when from is after to", async () => {
+      req.query = { from: new Date("2024-02-01"), to: "2024-01-01" };
+
+      await getAuditLog(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 400,
+          message: "from must not be after to",
+        })
+      );
+      expect(AuditLog.find).not.toHaveBeenCalled();
+    });
+
+    it("should handle server errors", async () => {
+      query.limit.mockRejectedValue(new Error("Database error"));
+      AuditLog.countDocuments.mockResolvedValue(0);
+
+      await getAuditLog(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Database error" })
+      );
+    });
+  });
+
+  describe("exportAuditLog", () => {
+    it("should export the matching entries as CSV", async () => {
+      req.query = { targetType: "User" };
+      query.lean.mockResolvedValue([
+        {
+          createdAt: new Date("2024-01-02T10:00:00Z"),
+          actor: "adminId",
+          actorName: "Admin",
+          action: "user.tier",
+          targetType: "User",
+          target: "userId123",
+          before: { tier: "standard" },
+          after: { tier: "premium" },
+          requestId: "req-1",
+        },
+      ]);
+
+      await exportAuditLog(req, res, next);
+
+      expect(AuditLog.find).toHaveBeenCalledWith({ targetType: "User" });
+      expect(res.attachment).toHaveBeenCalledWith("audit.csv");
+      expect(res.type).toHaveBeenCalledWith("text/csv");
+      expect(res.send).toHaveBeenCalledWith(
+        "createdAt,actor,actorName,action,targetType,target,before,after,requestId\r\n" +
+          '2024-01-02T10:00:00.000Z,adminId,Admin,user.tier,User,userId123,' +
+          '"{""tier"":""standard""}","{""tier"":""premium""}",req-1\r\n'
+      );
+    });
+  });
+});
@@ -1,33 +1,60 @@
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
-const { register, login } = require("../controllers/authController");
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+} = require("../controllers/authController");
 const { notifyAdmins } = require("../utils/notificationUtils");
-const config = require("../config/database");
+const {
+  startSession,
+  rotateSession,
+  signAccessToken,
+  revokeSession,
+  revokeAllSessions,
+} = require("../utils/sessionUtils");
+const { sendMail } = require("../utils/mailer");
+const { createUserToken, consumeUserToken } = require("../utils/userTokens");
+const {
+  accountWait,
+  recordAccountFailure,
+  resetAccount,
+  ipWait,
+} = require("../utils/loginThrottle");
 
 jest.mock("../models/User");
+jest.mock("../utils/mailer");
+jest.mock("../utils/userTokens");
+jest.mock("../utils/loginThrottle");
 jest.mock("bcryptjs");
-jest.mock("jsonwebtoken");
 jest.mock("../utils/notificationUtils");
-jest.mock("../config/database", () => ({
-  secret: "test-secret",
-}));
+jest.mock("../utils/sessionUtils");
 
 describe("Auth Controller", () => {
-  let req, res;
+  let req, res, next;
 
   beforeEach(() => {
     jest.clearAllMocks();
-    req = { body: {} };
+    next = jest.fn();
+    req = { body: {}, ip: "127.0.0.1" };
     res = {
       status: jest.fn().mockReturnThis(),
       json: jest.fn(),
       send: jest.fn(),
+      set: jest.fn(),
     };
+    ipWait.mockReturnValue(0);
+    accountWait.mockReturnValue({ locked: false, waitMs: 0 });
   });
 
   describe("register", () => {
-    it("should register a new user and return token", async () => {
+    it("should register a new user without opening a session", async () => {
       req.body = {
         name: "Test User",
         email: "test@example.com",
@@ -52,13 +79,10 @@ describe("Auth Controller", () => {
       // Mock User constructor to return mockUser
       User.mockImplementation(() => mockUser);
 
-      // Mock jwt.sign to return a token
-      jwt.sign.mockImplementation((payload, secret, options, callback) => {
-        callback(null, "test-token");
-      });
+      createUserToken.mockResolvedValue("verify-token");
 
       // Execute the register function
-      await register(req, res);
+      await register(req, res, next);
 
       // Assertions
       expect(User.findOne).toHaveBeenCalledWith({ email: "test@example.com" });
@@ -74,14 +98,20 @@ describe("Auth Controller", () => {
         "New user registered: Test User",
         "new_user"
       );
-      expect(jwt.sign).toHaveBeenCalledWith(
-        { user: { id: "user123" } },
-        "test-secret",
-        { expiresIn: "1h" },
-        expect.any(Function)
+      expect(startSession).not.toHaveBeenCalled();
+      expect(createUserToken).toHaveBeenCalledWith(
+        "user123",
+        "email_verification",
+        48 * 60 * 60 * 1000
+      );
+      expect(sendMail).toHaveBeenCalledWith(
+        expect.objectContaining({
+          to: "test@example.com",
+          subject: "Confirm your email address",
+        })
       );
       expect(res.json).toHaveBeenCalledWith({
-        token: "test-token",
+        message: "Your account is pending approval",
         userId: "user123",
       });
     });
@@ -91,20 +121,25 @@ describe("Auth Controller", () => {
       req.body = { email: "existing@example.com" };
       User.findOne.mockResolvedValue({ email: "existing@example.com" });
 
-      await register(req, res);
+      await register(req, res, next);
 
-      expect(res.status).toHaveBeenCalledWith(400);
-      expect(res.json).toHaveBeenCalledWith({ message: "User already exists" });
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 400, message: "User already exists" })
+      );
     });
 
     it("should handle server errors", async () => {
       req.body = { email: "test@example.com" };
       User.findOne.mockRejectedValue(new Error("Database error"));
 
-      await register(req, res);
+      const next = jest.fn();
+
+      await register(req, res, next);
 
-      expect(res.status).toHaveBeenCalledWith(500);
-      expect(res.send).toHaveBeenCalledWith("Server error");
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Database error" })
+      );
+      expect(res.status).not.toHaveBeenCalled();
     });
   });
 
@@ -126,25 +161,22 @@ describe("Auth Controller", () => {
 
       User.findOne.mockResolvedValue(mockUser);
       bcrypt.compare.mockResolvedValue(true);
-      jwt.sign.mockImplementation((payload, secret, options, callback) => {
-        callback(null, "test-token");
+      startSession.mockResolvedValue({
+        token: "test-token",
+        refreshToken: "session.secret",
       });
 
-      await login(req, res);
+      await login(req, res, next);
 
       expect(User.findOne).toHaveBeenCalledWith({ email: "test@example.com" });
       expect(bcrypt.compare).toHaveBeenCalledWith(
         "correctPassword",
         "hashedPassword"
       );
-      expect(jwt.sign).toHaveBeenCalledWith(
-        { user: { id: "user123", isAdmin: false } },
-        "test-secret",
-        { expiresIn: "1h" },
-        expect.any(Function)
-      );
+      expect(startSession).toHaveBeenCalledWith(mockUser, expect.any(Object));
       expect(res.json).toHaveBeenCalledWith({
         token: "test-token",
+        refreshToken: "session.secret",
         isAdmin: false,
       });
     });
@@ -153,10 +185,27 @@ describe("Auth Controller", () => {
       req.body = { email: "nonexistent@example.com" };
       User.findOne.mockResolvedValue(null);
 
-      await login(req, res);
+      await login(req, res, next);
 
-      expect(res.status).toHaveBeenCalledWith(400);
-      expect(res.json).toHaveBeenCalledWith({ message: "Invalid credentials" });
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 400, message: "Invalid credentials" })
+      );
+    });
+
+    it("should return 400 for a deleted account", async () => {
+      req.body = { email: "gone@example.com", password: "correctPassword" };
+      User.findOne.mockResolvedValue({
+        email: "gone@example.com",
+        password: "hashedPassword",
+        deletedAt: new Date(),
+      });
+
+      await login(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 400, message: "Invalid credentials" })
+      );
+      expect(bcrypt.compare).not.toHaveBeenCalled();
     });
 
     it("should return 400 for invalid credentials (wrong password)", async () => {
@@ -173,10 +222,11 @@ describe("Auth Controller", () => {
       User.findOne.mockResolvedValue(mockUser);
       bcrypt.compare.mockResolvedValue(false);
 
-      await login(req, res);
+      await login(req, res, next);
 
-      expect(res.status).toHaveBeenCalledWith(400);
-      expect(res.json).toHaveBeenCalledWith({ message: "Invalid credentials" });
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 400, message: "Invalid credentials" })
+      );
     });
 
     it("should return 403 for unapproved user", async () => {
@@ -194,15 +244,17 @@ describe("Auth Controller", () => {
       User.findOne.mockResolvedValue(mockUser);
       bcrypt.compare.mockResolvedValue(true);
 
-      await login(req, res);
+      await login(req, res, next);
 
-      expect(res.status).toHaveBeenCalledWith(403);
-      expect(res.json).toHaveBeenCalledWith({
-        message: "Your account is pending approval",
-      });
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 403,
+          message: "Your account is pending approval",
+        })
+      );
     });
 
-    it("should include isAdmin in the token payload for admin users", async () => {
+    it("should report isAdmin for admin users", async () => {
       req.body = {
         email: "admin@example.com",
         password: "correctPassword",
@@ -219,20 +271,16 @@ describe("Auth Controller", () => {
 
       User.findOne.mockResolvedValue(mockUser);
       bcrypt.compare.mockResolvedValue(true);
-      jwt.sign.mockImplementation((payload, secret, options, callback) => {
-        callback(null, "admin-token");
+      startSession.mockResolvedValue({
+        token: "admin-token",
+        refreshToken: "session.secret",
       });
 
-      await login(req, res);
+      await login(req, res, next);
 
-      expect(jwt.sign).toHaveBeenCalledWith(
-        { user: { id: "admin123", isAdmin: true } },
-        "test-secret",
-        { expiresIn: "1h" },
-        expect.any(Function)
-      );
       expect(res.json).toHaveBeenCalledWith({
         token: "admin-token",
+        refreshToken: "session.secret",
         isAdmin: true,
       });
     });
@@ -241,10 +289,338 @@ describe("Auth Controller", () => {
       req.body = { email: "test@example.com" };
       User.findOne.mockRejectedValue(new Error("Database error"));
 
-      await login(req, res);
+      const next = jest.fn();
+
+      await login(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Database error" })
+      );
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("login throttling", () => {
+    const mockUser = {
+      _id: "user123",
+      id: "user123",
+      email: "test@example.com",
+      password: "hashedPassword",
+      isApproved: true,
+      isAdmin: false,
+      failedLoginAttempts: 0,
+    };
+
+    beforeEach(() => {
+      req.body = { email: "test@example.com", password: "wrongPassword" };
+    });
+
+    it("should refuse IPs with too many failures before any lookup", async () => {
+      ipWait.mockReturnValue(120000);
+
+      await login(req, res, next);
+
+      expect(res.set).toHaveBeenCalledWith("Retry-After", "120");
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 429 })
+      );
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+
+    it("should make the account wait after repeated failures", async () => {
+      User.findOne.mockResolvedValue(mockUser);
+      accountWait.mockReturnValue({ locked: false, waitMs: 4000 });
+
+      await login(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 429 })
+      );
+      expect(bcrypt.compare).not.toHaveBeenCalled();
+    });
+
+    it("should refuse a locked account", async () => {
+      const lockedUntil = new Date(Date.now() + 60000);
+      User.findOne.mockResolvedValue({ ...mockUser, lockedUntil });
+      accountWait.mockReturnValue({ locked: true, waitMs: 60000 });
+
+      await login(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 423 })
+      );
+      expect(bcrypt.compare).not.toHaveBeenCalled();
+    });
+
+    it("should report the lock when this failure triggers it", async () => {
+      const lockedUntil = new Date(Date.now() + 60000);
+      User.findOne.mockResolvedValue(mockUser);
+      bcrypt.compare.mockResolvedValue(false);
+      recordAccountFailure.mockResolvedValue(lockedUntil);
+
+      await login(req, res, next);
+
+      expect(recordAccountFailure).toHaveBeenCalledWith(mockUser);
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 423,
+          message: "Account is temporarily locked after too many failed attempts",
+          details: { lockedUntil },
+        })
+      );
+    });
+
+    it("should clear earlier failures after a successful login", async () => {
+      req.body.password = "correctPassword";
+      User.findOne.mockResolvedValue({ ...mockUser, failedLoginAttempts: 2 });
+      bcrypt.compare.mockResolvedValue(true);
+      startSession.mockResolvedValue({ token: "t", refreshToken: "r" });
+
+      await login(req, res, next);
+
+      expect(resetAccount).toHaveBeenCalledWith("user123");
+      expect(res.json).toHaveBeenCalledWith({
+        token: "t",
+        refreshToken: "r",
+        isAdmin: false,
+      });
+    });
+  });
+
+  describe("refresh", () => {
+    it("should rotate the refresh token and issue a new access token", async () => {
+      req.body = { refreshToken: "session1.old" };
+      const session = { _id: "session1", id: "session1", user: "user123" };
+      const mockUser = {
+        _id: "user123",
+        id: "user123",
+        isAdmin: false,
+        isApproved: true,
+      };
+      rotateSession.mockResolvedValue({ session, refreshToken: "session1.new" });
+      User.findById.mockResolvedValue(mockUser);
+      signAccessToken.mockReturnValue("new-token");
+
+      await refresh(req, res, next);
+
+      expect(rotateSession).toHaveBeenCalledWith("session1.old");
+      expect(signAccessToken).toHaveBeenCalledWith(mockUser, "session1");
+      expect(res.json).toHaveBeenCalledWith({
+        token: "new-token",
+        refreshToken: "session1.new",
+        isAdmin: false,
+      });
+    });
+
+    it("should return 401 for an unknown, expired or reused token", async () => {
+      req.body = { refreshToken: "session1.reused" };
+      rotateSession.mockResolvedValue(null);
+
+      await refresh(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 401 })
+      );
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    it("should end the session of a deleted user", async () => {
+      req.body = { refreshToken: "session1.old" };
+      rotateSession.mockResolvedValue({
+        session: { _id: "session1", id: "session1", user: "user123" },
+        refreshToken: "session1.new",
+      });
+      User.findById.mockResolvedValue({ _id: "user123", deletedAt: new Date() });
 
-      expect(res.status).toHaveBeenCalledWith(500);
-      expect(res.send).toHaveBeenCalledWith("Server error");
+      await refresh(req, res, next);
+
+      expect(revokeSession).toHaveBeenCalledWith("session1");
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 401 })
+      );
+    });
+
+    it("should end the session of a user who is not approved", async () => {
+      req.body = { refreshToken: "session1.old" };
+      rotateSession.mockResolvedValue({
+        session: { _id: "session1", id: "session1", user: "user123" },
+        refreshToken: "session1.new",
+      });
+      User.findById.mockResolvedValue({ _id: "user123", isApproved: false });
+
+      await refresh(req, res, next);
+
+      expect(revokeSession).toHaveBeenCalledWith("session1");
+      expect(signAccessToken).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 403,
+          message: "Your account is pending approval",
+        })
+      );
+    });
+  });
+
+  describe("logout", () => {
+    it("should revoke the current session", async () => {
+      req.user = { id: "user123" };
+      req.sessionId = "session1";
+
+      await logout(req, res, next);
+
+      expect(revokeSession).toHaveBeenCalledWith("session1");
+      expect(res.json).toHaveBeenCalledWith({ message: "Logged out" });
+    });
+
+    it("should revoke every session of the user", async () => {
+      req.user = { id: "user123" };
+      revokeAllSessions.mockResolvedValue(3);
+
+      await logoutAll(req, res, next);
+
+      expect(revokeAllSessions).toHaveBeenCalledWith("user123");
+      expect(res.json).toHaveBeenCalledWith({
+        message: "Logged out of all devices",
+        revoked: 3,
+      });
+    });
+  });
+
+  describe("forgotPassword", () => {
+    it("should mail a single-use reset link to a known address", async () => {
+      req.body = { email: "test@example.com" };
+      User.findOne.mockResolvedValue({
+        _id: "user123",
+        name: "Test User",
+        email: "test@example.com",
+      });
+      createUserToken.mockResolvedValue("raw-token");
+      sendMail.mockResolvedValue();
+
+      await forgotPassword(req, res, next);
+
+      expect(createUserToken).toHaveBeenCalledWith(
+        "user123",
+        "password_reset",
+        60 * 60 * 1000
+      );
+      const mail = sendMail.mock.calls[0][0];
+      expect(mail.to).toBe("test@example.com");
+      expect(mail.text).toContain("?token=raw-token");
+      expect(res.json).toHaveBeenCalledWith({
+        message: "If that address belongs to an account, a reset link has been sent",
+      });
+    });
+
+    it("should answer the same way for unknown addresses", async () => {
+      req.body = { email: "nobody@example.com" };
+      User.findOne.mockResolvedValue(null);
+
+      await forgotPassword(req, res, next);
+
+      expect(sendMail).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        message: "If that address belongs to an account, a reset link has been sent",
+      });
+    });
+  });
+
+  describe("resetPassword", () => {
+    it("should set the new password and end all sessions", async () => {
+      req.body = { token: "raw-token", password: "brand-new-pass" };
+      const mockUser = {
+        _id: "user123",
+        password: "old-hash",
+        save: jest.fn().mockResolvedValue(true),
+      };
+      consumeUserToken.mockResolvedValue({ user: "user123" });
+      User.findById.mockResolvedValue(mockUser);
+
+      await resetPassword(req, res, next);
+
+      expect(consumeUserToken).toHaveBeenCalledWith("raw-token", "password_reset");
+      expect(mockUser.password).toBe("brand-new-pass");
+      expect(mockUser.save).toHaveBeenCalled();
+      expect(revokeAllSessions).toHaveBeenCalledWith("user123");
+      expect(res.json).toHaveBeenCalledWith({ message: "Password has been reset" });
+    });
+
+    it("should reject used or expired tokens", async () => {
+      req.body = { token: "raw-token", password: "brand-new-pass" };
+      consumeUserToken.mockResolvedValue(null);
+
+      await resetPassword(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 400,
+          message: "Reset token is invalid or expired",
+        })
+      );
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("verifyEmail", () => {
+    it("should mark the address as verified", async () => {
+      req.params = { token: "verify-token" };
+      const mockUser = {
+        _id: "user123",
+        emailVerifiedAt: null,
+        save: jest.fn().mockResolvedValue(true),
+      };
+      consumeUserToken.mockResolvedValue({ user: "user123" });
+      User.findById.mockResolvedValue(mockUser);
+
+      await verifyEmail(req, res, next);
+
+      expect(consumeUserToken).toHaveBeenCalledWith(
+        "verify-token",
+        "email_verification"
+      );
+      expect(mockUser.emailVerifiedAt).toBeInstanceOf(Date);
+      expect(res.json).toHaveBeenCalledWith({ message: "Email address verified" });
+    });
+
+    it("should reject an invalid or used link", async () => {
+      req.params = { token: "verify-token" };
+      consumeUserToken.mockResolvedValue(null);
+
+      await verifyEmail(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 400 })
+      );
+    });
+  });
+
+  describe("resendVerification", () => {
+    it("should send a new link to an unverified account", async () => {
+      req.body = { email: "test@example.com" };
+      User.findOne.mockResolvedValue({
+        _id: "user123",
+        email: "test@example.com",
+        emailVerifiedAt: null,
+      });
+      createUserToken.mockResolvedValue("verify-token");
+
+      await resendVerification(req, res, next);
+
+      expect(sendMail).toHaveBeenCalled();
+      expect(sendMail.mock.calls[0][0].text).toContain("/verify-token");
+    });
+
+    it("should not mail verified accounts but answer the same way", async () => {
+      req.body = { email: "test@example.com" };
+      User.findOne.mockResolvedValue({ _id: "user123", emailVerifiedAt: new Date() });
+
+      await resendVerification(req, res, next);
+
+      expect(sendMail).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        message:
+          "If that address has an unverified account, a verification link has been sent",
+      });
     });
   });
 });
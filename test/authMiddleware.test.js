@@ -0,0 +1,119 @@
+const jwt = require("jsonwebtoken");
+const auth = require("../middleware/auth");
+const User = require("../models/User");
+const { isSessionActive } = require("../utils/sessionUtils");
+
+jest.mock("../models/User");
+jest.mock("../utils/sessionUtils");
+jest.mock("../config/database", () => ({ secret: "test-secret" }));
+
+describe("auth middleware", () => {
+  let req, res, next;
+
+  const withToken = (payload) => {
+    const token = jwt.sign(payload, "test-secret");
+    req.header = jest.fn().mockReturnValue(token);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { header: jest.fn() };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+    next = jest.fn();
+    findUser({
+      id: "user123",
+      name: "Test User",
+      isAdmin: false,
+      isApproved: true,
+      roles: ["librarian"],
+      deletedAt: null,
+    });
+  });
+
+  const findUser = (user) => {
+    User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+  };
+
+  it("should accept a token whose session is active and load the roles", async () => {
+    withToken({ user: { id: "user123", isAdmin: false }, sid: "session1" });
+    isSessionActive.mockResolvedValue(true);
+
+    await auth(req, res, next);
+
+    expect(isSessionActive).toHaveBeenCalledWith("session1", "user123");
+    expect(req.user).toEqual({
+      id: "user123",
+      name: "Test User",
+      isAdmin: false,
+      roles: ["librarian"],
+    });
+    expect(req.sessionId).toBe("session1");
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it("should reject a token from a revoked session", async () => {
+    withToken({ user: { id: "user123" }, sid: "session1" });
+    isSessionActive.mockResolvedValue(false);
+
+    await auth(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(
+      expect.objectContaining({
+        status: 401,
+        message: "Session has been revoked",
+      })
+    );
+    expect(next).not.toHaveBeenCalledWith();
+  });
+
+  it("should reject tokens issued without a session", async () => {
+    withToken({ user: { id: "user123" } });
+
+    await auth(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 401 }));
+    expect(isSessionActive).not.toHaveBeenCalled();
+  });
+
+  it("should reject tokens of deleted users", async () => {
+    withToken({ user: { id: "user123" }, sid: "session1" });
+    isSessionActive.mockResolvedValue(true);
+    findUser({ id: "user123", deletedAt: new Date() });
+
+    await auth(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 401 }));
+    expect(next).not.toHaveBeenCalledWith();
+  });
+
+  it("should reject users who are not approved", async () => {
+    withToken({ user: { id: "user123" }, sid: "session1" });
+    isSessionActive.mockResolvedValue(true);
+    findUser({ id: "user123", isApproved: false, deletedAt: null });
+
+    await auth(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(
+      expect.objectContaining({
+        status: 403,
+        message: "Your account is pending approval",
+      })
+    );
+    expect(req.user).toBeUndefined();
+  });
+
+  it("should reject a missing or invalid token", async () => {
+    await auth(req, res, next);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 401 }));
+
+    req.header.mockReturnValue("not-a-jwt");
+    await auth(req, res, next);
+    expect(next).toHaveBeenLastCalledWith(
+      expect.objectContaining({ status: 401, message: "Token is not valid" })
+    );
+    expect(next).not.toHaveBeenCalledWith();
+  });
+});
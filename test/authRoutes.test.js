@@ -0,0 +1,46 @@
+const request = require("supertest");
+const { createApp } = require("../app");
+const library = require("../config/library");
+
+jest.mock("../controllers/authController", () => {
+  const ok = (req, res) => res.json({ ok: true });
+  return {
+    register: ok,
+    login: ok,
+    refresh: ok,
+    logout: ok,
+    logoutAll: ok,
+    forgotPassword: ok,
+    resetPassword: ok,
+    verifyEmail: ok,
+    resendVerification: ok,
+  };
+});
+
+const authRoutes = require("../routes/auth");
+
+describe("auth routes", () => {
+  const app = createApp({ routes: [["/api/auth", authRoutes]] });
+  const max = library.auth.passwordResetsPerHour;
+
+  it("should limit password reset emails per address", async () => {
+    const send = () =>
+      request(app)
+        .post("/api/auth/forgot-password")
+        .send({ email: "Victim@example.com" });
+
+    for (let i = 0; i < max; i++) {
+      expect((await send()).status).toBe(200);
+    }
+    const res = await send();
+
+    expect(res.status).toBe(429);
+    expect(res.body.message).toBe(
+      "Too many password reset emails requested, please try again later"
+    );
+    const other = await request(app)
+      .post("/api/auth/forgot-password")
+      .send({ email: "someone@example.com" });
+    expect(other.status).toBe(200);
+  });
+});
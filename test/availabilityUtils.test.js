@@ -0,0 +1,74 @@
+const BookCopy = require("../models/BookCopy");
+const Reservation = require("../models/Reservation");
+const {
+  checkAvailability,
+  fullyBookedIntervals,
+} = require("../utils/availabilityUtils");
+
+jest.mock("../models/BookCopy");
+jest.mock("../models/Reservation");
+
+describe("Availability Utils", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("checkAvailability", () => {
+    it("should exclude copies held by overlapping reservations", async () => {
+      BookCopy.find.mockResolvedValue([
+        { _id: "copy1" },
+        { _id: "copy2" },
+        { _id: "copy3" },
+      ]);
+      Reservation.find.mockResolvedValue([
+        {
+          copy: "copy2",
+          startDate: new Date("2024-01-01"),
+          endDate: new Date("2024-01-04"),
+        },
+        { startDate: new Date("2024-01-02") },
+      ]);
+
+      const start = new Date("2024-01-02");
+      const end = new Date("2024-01-03");
+      const { copies, conflicts } = await checkAvailability("bookId", start, end);
+
+      expect(Reservation.find).toHaveBeenCalledWith(
+        expect.objectContaining({ book: "bookId", startDate: { $lte: end } })
+      );
+      // copy2 is assigned, and the legacy approval without a copy takes one more
+      expect(copies).toEqual([{ _id: "copy1" }]);
+      expect(conflicts).toEqual([
+        { startDate: new Date("2024-01-01"), endDate: new Date("2024-01-04") },
+        { startDate: new Date("2024-01-02"), endDate: new Date("2024-01-02") },
+      ]);
+    });
+  });
+
+  describe("fullyBookedIntervals", () => {
+    const day = (d) => new Date(`2024-01-${d}`);
+
+    it("should only report windows where every copy is booked", () => {
+      const bookings = [
+        { startDate: day("01"), endDate: day("05") },
+        { startDate: day("03"), endDate: day("08") },
+        { startDate: day("10"), endDate: day("12") },
+      ];
+
+      expect(fullyBookedIntervals(bookings, 2)).toEqual([
+        { startDate: day("03"), endDate: day("05") },
+      ]);
+    });
+
+    it("should treat back-to-back bookings as overlapping on the shared day", () => {
+      const bookings = [
+        { startDate: day("01"), endDate: day("05") },
+        { startDate: day("05"), endDate: day("07") },
+      ];
+
+      expect(fullyBookedIntervals(bookings, 2)).toEqual([
+        { startDate: day("05"), endDate: day("05") },
+      ]);
+    });
+  });
+});
@@ -3,31 +3,165 @@ const {
   getBook,
   addBook,
   updateBook,
+  patchBook,
+  getAvailability,
+  getCalendar,
+  uploadCover,
+  getCover,
+  deleteBook,
+  restoreBook,
 } = require("../controllers/bookController");
+const Reservation = require("../models/Reservation");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const { saveCover, removeCover, coverPath } = require("../utils/coverUtils");
 const Book = require("../models/Book");
+const AuditLog = require("../models/AuditLog");
+const { BadRequestError } = require("../utils/errors");
+const BookCopy = require("../models/BookCopy");
+const {
+  findAvailableCopies,
+  findOverlappingReservations,
+  findBookIdsWithFreeCopies,
+} = require("../utils/availabilityUtils");
 
 jest.mock("../models/Book");
+jest.mock("../models/AuditLog");
+jest.mock("../models/BookCopy");
+jest.mock("../models/Reservation");
+jest.mock("../models/WaitlistEntry");
+jest.mock("../utils/coverUtils");
+jest.mock("../utils/availabilityUtils", () => ({
+  ...jest.requireActual("../utils/availabilityUtils"),
+  findAvailableCopies: jest.fn(),
+  findOverlappingReservations: jest.fn(),
+  findBookIdsWithFreeCopies: jest.fn(),
+}));
 
 describe("Book Controller", () => {
-  let req, res;
+  let req, res, next;
 
   beforeEach(() => {
     jest.clearAllMocks();
-    req = { body: {}, params: {} };
+    next = jest.fn();
+    req = { body: {}, params: {}, query: {}, user: { id: "adminId", name: "Admin" } };
     res = {
       status: jest.fn().mockReturnThis(),
       json: jest.fn().mockReturnThis(),
       send: jest.fn().mockReturnThis(),
+      sendFile: jest.fn(),
     };
   });
 
-  it("should return all books", async () => {
-    const mockBooks = [{ title: "Book 1" }, { title: "Book 2" }];
-    Book.find.mockResolvedValue(mockBooks);
+  describe("getBooks", () => {
+    let query;
+
+    beforeEach(() => {
+      query = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn(),
+      };
+      Book.find.mockReturnValue(query);
+    });
+
+    it("should return the first page of books sorted by title", async () => {
+      const mockBooks = [{ title: "Book 1" }, { title: "Book 2" }];
+      query.limit.mockResolvedValue(mockBooks);
+      Book.countDocuments.mockResolvedValue(2);
+
+      await getBooks(req, res, next);
+
+      expect(Book.find).toHaveBeenCalledWith({ deletedAt: null }, {});
+      expect(query.sort).toHaveBeenCalledWith({ title: 1 });
+      expect(query.skip).toHaveBeenCalledWith(0);
+      expect(query.limit).toHaveBeenCalledWith(20);
+      expect(res.json).toHaveBeenCalledWith({
+        books: mockBooks,
+        total: 2,
+        page: 1,
+        limit: 20,
+        totalPages: 1,
+      });
+    });
+
+    it("should combine search, filters, sorting and paging", async () => {
+      req.query = {
+        q: "dune",
+        author: "Herbert (Frank)",
+        genre: "Sci-Fi, classic",
+        yearFrom: "1960",
+        yearTo: "1969",
+        sort: "-publicationDate",
+        page: "3",
+        limit: "10",
+      };
+      query.limit.mockResolvedValue([]);
+      Book.countDocuments.mockResolvedValue(25);
+
+      await getBooks(req, res, next);
+
+      const filter = {
+        deletedAt: null,
+        $text: { $search: "dune" },
+        author: { $regex: "Herbert \\(Frank\\)", $options: "i" },
+        genres: { $in: ["sci-fi", "classic"] },
+        publicationDate: {
+          $gte: new Date(Date.UTC(1960, 0, 1)),
+          $lt: new Date(Date.UTC(1970, 0, 1)),
+        },
+      };
+      expect(Book.find).toHaveBeenCalledWith(filter, {
+        score: { $meta: "textScore" },
+      });
+      expect(Book.countDocuments).toHaveBeenCalledWith(filter);
+      expect(query.sort).toHaveBeenCalledWith({ publicationDate: -1 });
+      expect(query.skip).toHaveBeenCalledWith(20);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ total: 25, page: 3, limit: 10, totalPages: 3 })
+      );
+    });
+
+    it("should sort searches by relevance by default", async () => {
+      req.query = { q: "dune" };
+      query.limit.mockResolvedValue([]);
+      Book.countDocuments.mockResolvedValue(0);
+
+      await getBooks(req, res, next);
+
+      expect(query.sort).toHaveBeenCalledWith({ score: { $meta: "textScore" } });
+    });
+
+    it("should filter to books with a free copy", async () => {
+      req.query = { available: "true" };
+      findBookIdsWithFreeCopies.mockResolvedValue(["book1"]);
+      query.limit.mockResolvedValue([]);
+      Book.countDocuments.mockResolvedValue(0);
+
+      await getBooks(req, res, next);
 
-    await getBooks(req, res);
+      expect(Book.find).toHaveBeenCalledWith(
+        { deletedAt: null, _id: { $in: ["book1"] } },
+        {}
+      );
+    });
 
-    expect(res.json).toHaveBeenCalledWith(mockBooks);
+    it.each([
+      [{ page: "0" }, "page must be at least 1 and limit between 1 and 100"],
+      [{ limit: "500" }, "page must be at least 1 and limit between 1 and 100"],
+      [{ sort: "price" }, "Unknown sort option: price"],
+      [{ sort: "relevance" }, "Unknown sort option: relevance"],
+      [{ yearFrom: "19x0" }, "Publication years must be whole numbers"],
+      [{ available: "yes" }, "available must be true or false"],
+    ])("should return 400 for invalid query %o", async (params, message) => {
+      req.query = params;
+
+      await getBooks(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 400, message })
+      );
+      expect(Book.find).not.toHaveBeenCalled();
+    });
   });
 
   it("should return a single book by ID", async () => {
@@ -35,7 +169,7 @@ describe("Book Controller", () => {
     req.params.id = "123";
     Book.findById.mockResolvedValue(mockBook);
 
-    await getBook(req, res);
+    await getBook(req, res, next);
 
     expect(res.json).toHaveBeenCalledWith(mockBook);
   });
@@ -44,24 +178,94 @@ describe("Book Controller", () => {
     req.params.id = "123";
     Book.findById.mockResolvedValue(null);
 
-    await getBook(req, res);
+    await getBook(req, res, next);
 
-    expect(res.status).toHaveBeenCalledWith(404);
-    expect(res.json).toHaveBeenCalledWith({ message: "Book not found" });
+    expect(next).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 404, message: "Book not found" })
+    );
   });
 
   it("should add a new book", async () => {
-    const mockBook = { title: "New Book", author: "Author Name" };
+    const mockBook = {
+      title: "New Book",
+      author: "Author Name",
+      publicationDate: "2020-05-01",
+      description: "About the book",
+      isbn: "0-306-40615-2",
+      genres: ["Fiction", " fiction", "Classic"],
+      language: "EN",
+      pageCount: "320",
+    };
     req.body = mockBook;
+    Book.findOne.mockResolvedValue(null);
 
     Book.prototype.save = jest.fn().mockResolvedValue(mockBook);
 
-    await addBook(req, res);
+    await addBook(req, res, next);
 
+    expect(Book.findOne).toHaveBeenCalledWith({ isbn: "9780306406157" });
+    expect(Book).toHaveBeenCalledWith({
+      title: "New Book",
+      author: "Author Name",
+      publicationDate: new Date("2020-05-01"),
+      description: "About the book",
+      isbn: "9780306406157",
+      genres: ["fiction", "classic"],
+      language: "en",
+      pageCount: 320,
+    });
     expect(Book.prototype.save).toHaveBeenCalled(); // optional: verify save called
     expect(res.json).toHaveBeenCalledWith(mockBook);
   });
 
+  it("should reject invalid book data with a per-field report", async () => {
+    req.body = {
+      title: "New Book",
+      publicationDate: "someday",
+      description: "About the book",
+      isbn: "978-0-306-40615-8",
+      pageCount: -3,
+    };
+
+    await addBook(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(
+      expect.objectContaining({
+        status: 422,
+        message: "Validation failed",
+        details: {
+          errors: [
+            { field: "author", message: "author is required" },
+            { field: "publicationDate", message: "publicationDate must be a valid date" },
+            { field: "isbn", message: "isbn must be a valid ISBN-10 or ISBN-13" },
+            { field: "pageCount", message: "pageCount must be a positive whole number" },
+          ],
+        },
+      })
+    );
+    expect(Book).not.toHaveBeenCalled();
+  });
+
+  it("should reject a duplicate ISBN", async () => {
+    req.body = {
+      title: "New Book",
+      author: "Author Name",
+      publicationDate: "2020-05-01",
+      description: "About the book",
+      isbn: "9780306406157",
+    };
+    Book.findOne.mockResolvedValue({ _id: "existingBook" });
+
+    await addBook(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(
+      expect.objectContaining({
+        status: 409,
+        message: "A book with this ISBN already exists",
+      })
+    );
+  });
+
   it("should update an existing book", async () => {
     const mockBook = {
       _id: "bookId123",
@@ -77,7 +281,7 @@ describe("Book Controller", () => {
 
     Book.findById.mockResolvedValue(mockBook);
 
-    await updateBook(req, res);
+    await updateBook(req, res, next);
 
     expect(mockBook.title).toBe("Updated Title");
 
@@ -86,13 +290,415 @@ describe("Book Controller", () => {
     expect(res.json).toHaveBeenCalledWith(mockBook);
   });
 
+  it("should reject an ISBN used by another book on update", async () => {
+    req.params.id = "bookId123";
+    req.body = { isbn: "0306406152" };
+    Book.findById.mockResolvedValue({ _id: "bookId123", save: jest.fn() });
+    Book.findOne.mockResolvedValue({ _id: "otherBook" });
+
+    await updateBook(req, res, next);
+
+    expect(Book.findOne).toHaveBeenCalledWith({
+      isbn: "9780306406157",
+      _id: { $ne: "bookId123" },
+    });
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 409 }));
+  });
+
   it("should return 404 if book to update is not found", async () => {
     req.params.id = "123";
     Book.findById.mockResolvedValue(null);
 
-    await updateBook(req, res);
+    await updateBook(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 404, message: "Book not found" })
+    );
+  });
+
+  describe("getAvailability", () => {
+    it("should report free copies for the requested range", async () => {
+      req.params.id = "bookId123";
+      req.query = { startDate: "2024-01-01", endDate: "2024-01-05" };
+      Book.findById.mockResolvedValue({ _id: "bookId123" });
+      BookCopy.countDocuments.mockResolvedValue(3);
+      findAvailableCopies.mockResolvedValue([{ _id: "copy1" }]);
+
+      await getAvailability(req, res, next);
+
+      expect(BookCopy.countDocuments).toHaveBeenCalledWith({
+        book: "bookId123",
+        status: "active",
+      });
+      expect(findAvailableCopies).toHaveBeenCalledWith(
+        "bookId123",
+        new Date("2024-01-01"),
+        new Date("2024-01-05")
+      );
+      expect(res.json).toHaveBeenCalledWith({
+        book: "bookId123",
+        startDate: new Date("2024-01-01"),
+        endDate: new Date("2024-01-05"),
+        totalCopies: 3,
+        availableCopies: 1,
+      });
+    });
+
+    it("should return 400 when the range ends before it starts", async () => {
+      req.params.id = "bookId123";
+      req.query = { startDate: "2024-01-05", endDate: "2024-01-01" };
+
+      await getAvailability(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 400, message: "Invalid date range" })
+      );
+      expect(Book.findById).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 if book not found", async () => {
+      req.params.id = "123";
+      Book.findById.mockResolvedValue(null);
+
+      await getAvailability(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 404, message: "Book not found" })
+      );
+    });
+  });
+
+  describe("getCalendar", () => {
+    it("should return bookings and fully booked windows", async () => {
+      req.params.id = "bookId123";
+      req.query = { from: "2024-01-01", to: "2024-01-31" };
+      Book.findById.mockResolvedValue({ _id: "bookId123" });
+      BookCopy.countDocuments.mockResolvedValue(1);
+      findOverlappingReservations.mockResolvedValue([
+        { startDate: new Date("2024-01-03"), endDate: new Date("2024-01-05") },
+        { startDate: new Date("2024-01-10") },
+      ]);
+
+      await getCalendar(req, res, next);
+
+      expect(findOverlappingReservations).toHaveBeenCalledWith(
+        "bookId123",
+        new Date("2024-01-01"),
+        new Date("2024-01-31")
+      );
+      expect(res.json).toHaveBeenCalledWith({
+        book: "bookId123",
+        from: new Date("2024-01-01"),
+        to: new Date("2024-01-31"),
+        totalCopies: 1,
+        bookings: [
+          { startDate: new Date("2024-01-03"), endDate: new Date("2024-01-05") },
+          { startDate: new Date("2024-01-10"), endDate: new Date("2024-01-10") },
+        ],
+        unavailable: [
+          { startDate: new Date("2024-01-03"), endDate: new Date("2024-01-05") },
+          { startDate: new Date("2024-01-10"), endDate: new Date("2024-01-10") },
+        ],
+      });
+    });
+
+    it("should mark the whole window unavailable when there are no copies", async () => {
+      req.params.id = "bookId123";
+      req.query = { from: "2024-01-01", to: "2024-01-31" };
+      Book.findById.mockResolvedValue({ _id: "bookId123" });
+      BookCopy.countDocuments.mockResolvedValue(0);
+      findOverlappingReservations.mockResolvedValue([]);
+
+      await getCalendar(req, res, next);
+
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          unavailable: [
+            { startDate: new Date("2024-01-01"), endDate: new Date("2024-01-31") },
+          ],
+        })
+      );
+    });
+
+    it("should return 400 for an invalid window", async () => {
+      req.params.id = "bookId123";
+      req.query = { from: "2024-02-01", to: "2024-01-01" };
+
+      await getCalendar(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 400, message: "Invalid date range" })
+      );
+    });
+  });
+
+  describe("covers", () => {
+    it("should store an uploaded cover on the book", async () => {
+      req.params.id = "bookId123";
+      req.file = { buffer: Buffer.from("image") };
+      const mockBook = { _id: "bookId123", save: jest.fn().mockResolvedValue(true) };
+      Book.findById.mockResolvedValue(mockBook);
+      saveCover.mockResolvedValue({
+        filename: "bookId123.jpg",
+        thumbnail: "bookId123-thumb.jpg",
+      });
+
+      await uploadCover(req, res, next);
+
+      expect(saveCover).toHaveBeenCalledWith("bookId123", req.file.buffer);
+      expect(mockBook.cover).toEqual({
+        filename: "bookId123.jpg",
+        thumbnail: "bookId123-thumb.jpg",
+        uploadedAt: expect.any(Date),
+      });
+      expect(mockBook.save).toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(mockBook);
+    });
+
+    it("should pass on a file that is not a real image", async () => {
+      req.params.id = "bookId123";
+      req.file = { buffer: Buffer.from("not an image") };
+      const mockBook = { _id: "bookId123", save: jest.fn() };
+      Book.findById.mockResolvedValue(mockBook);
+      const error = new BadRequestError("File is not a supported image");
+      saveCover.mockRejectedValue(error);
+      const next = jest.fn();
+
+      await uploadCover(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+      expect(mockBook.save).not.toHaveBeenCalled();
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+
+    it("should serve the thumbnail unless the full size is asked for", async () => {
+      req.params.id = "bookId123";
+      Book.findById.mockResolvedValue({
+        cover: { filename: "bookId123.jpg", thumbnail: "bookId123-thumb.jpg" },
+      });
+      coverPath.mockImplementation((name) => `/covers/${name}`);
+
+      await getCover(req, res, next);
+      req.query.size = "full";
+      await getCover(req, res, next);
+
+      expect(res.sendFile).toHaveBeenNthCalledWith(
+        1,
+        "/covers/bookId123-thumb.jpg",
+        expect.any(Function)
+      );
+      expect(res.sendFile).toHaveBeenNthCalledWith(
+        2,
+        "/covers/bookId123.jpg",
+        expect.any(Function)
+      );
+    });
+
+    it("should return 404 when the cover file is missing", async () => {
+      req.params.id = "bookId123";
+      Book.findById.mockResolvedValue({
+        _id: "bookId123",
+        cover: { filename: "bookId123.jpg", thumbnail: "bookId123-thumb.jpg" },
+      });
+      const missing = Object.assign(new Error("Not Found"), {
+        code: "ENOENT",
+        status: 404,
+      });
+      res.sendFile = jest.fn((file, done) => done(missing));
+
+      await getCover(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 404,
+          message: "Book has no cover image",
+        })
+      );
+    });
+
+    it("should return 404 when the book has no cover", async () => {
+      req.params.id = "bookId123";
+      Book.findById.mockResolvedValue({ _id: "bookId123" });
+
+      await getCover(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 404,
+          message: "Book has no cover image",
+        })
+      );
+    });
+  });
+
+  describe("archiving", () => {
+    let mockBook;
+
+    beforeEach(() => {
+      req.params.id = "bookId123";
+      mockBook = {
+        _id: "bookId123",
+        deletedAt: null,
+        save: jest.fn().mockResolvedValue(true),
+      };
+      Book.findById.mockResolvedValue(mockBook);
+    });
+
+    it("should archive a book by default", async () => {
+      await deleteBook(req, res, next);
+
+      expect(mockBook.deletedAt).toBeInstanceOf(Date);
+      expect(mockBook.save).toHaveBeenCalled();
+      expect(Book.deleteOne).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(mockBook);
+    });
+
+    it("should hard-delete a book with no outstanding reservations", async () => {
+      req.query.hard = "true";
+      mockBook.cover = { filename: "b.jpg", thumbnail: "b-thumb.jpg" };
+      Reservation.countDocuments.mockResolvedValue(0);
+
+      await deleteBook(req, res, next);
+
+      expect(Reservation.countDocuments).toHaveBeenCalledWith({
+        book: "bookId123",
+        status: { $in: ["pending", "approved", "checked_out", "overdue"] },
+      });
+      expect(BookCopy.deleteMany).toHaveBeenCalledWith({ book: "bookId123" });
+      expect(WaitlistEntry.deleteMany).toHaveBeenCalledWith({ book: "bookId123" });
+      expect(removeCover).toHaveBeenCalledWith(mockBook.cover);
+      expect(Book.deleteOne).toHaveBeenCalledWith({ _id: "bookId123" });
+      expect(res.json).toHaveBeenCalledWith({ message: "Book deleted permanently" });
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "book.delete",
+          before: expect.objectContaining({ cover: mockBook.cover }),
+          after: null,
+        })
+      );
+    });
+
+    it("should refuse to hard-delete a book with active reservations", async () => {
+      req.query.hard = "true";
+      Reservation.countDocuments.mockResolvedValue(2);
+
+      await deleteBook(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 409,
+          message: "Book has active reservations and cannot be deleted",
+          details: { activeReservations: 2 },
+        })
+      );
+      expect(Book.deleteOne).not.toHaveBeenCalled();
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+
+    it("should restore an archived book", async () => {
+      mockBook.deletedAt = new Date();
+
+      await restoreBook(req, res, next);
+
+      expect(mockBook.deletedAt).toBeNull();
+      expect(res.json).toHaveBeenCalledWith(mockBook);
+    });
+
+    it("should return 400 when restoring a book that is not archived", async () => {
+      await restoreBook(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 400,
+          message: "Book is not archived",
+        })
+      );
+    });
+  });
+
+  describe("patchBook", () => {
+    it("should only change the supplied fields and clear nulls", async () => {
+      const mockBook = {
+        _id: "bookId123",
+        title: "Original Title",
+        publisher: "Old Press",
+        save: jest.fn().mockResolvedValue(true),
+      };
+      req.params.id = "bookId123";
+      req.body = { title: "  New Title ", publisher: null };
+      Book.findOne.mockResolvedValue(mockBook);
+
+      await patchBook(req, res, next);
+
+      expect(Book.findOne).toHaveBeenCalledWith({ _id: "bookId123", deletedAt: null });
+      expect(mockBook.title).toBe("New Title");
+      expect(mockBook.publisher).toBeUndefined();
+      expect(mockBook.save).toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(mockBook);
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          actor: "adminId",
+          action: "book.update",
+          targetType: "Book",
+          target: "bookId123",
+          before: { title: "Original Title", publisher: "Old Press" },
+          after: { title: "New Title", publisher: null },
+        })
+      );
+    });
+
+    it("should list every invalid or unknown field with 422", async () => {
+      req.params.id = "bookId123";
+      req.body = {
+        publicationDate: "not a date",
+        pageCount: -3,
+        title: null,
+        rating: 5,
+      };
+
+      await patchBook(req, res, next);
+
+      expect(Book.findOne).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 422,
+          message: "Validation failed",
+          details: {
+            errors: [
+              { field: "rating", message: "rating is not an allowed field" },
+              { field: "title", message: "title cannot be cleared" },
+              { field: "publicationDate", message: "publicationDate must be a valid date" },
+              { field: "pageCount", message: "pageCount must be a positive whole number" },
+            ],
+          },
+        })
+      );
+    });
+
+    it("should reject an ISBN used by another book with 409", async () => {
+      req.params.id = "bookId123";
+      req.body = { isbn: "0306406152" };
+      Book.findOne
+        .mockResolvedValueOnce({ _id: "bookId123", save: jest.fn() })
+        .mockResolvedValueOnce({ _id: "otherBook" });
+
+      await patchBook(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 409 })
+      );
+    });
+
+    it("should return 404 for a missing or archived book", async () => {
+      req.params.id = "bookId123";
+      req.body = { title: "New Title" };
+      Book.findOne.mockResolvedValue(null);
+
+      await patchBook(req, res, next);
 
-    expect(res.status).toHaveBeenCalledWith(404);
-    expect(res.json).toHaveBeenCalledWith({ message: "Book not found" });
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 404 })
+      );
+    });
   });
 });
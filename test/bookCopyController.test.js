@@ -0,0 +1,172 @@
+const Book = require("../models/Book");
+const BookCopy = require("../models/BookCopy");
+const AuditLog = require("../models/AuditLog");
+const {
+  getCopies,
+  addCopy,
+  updateCopy,
+} = require("../controllers/bookCopyController");
+
+jest.mock("../models/Book");
+jest.mock("../models/BookCopy");
+jest.mock("../models/AuditLog");
+
+describe("Book Copy Controller", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    next = jest.fn();
+    req = { body: {}, params: { id: "bookId123" }, user: { id: "adminId", name: "Admin" } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn(),
+    };
+  });
+
+  describe("getCopies", () => {
+    it("should return the copies of a book", async () => {
+      const mockCopies = [{ barcode: "B-1" }, { barcode: "B-2" }];
+      BookCopy.find.mockResolvedValue(mockCopies);
+
+      await getCopies(req, res, next);
+
+      expect(BookCopy.find).toHaveBeenCalledWith({ book: "bookId123" });
+      expect(res.json).toHaveBeenCalledWith(mockCopies);
+    });
+
+    it("should handle server errors", async () => {
+      BookCopy.find.mockRejectedValue(new Error("Database error"));
+
+      const next = jest.fn();
+
+      await getCopies(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Database error" })
+      );
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("addCopy", () => {
+    it("should add a copy to an existing book", async () => {
+      req.body = { barcode: "B-1", condition: "new", shelfLocation: "A3" };
+      Book.findById.mockResolvedValue({ _id: "bookId123" });
+      BookCopy.findOne.mockResolvedValue(null);
+      const savedCopy = { _id: "copyId1", barcode: "B-1" };
+      BookCopy.prototype.save = jest.fn().mockResolvedValue(savedCopy);
+
+      await addCopy(req, res, next);
+
+      expect(BookCopy.findOne).toHaveBeenCalledWith({ barcode: "B-1" });
+      expect(BookCopy).toHaveBeenCalledWith({
+        book: "bookId123",
+        barcode: "B-1",
+        condition: "new",
+        shelfLocation: "A3",
+      });
+      expect(res.json).toHaveBeenCalledWith(savedCopy);
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "copy.create",
+          targetType: "BookCopy",
+          target: "copyId1",
+          before: null,
+          after: expect.objectContaining({ barcode: "B-1" }),
+        })
+      );
+    });
+
+    it("should return 404 if book not found", async () => {
+      Book.findById.mockResolvedValue(null);
+
+      await addCopy(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 404, message: "Book not found" })
+      );
+    });
+
+    it("should return 409 if the barcode is already used", async () => {
+      req.body = { barcode: "B-1" };
+      Book.findById.mockResolvedValue({ _id: "bookId123" });
+      BookCopy.findOne.mockResolvedValue({ _id: "copyId9", barcode: "B-1" });
+
+      await addCopy(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 409,
+          message: "Barcode already in use",
+        })
+      );
+    });
+  });
+
+  describe("updateCopy", () => {
+    it("should update condition, location and status", async () => {
+      req.params.copyId = "copyId1";
+      req.body = { condition: "poor", status: "maintenance" };
+      const mockCopy = {
+        _id: "copyId1",
+        condition: "good",
+        shelfLocation: "A3",
+        status: "active",
+        save: jest.fn().mockResolvedValue(true),
+      };
+      BookCopy.findOne.mockResolvedValue(mockCopy);
+
+      await updateCopy(req, res, next);
+
+      expect(BookCopy.findOne).toHaveBeenCalledWith({
+        _id: "copyId1",
+        book: "bookId123",
+      });
+      expect(mockCopy.condition).toBe("poor");
+      expect(mockCopy.shelfLocation).toBe("A3");
+      expect(mockCopy.status).toBe("maintenance");
+      expect(res.json).toHaveBeenCalledWith(mockCopy);
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "copy.update",
+          target: "copyId1",
+          before: { condition: "good", status: "active" },
+          after: { condition: "poor", status: "maintenance" },
+        })
+      );
+    });
+
+    it("should only change supplied fields and clear nulls", async () => {
+      req.params.copyId = "copyId1";
+      req.body = { shelfLocation: null };
+      const mockCopy = {
+        _id: "copyId1",
+        condition: "good",
+        shelfLocation: "A3",
+        status: "active",
+        save: jest.fn().mockResolvedValue(true),
+      };
+      BookCopy.findOne.mockResolvedValue(mockCopy);
+
+      await updateCopy(req, res, next);
+
+      expect(mockCopy.shelfLocation).toBeUndefined();
+      expect(mockCopy.condition).toBe("good");
+      expect(mockCopy.status).toBe("active");
+      expect(mockCopy.save).toHaveBeenCalled();
+    });
+
+    it("should return 404 if copy not found", async () => {
+      req.params.copyId = "missing";
+      BookCopy.findOne.mockResolvedValue(null);
+
+      await updateCopy(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 404, message: "Copy not found" })
+      );
+    });
+  });
+});
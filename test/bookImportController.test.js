@@ -0,0 +1,211 @@
+const Book = require("../models/Book");
+const AuditLog = require("../models/AuditLog");
+const {
+  importBooks,
+  exportBooks,
+} = require("../controllers/bookImportController");
+
+jest.mock("../models/Book");
+jest.mock("../models/AuditLog");
+
+describe("Book Import Controller", () => {
+  let req, res, next;
+
+  const upload = (name, content) => ({
+    originalname: name,
+    buffer: Buffer.from(content),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    next = jest.fn();
+    req = { query: {}, body: {}, user: { id: "adminId", name: "Admin" } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn(),
+      type: jest.fn().mockReturnThis(),
+      attachment: jest.fn(),
+    };
+  });
+
+  describe("importBooks", () => {
+    const csvFile = [
+      "isbn,title,author,publicationDate,description,genres",
+      '0-306-40615-2,Existing,Author A,2001-01-01,Desc,"fiction,classic"',
+      ",New Book,Author B,2002-02-02,Desc,",
+      "bad-isbn,Broken,,2003-03-03,Desc,",
+    ].join("\n");
+
+    it("should report what would happen in a dry run without writing", async () => {
+      req.file = upload("books.csv", csvFile);
+      req.query.dryRun = "true";
+      const existing = { _id: "book1", save: jest.fn() };
+      Book.findOne.mockResolvedValue(existing);
+
+      await importBooks(req, res, next);
+
+      expect(Book.findOne).toHaveBeenCalledWith({ isbn: "9780306406157" });
+      expect(existing.save).not.toHaveBeenCalled();
+      expect(Book).not.toHaveBeenCalled();
+      expect(AuditLog.create).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        dryRun: true,
+        total: 3,
+        created: 1,
+        updated: 1,
+        failed: 1,
+        rows: [
+          { row: 2, status: "updated", isbn: "9780306406157" },
+          { row: 3, status: "created", isbn: undefined },
+          {
+            row: 4,
+            status: "error",
+            errors: [
+              { field: "author", message: "author is required" },
+              { field: "isbn", message: "isbn must be a valid ISBN-10 or ISBN-13" },
+            ],
+          },
+        ],
+      });
+    });
+
+    it("should upsert books by ISBN", async () => {
+      req.file = upload("books.csv", csvFile);
+      const existing = { _id: "book1", title: "Old", save: jest.fn() };
+      Book.findOne.mockResolvedValue(existing);
+      Book.prototype.save = jest.fn().mockResolvedValue(true);
+
+      await importBooks(req, res, next);
+
+      expect(existing.title).toBe("Existing");
+      expect(existing.genres).toEqual(["fiction", "classic"]);
+      expect(existing.save).toHaveBeenCalled();
+      expect(Book.prototype.save).toHaveBeenCalledTimes(1);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ dryRun: false, created: 1, updated: 1, failed: 1 })
+      );
+      expect(AuditLog.create).toHaveBeenCalledTimes(2);
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          actor: "adminId",
+          action: "book.import.update",
+          targetType: "Book",
+          target: "book1",
+          before: expect.objectContaining({ title: "Old" }),
+          after: expect.objectContaining({ title: "Existing" }),
+        })
+      );
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "book.import.create",
+          before: null,
+          after: expect.objectContaining({ title: "New Book" }),
+        })
+      );
+    });
+
+    it("should import JSON and flag ISBNs repeated in the file", async () => {
+      const book = {
+        isbn: "9780306406157",
+        title: "T",
+        author: "A",
+        publicationDate: "2001-01-01",
+        description: "D",
+      };
+      req.file = upload("books.json", JSON.stringify([book, book]));
+      req.query.dryRun = "true";
+      Book.findOne.mockResolvedValue(null);
+
+      await importBooks(req, res, next);
+
+      const report = res.json.mock.calls[0][0];
+      expect(report.rows[0]).toEqual({ row: 1, status: "created", isbn: "9780306406157" });
+      expect(report.rows[1]).toEqual({
+        row: 2,
+        status: "error",
+        errors: [{ field: "isbn", message: "isbn appears more than once in this file" }],
+      });
+    });
+
+    it("should return 400 for unparseable files", async () => {
+      req.file = upload("books.json", "{not json");
+
+      await importBooks(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 400,
+          message: expect.stringMatching(/^Could not parse file/),
+        })
+      );
+    });
+
+    it("should return 400 for unsupported formats", async () => {
+      req.file = upload("books.xlsx", "");
+
+      await importBooks(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 400,
+          message: "Format must be csv or json",
+        })
+      );
+    });
+  });
+
+  describe("exportBooks", () => {
+    const books = [
+      {
+        isbn: "9780306406157",
+        title: "Book, One",
+        author: "Author",
+        publicationDate: new Date("2001-01-01"),
+        description: "Desc",
+        genres: ["fiction", "classic"],
+        pageCount: 100,
+      },
+    ];
+
+    beforeEach(() => {
+      Book.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(books) });
+    });
+
+    it("should export CSV", async () => {
+      req.query.format = "csv";
+
+      await exportBooks(req, res, next);
+
+      expect(res.attachment).toHaveBeenCalledWith("books.csv");
+      expect(res.type).toHaveBeenCalledWith("text/csv");
+      expect(res.send).toHaveBeenCalledWith(
+        "isbn,title,author,publicationDate,description,genres,language,publisher,pageCount,edition\r\n" +
+          '9780306406157,"Book, One",Author,2001-01-01,Desc,"fiction,classic",,,100,\r\n'
+      );
+    });
+
+    it("should export JSON by default", async () => {
+      await exportBooks(req, res, next);
+
+      expect(res.attachment).toHaveBeenCalledWith("books.json");
+      expect(res.json).toHaveBeenCalledWith([
+        expect.objectContaining({
+          isbn: "9780306406157",
+          publicationDate: "2001-01-01",
+          genres: "fiction,classic",
+        }),
+      ]);
+    });
+
+    it("should return 400 for unknown formats", async () => {
+      req.query.format = "xml";
+
+      await exportBooks(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 400 })
+      );
+    });
+  });
+});
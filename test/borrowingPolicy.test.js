@@ -0,0 +1,175 @@
+const User = require("../models/User");
+const Reservation = require("../models/Reservation");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const { getBalance } = require("../utils/fineUtils");
+const {
+  evaluate,
+  parseBlackouts,
+  checkReservationPolicy,
+  checkRenewalPolicy,
+} = require("../utils/borrowingPolicy");
+
+jest.mock("../models/User");
+jest.mock("../models/Reservation");
+jest.mock("../models/WaitlistEntry");
+jest.mock("../utils/fineUtils", () => ({
+  ...jest.requireActual("../utils/fineUtils"),
+  getBalance: jest.fn(),
+}));
+
+describe("Borrowing Policy", () => {
+  const rules = { maxConcurrent: 2, maxLoanDays: 7, minLeadDays: 1 };
+  const now = new Date(2024, 0, 10, 12);
+  const base = {
+    rules,
+    start: new Date(2024, 0, 12),
+    end: new Date(2024, 0, 15),
+    activeCount: 0,
+    balance: 0,
+    now,
+    blackouts: [],
+  };
+  const codes = (reasons) => reasons.map((r) => r.code);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("evaluate", () => {
+    it("should allow a loan within every rule", () => {
+      expect(evaluate(base)).toEqual([]);
+    });
+
+    it("should report every broken rule", () => {
+      const reasons = evaluate({
+        ...base,
+        start: new Date(2024, 0, 10),
+        end: new Date(2024, 0, 20),
+        activeCount: 2,
+        balance: 5000,
+        blackouts: parseBlackouts(["2024-01-18..2024-01-19"]),
+      });
+
+      expect(codes(reasons)).toEqual([
+        "MAX_CONCURRENT",
+        "MAX_LOAN_LENGTH",
+        "MIN_LEAD_TIME",
+        "BLACKOUT_DATE",
+        "OUTSTANDING_FINES",
+      ]);
+      expect(reasons[0].message).toBe(
+        "You may hold at most 2 reservations at a time"
+      );
+    });
+
+    it("should count both the first and last day of the loan", () => {
+      expect(
+        codes(evaluate({ ...base, end: new Date(2024, 0, 18) }))
+      ).toEqual([]);
+      expect(
+        codes(evaluate({ ...base, end: new Date(2024, 0, 19) }))
+      ).toEqual(["MAX_LOAN_LENGTH"]);
+    });
+
+    it("should skip the lead time when asked to", () => {
+      expect(
+        evaluate({ ...base, start: new Date(2024, 0, 10), checkLeadTime: false })
+      ).toEqual([]);
+    });
+  });
+
+  describe("checkReservationPolicy", () => {
+    it("should apply the user's tier and count their open reservations", async () => {
+      User.findById.mockResolvedValue({ tier: "standard" });
+      Reservation.countDocuments.mockResolvedValue(3);
+      getBalance.mockResolvedValue(0);
+      const start = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+
+      const reasons = await checkReservationPolicy("userId123", start, start);
+
+      expect(Reservation.countDocuments).toHaveBeenCalledWith({
+        user: "userId123",
+        status: { $in: ["pending", "approved", "checked_out", "overdue"] },
+      });
+      expect(codes(reasons)).toEqual(["MAX_CONCURRENT"]);
+    });
+
+    it("should leave the reservation being approved out of the count", async () => {
+      User.findById.mockResolvedValue({ tier: "premium" });
+      Reservation.countDocuments.mockResolvedValue(0);
+      getBalance.mockResolvedValue(0);
+      const past = new Date(2000, 0, 1);
+
+      const reasons = await checkReservationPolicy("userId123", past, past, "res1");
+
+      expect(Reservation.countDocuments).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: { $ne: "res1" } })
+      );
+      expect(reasons).toEqual([]);
+    });
+  });
+
+  describe("checkRenewalPolicy", () => {
+    const reservation = (overrides) => ({
+      _id: "res1",
+      user: "userId123",
+      book: { _id: "bookId123" },
+      copy: "copy1",
+      status: "checked_out",
+      endDate: new Date(2024, 0, 10),
+      renewals: [],
+      ...overrides,
+    });
+
+    beforeEach(() => {
+      User.findById.mockResolvedValue({ tier: "standard" });
+      WaitlistEntry.countDocuments.mockResolvedValue(0);
+      Reservation.find.mockResolvedValue([]);
+    });
+
+    it("should extend by the tier's loan period", async () => {
+      const result = await checkRenewalPolicy(reservation());
+
+      expect(result).toEqual({
+        previousEndDate: new Date(2024, 0, 10),
+        newEndDate: new Date(2024, 0, 24),
+        reasons: [],
+      });
+      expect(Reservation.find).toHaveBeenCalledWith(
+        expect.objectContaining({
+          book: "bookId123",
+          startDate: { $lte: new Date(2024, 0, 24) },
+          _id: { $ne: "res1" },
+        })
+      );
+    });
+
+    it("should refuse when people are waiting or the limit is reached", async () => {
+      WaitlistEntry.countDocuments.mockResolvedValue(2);
+      const renewals = [{}, {}];
+
+      const { reasons } = await checkRenewalPolicy(reservation({ renewals }));
+
+      expect(codes(reasons)).toEqual(["MAX_RENEWALS", "WAITLIST"]);
+    });
+
+    it("should refuse when the same copy is booked afterwards", async () => {
+      Reservation.find.mockResolvedValue([
+        { copy: "copy2" },
+        { copy: "copy1" },
+      ]);
+
+      const { reasons } = await checkRenewalPolicy(reservation());
+
+      expect(codes(reasons)).toEqual(["COPY_BOOKED"]);
+    });
+
+    it("should refuse reservations that are not out on loan", async () => {
+      const { reasons } = await checkRenewalPolicy(
+        reservation({ status: "overdue" })
+      );
+
+      expect(codes(reasons)).toEqual(["NOT_RENEWABLE"]);
+    });
+  });
+});
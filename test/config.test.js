@@ -0,0 +1,164 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createConfig, ConfigError } = require("../config");
+const { parseEnvFile, loadEnvFile } = require("../config/env");
+
+describe("createConfig", () => {
+  it("should use the development profile by default", () => {
+    const config = createConfig({});
+
+    expect(config.env).toBe("development");
+    expect(config.server.port).toBe(3000);
+    expect(config.server.trustProxy).toBe(false);
+    expect(config.database.url).toBe("mongodb://localhost/book_reservation_app");
+    expect(config.cors.origins).toEqual(["*"]);
+    expect(config.scheduler.enabled).toBe(true);
+  });
+
+  it("should disable the scheduler in the test profile", () => {
+    const config = createConfig({ NODE_ENV: "test" });
+
+    expect(config.scheduler.enabled).toBe(false);
+    expect(config.database.url).toBe("mongodb://localhost/book_reservation_test");
+  });
+
+  it("should read typed values from the environment", () => {
+    const config = createConfig({
+      PORT: "8080",
+      ACCESS_TOKEN_TTL: "5m",
+      REFRESH_TOKEN_DAYS: "7",
+      CORS_ORIGINS: "https://a.example, https://b.example",
+      SCHEDULER_ENABLED: "false",
+      FINE_DAILY_FEE: "75",
+      BLACKOUT_DATES: "2024-12-25,2024-12-30..2025-01-02",
+    });
+
+    expect(config.server.port).toBe(8080);
+    expect(config.auth.accessTokenTtl).toBe("5m");
+    expect(config.auth.refreshTokenDays).toBe(7);
+    expect(config.cors.origins).toEqual(["https://a.example", "https://b.example"]);
+    expect(config.scheduler.enabled).toBe(false);
+    expect(config.fines.dailyFee).toBe(75);
+    expect(config.policy.blackoutDates).toEqual(["2024-12-25", "2024-12-30..2025-01-02"]);
+  });
+
+  it.each([
+    ["true", true],
+    ["2", 2],
+    ["loopback, 10.0.0.0/8", ["loopback", "10.0.0.0/8"]],
+  ])("should read TRUST_PROXY=%s", (value, expected) => {
+    expect(createConfig({ TRUST_PROXY: value }).server.trustProxy).toEqual(expected);
+  });
+
+  it("should report every malformed value at once", () => {
+    expect.assertions(2);
+    try {
+      createConfig({ PORT: "abc", REFRESH_TOKEN_DAYS: "0", SCHEDULER_ENABLED: "maybe" });
+    } catch (err) {
+      expect(err).toBeInstanceOf(ConfigError);
+      expect(err.problems).toEqual([
+        "PORT must be a whole number of at least 0",
+        "REFRESH_TOKEN_DAYS must be a number of at least 1",
+        "SCHEDULER_ENABLED must be true or false",
+      ]);
+    }
+  });
+
+  it("should refuse an unknown NODE_ENV", () => {
+    expect(() => createConfig({ NODE_ENV: "staging" })).toThrow(
+      'NODE_ENV must be one of development, test, production, got "staging"'
+    );
+  });
+
+  it("should require a database, secret, origins and mail transport in production", () => {
+    expect.assertions(1);
+    try {
+      createConfig({ NODE_ENV: "production" });
+    } catch (err) {
+      expect(err.problems).toEqual([
+        "JWT_SECRET must be set",
+        "MAIL_TRANSPORT must be set",
+        "CORS_ORIGINS must list the allowed origins in production",
+        "MONGODB_URI must be set",
+      ]);
+    }
+  });
+
+  it("should refuse the default secret in production", () => {
+    expect(() =>
+      createConfig({
+        NODE_ENV: "production",
+        MONGODB_URI: "mongodb://db/library",
+        JWT_SECRET: "your_jwt_secret",
+        CORS_ORIGINS: "https://library.example",
+        MAIL_TRANSPORT: "smtp",
+      })
+    ).toThrow("JWT_SECRET must not be the default secret in production");
+  });
+
+  it.each(["console", "file"])("should refuse the %s mail transport in production", (transport) => {
+    expect(() =>
+      createConfig({
+        NODE_ENV: "production",
+        MONGODB_URI: "mongodb://db/library",
+        JWT_SECRET: "s3cret",
+        CORS_ORIGINS: "https://library.example",
+        MAIL_TRANSPORT: transport,
+      })
+    ).toThrow(`MAIL_TRANSPORT must not be the ${transport} transport in production`);
+  });
+
+  it("should accept a complete production environment", () => {
+    const config = createConfig({
+      NODE_ENV: "production",
+      MONGODB_URI: "mongodb://db/library",
+      JWT_SECRET: "s3cret",
+      CORS_ORIGINS: "https://library.example",
+      MAIL_TRANSPORT: "smtp",
+    });
+
+    expect(config.auth.jwtSecret).toBe("s3cret");
+    expect(config.mail.transport).toBe("smtp");
+    expect(config.cors.origins).toEqual(["https://library.example"]);
+  });
+});
+
+describe("env files", () => {
+  it("should parse keys, quotes and comments", () => {
+    const values = parseEnvFile(
+      [
+        "# comment",
+        "",
+        "PORT=4000",
+        "export MAIL_FROM = 'Library <lib@example.com>'",
+        'GREETING="hello\\nworld"',
+        "CORS_ORIGINS=https://a.example # trailing comment",
+        "not a variable",
+      ].join("\n")
+    );
+
+    expect(values).toEqual({
+      PORT: "4000",
+      MAIL_FROM: "Library <lib@example.com>",
+      GREETING: "hello\nworld",
+      CORS_ORIGINS: "https://a.example",
+    });
+  });
+
+  it("should not override variables that are already set", () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "env-")), ".env");
+    fs.writeFileSync(file, "PORT=4000\nJWT_SECRET=from-file\n");
+    const env = { PORT: "5000" };
+
+    expect(loadEnvFile(file, env)).toBe(true);
+    expect(env).toEqual({ PORT: "5000", JWT_SECRET: "from-file" });
+  });
+
+  it("should ignore a missing file", () => {
+    const env = {};
+
+    expect(loadEnvFile(path.join(os.tmpdir(), "does-not-exist.env"), env)).toBe(false);
+    expect(env).toEqual({});
+  });
+});
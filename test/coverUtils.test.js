@@ -0,0 +1,41 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sharp = require("sharp");
+const library = require("../config/library");
+const { saveCover } = require("../utils/coverUtils");
+
+describe("coverUtils", () => {
+  const original = library.uploads.coversDir;
+
+  beforeEach(() => {
+    library.uploads.coversDir = fs.mkdtempSync(path.join(os.tmpdir(), "covers-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(library.uploads.coversDir, { recursive: true, force: true });
+    library.uploads.coversDir = original;
+  });
+
+  it("should write the cover and its thumbnail as JPEG", async () => {
+    const png = await sharp({
+      create: { width: 400, height: 600, channels: 3, background: "#336699" },
+    })
+      .png()
+      .toBuffer();
+
+    const result = await saveCover("book1", png);
+
+    expect(result).toEqual({ filename: "book1.jpg", thumbnail: "book1-thumb.jpg" });
+    const thumb = await sharp(path.join(library.uploads.coversDir, "book1-thumb.jpg")).metadata();
+    expect(thumb).toMatchObject({ format: "jpeg", width: 200 });
+  });
+
+  it("should reject data that is not an image with a 400", async () => {
+    await expect(saveCover("book1", Buffer.from("<html>not an image</html>"))).rejects.toMatchObject({
+      status: 400,
+      message: "File is not a supported image",
+    });
+    expect(fs.readdirSync(library.uploads.coversDir)).toEqual([]);
+  });
+});
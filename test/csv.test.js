@@ -0,0 +1,43 @@
+const csv = require("../utils/csv");
+
+describe("CSV Utils", () => {
+  it("should parse quoted fields, escaped quotes and line breaks", () => {
+    const text = 'a,b\r\n"x,y","say ""hi""\nthere"\n\n1,\n';
+
+    expect(csv.parse(text)).toEqual([
+      { a: "x,y", b: 'say "hi"\nthere' },
+      { a: "1", b: "" },
+    ]);
+  });
+
+  it("should fill missing trailing columns with empty strings", () => {
+    expect(csv.parse("a,b,c\n1")).toEqual([{ a: "1", b: "", c: "" }]);
+  });
+
+  it("should round-trip what it writes", () => {
+    const records = [{ a: 'quote " and, comma', b: 2 }, { a: null, b: "line\nbreak" }];
+    const text = csv.stringify(records, ["a", "b"]);
+
+    expect(csv.parse(text)).toEqual([
+      { a: 'quote " and, comma', b: "2" },
+      { a: "", b: "line\nbreak" },
+    ]);
+  });
+
+  it("should keep text that looks like a formula from being run", () => {
+    const records = [
+      { a: "=HYPERLINK(\"http://evil\")", b: "+1", c: "-x", d: "@SUM(A1)" },
+      { a: -3, b: "plain", c: "", d: "a=b" },
+    ];
+    const text = csv.stringify(records, ["a", "b", "c", "d"]);
+
+    expect(text.split("\r\n")[1]).toBe(
+      '"\'=HYPERLINK(""http://evil"")",\'+1,\'-x,\'@SUM(A1)'
+    );
+    expect(text.split("\r\n")[2]).toBe("-3,plain,,a=b");
+    expect(csv.parse(text)).toEqual([
+      { a: "=HYPERLINK(\"http://evil\")", b: "+1", c: "-x", d: "@SUM(A1)" },
+      { a: "-3", b: "plain", c: "", d: "a=b" },
+    ]);
+  });
+});
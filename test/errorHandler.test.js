@@ -0,0 +1,137 @@
+const {
+  requestId,
+  notFound,
+  errorHandler,
+} = require("../middleware/errorHandler");
+const { NotFoundError, ValidationError } = require("../utils/errors");
+const logger = require("../utils/logger");
+
+describe("error handling middleware", () => {
+  let req, res, next, json;
+
+  beforeEach(() => {
+    jest.spyOn(logger, "error");
+    json = jest.fn();
+    req = { id: "req-1", method: "GET", originalUrl: "/api/nowhere", headers: {} };
+    res = {
+      statusCode: 200,
+      headersSent: false,
+      set: jest.fn(),
+      status: jest.fn(function (code) {
+        this.statusCode = code;
+        return this;
+      }),
+      json,
+    };
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    logger.error.mockRestore();
+  });
+
+  it("should tag the request and response with an id", () => {
+    requestId(req, res, next);
+
+    expect(req.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(res.set).toHaveBeenCalledWith("X-Request-Id", req.id);
+    expect(next).toHaveBeenCalled();
+  });
+
+  it("should keep a valid request id sent by the client", () => {
+    req.headers["x-request-id"] = "gateway-42";
+
+    requestId(req, res, next);
+
+    expect(req.id).toBe("gateway-42");
+    expect(res.set).toHaveBeenCalledWith("X-Request-Id", "gateway-42");
+  });
+
+  it("should replace a malformed client request id", () => {
+    req.headers["x-request-id"] = "bad id\nwith newline";
+
+    requestId(req, res, next);
+
+    expect(req.id).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it("should turn unknown routes into a 404", () => {
+    notFound(req, res, next);
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(NotFoundError);
+    expect(next.mock.calls[0][0].message).toBe("Cannot GET /api/nowhere");
+  });
+
+  it("should render typed errors with their details", () => {
+    const errors = [{ field: "title", message: "title is required" }];
+
+    errorHandler(new ValidationError("Validation failed", errors), req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(json).toHaveBeenCalledWith({
+      message: "Validation failed",
+      code: "VALIDATION_FAILED",
+      requestId: "req-1",
+      errors,
+    });
+  });
+
+  it("should map a Mongoose CastError to 400", () => {
+    const err = Object.assign(new Error("Cast to ObjectId failed"), {
+      name: "CastError",
+      path: "_id",
+      value: "abc",
+    });
+
+    errorHandler(err, req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(json).toHaveBeenCalledWith({
+      message: 'Invalid _id: "abc"',
+      code: "INVALID_ID",
+      requestId: "req-1",
+    });
+  });
+
+  it("should map a duplicate key error to 409", () => {
+    const err = Object.assign(new Error("E11000 duplicate key"), {
+      code: 11000,
+      keyValue: { email: "a@example.com" },
+    });
+
+    errorHandler(err, req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(json).toHaveBeenCalledWith({
+      message: "email already exists",
+      code: "DUPLICATE_KEY",
+      requestId: "req-1",
+      fields: ["email"],
+    });
+  });
+
+  it("should hide unexpected errors behind a logged 500", () => {
+    errorHandler(new Error("connection reset"), req, res, next);
+
+    expect(logger.error).toHaveBeenCalledWith("Request failed", {
+      requestId: "req-1",
+      err: expect.any(Error),
+    });
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(json).toHaveBeenCalledWith({
+      message: "Server Error",
+      code: "INTERNAL_ERROR",
+      requestId: "req-1",
+    });
+  });
+
+  it("should defer to Express once headers are sent", () => {
+    res.headersSent = true;
+    const err = new Error("late failure");
+
+    errorHandler(err, req, res, next);
+
+    expect(next).toHaveBeenCalledWith(err);
+    expect(res.status).not.toHaveBeenCalled();
+  });
+});
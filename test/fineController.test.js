@@ -0,0 +1,180 @@
+const User = require("../models/User");
+const LedgerEntry = require("../models/LedgerEntry");
+const AuditLog = require("../models/AuditLog");
+const { createNotification } = require("../utils/notificationUtils");
+const {
+  getUserFines,
+  recordPayment,
+  waiveFine,
+} = require("../controllers/fineController");
+
+jest.mock("../models/User");
+jest.mock("../models/LedgerEntry");
+jest.mock("../models/AuditLog");
+jest.mock("../utils/notificationUtils");
+
+describe("Fine Controller", () => {
+  let req, res, next;
+  const entries = [
+    { type: "charge", amount: 800 },
+    { type: "payment", amount: 200 },
+    { type: "waiver", amount: 100 },
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    next = jest.fn();
+    req = {
+      params: { id: "userId123" },
+      body: {},
+      user: { id: "userId123", isAdmin: false },
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn(),
+    };
+  });
+
+  describe("getUserFines", () => {
+    it("should return the balance and ledger for the user", async () => {
+      const sort = jest.fn().mockResolvedValue(entries);
+      LedgerEntry.find.mockReturnValue({ sort });
+
+      await getUserFines(req, res, next);
+
+      expect(LedgerEntry.find).toHaveBeenCalledWith({ user: "userId123" });
+      expect(sort).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(res.json).toHaveBeenCalledWith({ balance: 500, entries });
+    });
+
+    it("should return 403 for another user's fines", async () => {
+      req.params.id = "otherUser";
+
+      await getUserFines(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 403,
+          message: "Not authorized to view these fines",
+        })
+      );
+    });
+
+    it("should handle server errors", async () => {
+      LedgerEntry.find.mockReturnValue({
+        sort: jest.fn().mockRejectedValue(new Error("Database error")),
+      });
+
+      const next = jest.fn();
+
+      await getUserFines(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Database error" })
+      );
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("recordPayment", () => {
+    beforeEach(() => {
+      req.user = { id: "adminId", isAdmin: true };
+    });
+
+    it("should record a payment and return the new balance", async () => {
+      req.body = { amount: 300, note: "Cash" };
+      User.findById.mockResolvedValue({ _id: "userId123" });
+      LedgerEntry.find.mockResolvedValue(entries);
+      const savedEntry = { _id: "entry1", type: "payment", amount: 300 };
+      LedgerEntry.prototype.save = jest.fn().mockResolvedValue(savedEntry);
+
+      await recordPayment(req, res, next);
+
+      expect(LedgerEntry).toHaveBeenCalledWith({
+        user: "userId123",
+        reservation: undefined,
+        type: "payment",
+        amount: 300,
+        note: "Cash",
+        recordedBy: "adminId",
+      });
+      expect(createNotification).toHaveBeenCalledWith(
+        "userId123",
+        "3.00 of your fines has been received",
+        "fine"
+      );
+      expect(res.json).toHaveBeenCalledWith({ balance: 200, entry: savedEntry });
+    });
+
+    it("should reject amounts above the balance", async () => {
+      req.body = { amount: 600 };
+      User.findById.mockResolvedValue({ _id: "userId123" });
+      LedgerEntry.find.mockResolvedValue(entries);
+
+      await recordPayment(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 400,
+          message: "Amount exceeds the outstanding balance",
+          details: { balance: 500 },
+        })
+      );
+    });
+
+    it("should reject non-positive amounts", async () => {
+      req.body = { amount: -5 };
+
+      await recordPayment(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 400 })
+      );
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 if user not found", async () => {
+      req.body = { amount: 100 };
+      User.findById.mockResolvedValue(null);
+
+      await recordPayment(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 404, message: "User not found" })
+      );
+    });
+  });
+
+  describe("waiveFine", () => {
+    it("should record a waiver", async () => {
+      req.user = { id: "adminId", isAdmin: true };
+      req.body = { amount: 500, reservationId: "res1" };
+      User.findById.mockResolvedValue({ _id: "userId123" });
+      LedgerEntry.find.mockResolvedValue(entries);
+      LedgerEntry.prototype.save = jest
+        .fn()
+        .mockResolvedValue({ _id: "entry2", type: "waiver", amount: 500 });
+
+      await waiveFine(req, res, next);
+
+      expect(LedgerEntry).toHaveBeenCalledWith(
+        expect.objectContaining({ type: "waiver", amount: 500, reservation: "res1" })
+      );
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          actor: "adminId",
+          action: "fine.waiver",
+          targetType: "LedgerEntry",
+          target: "entry2",
+          before: null,
+          after: expect.objectContaining({ type: "waiver", amount: 500 }),
+        })
+      );
+      expect(res.json).toHaveBeenCalledWith({
+        balance: 0,
+        entry: { _id: "entry2", type: "waiver", amount: 500 },
+      });
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const LedgerEntry = require("../models/LedgerEntry");
+const { createNotification } = require("../utils/notificationUtils");
+const { calculateLateFee, accrueLateFee } = require("../utils/fineUtils");
+
+jest.mock("../models/LedgerEntry");
+jest.mock("../utils/notificationUtils");
+
+describe("Fine Utils", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("calculateLateFee", () => {
+    it("should charge the daily fee per day late", () => {
+      expect(
+        calculateLateFee(new Date(2024, 0, 10), new Date(2024, 0, 13, 9))
+      ).toBe(150);
+    });
+
+    it("should not charge returns on or before the end date", () => {
+      expect(calculateLateFee(new Date(2024, 0, 10), new Date(2024, 0, 10, 18))).toBe(0);
+      expect(calculateLateFee(new Date(2024, 0, 10), new Date(2024, 0, 8))).toBe(0);
+    });
+
+    it("should cap the fee", () => {
+      expect(calculateLateFee(new Date(2024, 0, 1), new Date(2024, 5, 1))).toBe(2000);
+    });
+  });
+
+  describe("accrueLateFee", () => {
+    it("should charge and notify the borrower for a late return", async () => {
+      const reservation = {
+        _id: "res1",
+        user: "userId123",
+        book: { title: "Test Book" },
+        endDate: new Date(2024, 0, 10),
+        returnedAt: new Date(2024, 0, 12),
+      };
+      LedgerEntry.prototype.save = jest.fn().mockResolvedValue(true);
+
+      await accrueLateFee(reservation);
+
+      expect(LedgerEntry).toHaveBeenCalledWith({
+        user: "userId123",
+        reservation: "res1",
+        type: "charge",
+        amount: 100,
+        note: 'Late return of "Test Book"',
+      });
+      expect(createNotification).toHaveBeenCalledWith(
+        "userId123",
+        'A late fee of 1.00 was charged for "Test Book"',
+        "fine"
+      );
+    });
+
+    it("should do nothing for an on-time return", async () => {
+      const result = await accrueLateFee({
+        endDate: new Date(2024, 0, 10),
+        returnedAt: new Date(2024, 0, 9),
+      });
+
+      expect(result).toBeNull();
+      expect(LedgerEntry).not.toHaveBeenCalled();
+    });
+  });
+});
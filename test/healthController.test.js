@@ -0,0 +1,134 @@
+const express = require("express");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const { createApp } = require("../app");
+const healthRoutes = require("../routes/health");
+const { registry } = require("../utils/appMetrics");
+const { NotFoundError } = require("../utils/errors");
+const Reservation = require("../models/Reservation");
+const Notification = require("../models/Notification");
+const WaitlistEntry = require("../models/WaitlistEntry");
+
+jest.mock("../models/Reservation");
+jest.mock("../models/Notification");
+jest.mock("../models/WaitlistEntry");
+
+describe("health endpoints", () => {
+  let app;
+
+  // readyState is not configurable, so set it the way Mongoose does
+  const setReadyState = (state) => {
+    mongoose.connection.readyState = state;
+  };
+
+  beforeEach(() => {
+    registry.reset();
+    setReadyState(1);
+    const books = express.Router();
+    books.get("/:id", (req, res, next) =>
+      req.params.id === "404"
+        ? next(new NotFoundError("Book not found"))
+        : res.json({ id: req.params.id })
+    );
+    app = createApp({ routes: [["/", healthRoutes], ["/api/books", books]] });
+  });
+
+  afterEach(() => {
+    setReadyState(0);
+    jest.clearAllMocks();
+  });
+
+  it("should report liveness", async () => {
+    const res = await request(app).get("/healthz");
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("ok");
+  });
+
+  it("should be ready while the database is connected", async () => {
+    const res = await request(app).get("/readyz");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ status: "ready", database: "connected" });
+  });
+
+  it("should not be ready while the database is disconnected", async () => {
+    setReadyState(0);
+
+    const res = await request(app).get("/readyz");
+
+    expect(res.status).toBe(503);
+    expect(res.body).toMatchObject({
+      status: "unavailable",
+      database: "disconnected",
+      code: "SERVICE_UNAVAILABLE",
+    });
+  });
+
+  it("should expose request metrics labelled by route pattern", async () => {
+    Reservation.aggregate.mockResolvedValue([]);
+    Reservation.countDocuments.mockResolvedValue(0);
+    Notification.countDocuments.mockResolvedValue(0);
+    WaitlistEntry.countDocuments.mockResolvedValue(0);
+    await request(app).get("/api/books/1");
+    await request(app).get("/api/books/2");
+    await request(app).get("/missing");
+
+    const res = await request(app).get("/metrics");
+
+    expect(res.headers["content-type"]).toMatch(/^text\/plain;.*version=0.0.4/);
+    expect(res.text).toContain(
+      'http_requests_total{method="GET",route="/api/books/:id",status="200"} 2'
+    );
+    expect(res.text).toContain(
+      'http_requests_total{method="GET",route="unmatched",status="404"} 1'
+    );
+    expect(res.text).toContain(
+      'http_request_duration_seconds_count{method="GET",route="/api/books/:id"} 2'
+    );
+  });
+
+  it("should keep the route pattern for errors passed to next", async () => {
+    Reservation.aggregate.mockResolvedValue([]);
+    Reservation.countDocuments.mockResolvedValue(0);
+    Notification.countDocuments.mockResolvedValue(0);
+    WaitlistEntry.countDocuments.mockResolvedValue(0);
+    await request(app).get("/api/books/404");
+
+    const res = await request(app).get("/metrics");
+
+    expect(res.text).toContain(
+      'http_requests_total{method="GET",route="/api/books/:id",status="404"} 1'
+    );
+    expect(res.text).not.toContain('route="/:id"');
+  });
+
+  it("should expose domain gauges", async () => {
+    Reservation.aggregate.mockResolvedValue([
+      { _id: "pending", count: 4 },
+      { _id: "approved", count: 2 },
+    ]);
+    Reservation.countDocuments.mockResolvedValue(4);
+    Notification.countDocuments.mockResolvedValue(7);
+    WaitlistEntry.countDocuments.mockResolvedValue(3);
+
+    const res = await request(app).get("/metrics");
+
+    expect(res.text).toContain('library_reservations{status="pending"} 4');
+    expect(res.text).toContain("library_reservations_pending 4");
+    expect(res.text).toContain("library_notifications_unread 7");
+    expect(res.text).toContain("library_waitlist_waiting 3");
+    expect(Reservation.countDocuments).toHaveBeenCalledWith({ status: "pending" });
+    expect(Notification.countDocuments).toHaveBeenCalledWith({ isRead: false });
+  });
+
+  it("should skip domain gauges while the database is down", async () => {
+    setReadyState(0);
+
+    const res = await request(app).get("/metrics");
+
+    expect(res.status).toBe(200);
+    expect(Reservation.countDocuments).not.toHaveBeenCalled();
+    expect(res.text).not.toMatch(/^library_reservations_pending /m);
+  });
+});
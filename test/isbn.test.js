@@ -0,0 +1,20 @@
+const { isValidIsbn, toIsbn13 } = require("../utils/isbn");
+
+describe("ISBN Utils", () => {
+  it.each([
+    ["0-306-40615-2", true],
+    ["080442957X", true],
+    ["978-0-306-40615-7", true],
+    ["0306406153", false],
+    ["9780306406158", false],
+    ["12345", false],
+  ])("should validate %s as %s", (isbn, expected) => {
+    expect(isValidIsbn(isbn)).toBe(expected);
+  });
+
+  it("should convert ISBN-10 to ISBN-13", () => {
+    expect(toIsbn13("0-306-40615-2")).toBe("9780306406157");
+    expect(toIsbn13("080442957x")).toBe("9780804429573");
+    expect(toIsbn13("978-0-306-40615-7")).toBe("9780306406157");
+  });
+});
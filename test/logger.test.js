@@ -0,0 +1,144 @@
+const express = require("express");
+const request = require("supertest");
+const { createApp } = require("../app");
+const logger = require("../utils/logger");
+const { createLogger, runWithContext, redactUrl } = logger;
+
+describe("logger", () => {
+  let lines, log;
+
+  beforeEach(() => {
+    lines = [];
+    log = createLogger({ level: "info", write: (line) => lines.push(JSON.parse(line)) });
+  });
+
+  it("should write structured entries", () => {
+    log.info("Book created", { bookId: "b1" });
+
+    expect(lines).toEqual([
+      { time: expect.any(String), level: "info", msg: "Book created", bookId: "b1" },
+    ]);
+  });
+
+  it("should drop entries below the level", () => {
+    log.debug("noise");
+    log.warn("careful");
+
+    expect(lines.map((line) => line.level)).toEqual(["warn"]);
+  });
+
+  it("should refuse an unknown level", () => {
+    expect(() => createLogger({ level: "loud" })).toThrow("Unknown log level: loud");
+  });
+
+  it("should redact passwords and tokens at any depth", () => {
+    log.info("Login", {
+      body: { email: "a@example.com", password: "hunter2" },
+      refreshToken: "abc",
+      headers: { authorization: "Bearer x" },
+      users: [{ newPassword: "n" }],
+    });
+
+    expect(lines[0].body).toEqual({ email: "a@example.com", password: "[REDACTED]" });
+    expect(lines[0].refreshToken).toBe("[REDACTED]");
+    expect(lines[0].headers.authorization).toBe("[REDACTED]");
+    expect(lines[0].users[0].newPassword).toBe("[REDACTED]");
+  });
+
+  it("should serialize errors", () => {
+    log.error("Failed", { err: Object.assign(new Error("boom"), { code: "E1" }) });
+
+    expect(lines[0].err).toMatchObject({ name: "Error", message: "boom", code: "E1" });
+    expect(lines[0].err.stack).toContain("boom");
+  });
+
+  it("should add the context of the current request", async () => {
+    await runWithContext({ requestId: "req-1" }, async () => {
+      await Promise.resolve();
+      log.info("Inside");
+    });
+    log.info("Outside");
+
+    expect(lines[0].requestId).toBe("req-1");
+    expect(lines[1].requestId).toBeUndefined();
+  });
+
+  it("should add child fields to every entry", () => {
+    log.child({ job: "reminders" }).info("Done");
+
+    expect(lines[0].job).toBe("reminders");
+  });
+
+  it("should mask secret query parameters", () => {
+    expect(redactUrl("/reset?token=abc&lang=en")).toBe("/reset?token=[REDACTED]&lang=en");
+    expect(redactUrl("/api/books?page=2")).toBe("/api/books?page=2");
+  });
+
+  it("should mask tokens carried in the path", () => {
+    expect(redactUrl("/api/auth/verify/abc123?lang=en")).toBe(
+      "/api/auth/verify/[REDACTED]?lang=en"
+    );
+    expect(redactUrl("/api/auth/verify/resend")).toBe("/api/auth/verify/resend");
+  });
+
+  it("should mask query keys that cannot be decoded", () => {
+    expect(redactUrl("/healthz?%E0%A4%A=1&page=2")).toBe("/healthz?%E0%A4%A=[REDACTED]&page=2");
+  });
+});
+
+describe("request logging", () => {
+  let info, warn;
+
+  beforeEach(() => {
+    info = jest.spyOn(logger, "info");
+    warn = jest.spyOn(logger, "warn");
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should log controller entries and the access log with the request id", async () => {
+    let context;
+    const router = express.Router();
+    router.post("/", async (req, res) => {
+      await Promise.resolve();
+      context = logger.getContext();
+      res.status(201).json({ ok: true });
+    });
+    const app = createApp({ routes: [["/things", router]] });
+
+    const res = await request(app)
+      .post("/things?token=secret")
+      .set("X-Request-Id", "client-7")
+      .send({ name: "x" });
+
+    expect(res.headers["x-request-id"]).toBe("client-7");
+    expect(context).toEqual({ requestId: "client-7" });
+    expect(info).toHaveBeenCalledWith("Request completed", expect.objectContaining({
+      requestId: "client-7",
+      method: "POST",
+      url: "/things?token=[REDACTED]",
+      status: 201,
+      durationMs: expect.any(Number),
+    }));
+  });
+
+  it("should survive a malformed query key", async () => {
+    const res = await request(createApp({ routes: [] })).get("/x?%E0%A4%A=1");
+
+    expect(res.status).toBe(404);
+    expect(warn).toHaveBeenCalledWith("Request completed", expect.objectContaining({
+      url: "/x?%E0%A4%A=[REDACTED]",
+    }));
+  });
+
+  it("should log client errors as warnings", async () => {
+    await request(createApp({ routes: [] })).get("/missing");
+
+    expect(warn).toHaveBeenCalledWith("Request completed", expect.objectContaining({
+      status: 404,
+      url: "/missing",
+    }));
+  });
+});
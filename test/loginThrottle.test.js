@@ -0,0 +1,105 @@
+const User = require("../models/User");
+const { createNotification } = require("../utils/notificationUtils");
+const { sendMail } = require("../utils/mailer");
+const {
+  delayFor,
+  accountWait,
+  recordAccountFailure,
+  ipWait,
+  recordIpFailure,
+} = require("../utils/loginThrottle");
+
+jest.mock("../models/User");
+jest.mock("../utils/notificationUtils");
+jest.mock("../utils/mailer");
+
+describe("loginThrottle", () => {
+  const now = new Date("2030-01-01T00:00:00Z");
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should only delay after the free attempts and cap the delay", () => {
+    expect(delayFor(2)).toBe(0);
+    expect(delayFor(3)).toBe(1000);
+    expect(delayFor(5)).toBe(4000);
+    expect(delayFor(20)).toBe(60000);
+  });
+
+  describe("accountWait", () => {
+    it("should report a lockout until it expires", () => {
+      const lockedUntil = new Date(now.getTime() + 5 * 60 * 1000);
+
+      expect(accountWait({ lockedUntil }, now)).toEqual({
+        locked: true,
+        waitMs: 5 * 60 * 1000,
+      });
+    });
+
+    it("should make the account wait after repeated failures", () => {
+      const user = {
+        failedLoginAttempts: 4,
+        lastFailedLoginAt: new Date(now.getTime() - 500),
+      };
+
+      expect(accountWait(user, now)).toEqual({ locked: false, waitMs: 1500 });
+    });
+
+    it("should not delay accounts without failures", () => {
+      expect(accountWait({ failedLoginAttempts: 0 }, now)).toEqual({
+        locked: false,
+        waitMs: 0,
+      });
+    });
+  });
+
+  describe("recordAccountFailure", () => {
+    const user = { _id: "user123", email: "test@example.com" };
+
+    it("should count the failure atomically", async () => {
+      User.findByIdAndUpdate.mockResolvedValue({ ...user, failedLoginAttempts: 2 });
+
+      expect(await recordAccountFailure(user, now)).toBeNull();
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        "user123",
+        { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+        { new: true }
+      );
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it("should lock the account at the threshold and tell the user", async () => {
+      User.findByIdAndUpdate.mockResolvedValue({ ...user, failedLoginAttempts: 10 });
+
+      const lockedUntil = await recordAccountFailure(user, now);
+
+      expect(lockedUntil).toEqual(new Date("2030-01-01T00:15:00Z"));
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: "user123" },
+        { $set: { lockedUntil, failedLoginAttempts: 0, lastFailedLoginAt: null } }
+      );
+      expect(createNotification).toHaveBeenCalledWith(
+        "user123",
+        expect.stringContaining("locked"),
+        "account_locked"
+      );
+      expect(sendMail).toHaveBeenCalledWith(
+        expect.objectContaining({ to: "test@example.com" })
+      );
+    });
+  });
+
+  it("should block an IP once it reaches the failure limit", () => {
+    const start = now.getTime();
+    for (let i = 0; i < 49; i++) {
+      recordIpFailure("10.0.0.1", start);
+    }
+    expect(ipWait("10.0.0.1", start)).toBe(0);
+
+    recordIpFailure("10.0.0.1", start);
+    expect(ipWait("10.0.0.1", start + 1000)).toBe(15 * 60 * 1000 - 1000);
+    expect(ipWait("10.0.0.2", start)).toBe(0);
+    expect(ipWait("10.0.0.1", start + 15 * 60 * 1000)).toBe(0);
+  });
+});
@@ -0,0 +1,62 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const library = require("../config/library");
+const mailer = require("../utils/mailer");
+
+describe("mailer", () => {
+  const original = { ...library.mail };
+
+  afterEach(() => {
+    Object.assign(library.mail, original);
+    mailer.setTransport();
+    jest.restoreAllMocks();
+  });
+
+  it("should log messages with the console transport", async () => {
+    library.mail.transport = "console";
+    const log = jest.spyOn(console, "log").mockImplementation(() => {});
+
+    await mailer.sendMail({ to: "a@example.com", subject: "Hello", text: "Body" });
+
+    expect(log).toHaveBeenCalledWith(expect.stringContaining("Mail to a@example.com: Hello"));
+  });
+
+  it("should write messages to the outbox with the file transport", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "outbox-"));
+    Object.assign(library.mail, { transport: "file", outboxDir: dir, from: "lib@example.com" });
+
+    await mailer.sendMail({ to: "a@example.com", subject: "Hello", text: "Body" });
+
+    const [file] = fs.readdirSync(dir);
+    const message = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    expect(message).toMatchObject({
+      from: "lib@example.com",
+      to: "a@example.com",
+      subject: "Hello",
+      text: "Body",
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should use registered transports", async () => {
+    const send = jest.fn().mockResolvedValue();
+    mailer.registerTransport("memory", () => ({ send }));
+    library.mail.transport = "memory";
+
+    await mailer.sendMail({ to: "a@example.com", subject: "Hi", text: "Yo" });
+
+    expect(send).toHaveBeenCalledWith({
+      from: original.from,
+      to: "a@example.com",
+      subject: "Hi",
+      text: "Yo",
+    });
+  });
+
+  it("should refuse an unknown transport", () => {
+    library.mail.transport = "pigeon";
+
+    expect(() => mailer.getTransport()).toThrow("Unknown mail transport: pigeon");
+  });
+});
@@ -0,0 +1,99 @@
+const { createRegistry } = require("../utils/metrics");
+
+describe("metrics registry", () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = createRegistry();
+  });
+
+  it("should render counters per label set", async () => {
+    const counter = registry.counter({
+      name: "jobs_total",
+      help: "Jobs run",
+      labelNames: ["job"],
+    });
+    counter.inc({ job: "overdue" });
+    counter.inc({ job: "overdue" });
+    counter.inc({ job: "reminders" }, 3);
+
+    expect(await registry.render()).toBe(
+      [
+        "# HELP jobs_total Jobs run",
+        "# TYPE jobs_total counter",
+        'jobs_total{job="overdue"} 2',
+        'jobs_total{job="reminders"} 3',
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("should render cumulative histogram buckets", async () => {
+    const histogram = registry.histogram({
+      name: "latency_seconds",
+      help: "Latency",
+      labelNames: ["route"],
+      buckets: [0.1, 1],
+    });
+    histogram.observe({ route: "/a" }, 0.05);
+    histogram.observe({ route: "/a" }, 0.5);
+    histogram.observe({ route: "/a" }, 2);
+
+    const output = await registry.render();
+
+    expect(output).toContain('latency_seconds_bucket{route="/a",le="0.1"} 1');
+    expect(output).toContain('latency_seconds_bucket{route="/a",le="1"} 2');
+    expect(output).toContain('latency_seconds_bucket{route="/a",le="+Inf"} 3');
+    expect(output).toContain('latency_seconds_sum{route="/a"} 2.55');
+    expect(output).toContain('latency_seconds_count{route="/a"} 3');
+  });
+
+  it("should collect gauges on every render", async () => {
+    let value = 1;
+    registry.gauge({ name: "queue", help: "Queue length", collect: () => value });
+    registry.gauge({
+      name: "by_status",
+      help: "By status",
+      collect: async () => [{ labels: { status: "pending" }, value: 4 }],
+    });
+
+    expect(await registry.render()).toContain("queue 1");
+    value = 5;
+    const output = await registry.render();
+    expect(output).toContain("queue 5");
+    expect(output).toContain('by_status{status="pending"} 4');
+  });
+
+  it("should leave out gauges that fail to collect", async () => {
+    registry.gauge({ name: "broken", help: "Broken", collect: () => Promise.reject(new Error("db")) });
+    registry.gauge({ name: "fine", help: "Fine", collect: () => 2 });
+
+    const output = await registry.render();
+
+    expect(output).not.toContain("broken");
+    expect(output).toContain("fine 2");
+  });
+
+  it("should escape label values", async () => {
+    const counter = registry.counter({ name: "c", help: "C", labelNames: ["path"] });
+    counter.inc({ path: 'a"b\\c' });
+
+    expect(await registry.render()).toContain('c{path="a\\"b\\\\c"} 1');
+  });
+
+  it("should refuse duplicate metric names", () => {
+    registry.counter({ name: "dup", help: "Dup" });
+
+    expect(() => registry.counter({ name: "dup", help: "Dup" })).toThrow(
+      "Metric dup is already registered"
+    );
+  });
+
+  it("should reset recorded values", async () => {
+    const counter = registry.counter({ name: "c", help: "C" });
+    counter.inc();
+    registry.reset();
+
+    expect(await registry.render()).not.toContain("c 1");
+  });
+});
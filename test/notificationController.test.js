@@ -4,6 +4,7 @@ const {
   createNotification,
   getNotifications,
 } = require("../controllers/notificationController");
+const logger = require("../utils/logger");
 
 // Mock the Notification model so we don't actually interact with the database
 jest.mock("../models/Notification");
@@ -75,22 +76,21 @@ describe("Notification Controller", () => {
       };
       Notification.mockImplementation(() => mockNotification);
 
-      // Spy on console.error to verify error logging
-      const consoleSpy = jest
-        .spyOn(console, "error")
-        .mockImplementation(() => {}); // Suppress actual console output
+      // Spy on the logger to verify error logging
+      const loggerSpy = jest.spyOn(logger, "error");
 
       // Execute the function
       await createNotification(userId, message, type);
 
       // Verify error was logged
-      expect(consoleSpy).toHaveBeenCalledWith(
-        "Error creating notification:",
-        expect.any(Error)
-      );
+      expect(loggerSpy).toHaveBeenCalledWith("Error creating notification", {
+        err: expect.any(Error),
+        userId,
+        type,
+      });
 
       // Clean up the spy
-      consoleSpy.mockRestore();
+      loggerSpy.mockRestore();
     });
   });
 
@@ -136,14 +136,15 @@ describe("Notification Controller", () => {
         sort: jest.fn().mockRejectedValue(new Error("Database error")),
       });
 
+      const next = jest.fn();
+
       // Execute the function
-      await getNotifications(req, res);
+      await getNotifications(req, res, next);
 
-      // Assertions:
-      // 1. Correct status code was set
-      expect(res.status).toHaveBeenCalledWith(500);
-      // 2. Correct error message was sent
-      expect(res.send).toHaveBeenCalledWith("Server Error");
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Database error" })
+      );
+      expect(res.status).not.toHaveBeenCalled();
     });
   });
 });
@@ -0,0 +1,52 @@
+const {
+  rolesOf,
+  permissionsOf,
+  hasPermission,
+  rolesWith,
+} = require("../utils/permissions");
+const { requirePermission } = require("../middleware/permissions");
+const { ForbiddenError } = require("../utils/errors");
+
+describe("permissions", () => {
+  it("should grant the permissions of every assigned role", () => {
+    const user = { roles: ["catalogue_editor", "librarian"] };
+
+    expect(hasPermission(user, "books:write")).toBe(true);
+    expect(hasPermission(user, "reservations:manage")).toBe(true);
+    expect(hasPermission(user, "users:manage")).toBe(false);
+  });
+
+  it("should treat legacy admins as superadmins", () => {
+    expect(rolesOf({ isAdmin: true })).toEqual(["superadmin"]);
+    expect(hasPermission({ isAdmin: true }, "roles:manage")).toBe(true);
+  });
+
+  it("should grant nothing to members", () => {
+    expect(permissionsOf({ roles: [] })).toEqual([]);
+    expect(permissionsOf(undefined)).toEqual([]);
+  });
+
+  it("should list the roles holding a permission", () => {
+    expect(rolesWith("reservations:manage")).toEqual(["librarian", "superadmin"]);
+  });
+
+  describe("requirePermission", () => {
+    it("should let users with the permission through", () => {
+      const next = jest.fn();
+
+      requirePermission("books:write")({ user: { roles: ["catalogue_editor"] } }, {}, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it("should forbid users lacking it", () => {
+      const next = jest.fn();
+
+      requirePermission("books:write")({ user: { roles: ["librarian"] } }, {}, next);
+
+      const [err] = next.mock.calls[0];
+      expect(err).toBeInstanceOf(ForbiddenError);
+      expect(err.message).toBe("Missing permission: books:write");
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const rateLimit = require("../middleware/rateLimit");
+
+describe("rateLimit middleware", () => {
+  let res, next;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    res = {
+      set: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should allow up to max requests per key and window", () => {
+    const limiter = rateLimit({ windowMs: 60000, max: 2 });
+    const req = { ip: "1.2.3.4" };
+
+    limiter(req, res, next);
+    limiter(req, res, next);
+    limiter(req, res, next);
+
+    expect(next).toHaveBeenCalledTimes(3);
+    expect(next).toHaveBeenLastCalledWith(expect.objectContaining({ status: 429 }));
+    expect(res.set).toHaveBeenCalledWith("Retry-After", "60");
+  });
+
+  it("should count keys separately and start over after the window", () => {
+    const limiter = rateLimit({
+      windowMs: 60000,
+      max: 1,
+      key: (req) => req.body.email,
+      message: "Slow down",
+    });
+
+    limiter({ body: { email: "a@example.com" } }, res, next);
+    limiter({ body: { email: "b@example.com" } }, res, next);
+    limiter({ body: { email: "a@example.com" } }, res, next);
+    expect(next).toHaveBeenCalledTimes(3);
+    expect(next).toHaveBeenLastCalledWith(
+      expect.objectContaining({ status: 429, message: "Slow down" })
+    );
+
+    jest.advanceTimersByTime(60000);
+    limiter({ body: { email: "a@example.com" } }, res, next);
+    expect(next).toHaveBeenCalledTimes(4);
+    expect(next).toHaveBeenLastCalledWith();
+  });
+});
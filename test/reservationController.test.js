@@ -1,25 +1,53 @@
 const Reservation = require("../models/Reservation");
 const Book = require("../models/Book");
+const AuditLog = require("../models/AuditLog");
 const {
   createNotification,
   notifyAdmins,
 } = require("../utils/notificationUtils");
+const { checkAvailability } = require("../utils/availabilityUtils");
+const {
+  offerNextHold,
+  countActiveHolds,
+} = require("../utils/waitlistUtils");
+const { accrueLateFee } = require("../utils/fineUtils");
+const {
+  checkReservationPolicy,
+  checkRenewalPolicy,
+} = require("../utils/borrowingPolicy");
 const {
   createReservation,
   updateReservationStatus,
+  cancelReservation,
+  checkOutReservation,
+  returnReservation,
+  renewReservation,
+  deleteReservation,
+  restoreReservation,
   getReservations,
   getReservation,
 } = require("../controllers/reservationController");
 
 jest.mock("../models/Reservation");
 jest.mock("../models/Book");
+jest.mock("../models/AuditLog");
 jest.mock("../utils/notificationUtils");
+jest.mock("../utils/waitlistUtils");
+jest.mock("../utils/fineUtils");
+jest.mock("../utils/borrowingPolicy");
+jest.mock("../utils/availabilityUtils", () => ({
+  ...jest.requireActual("../utils/availabilityUtils"),
+  checkAvailability: jest.fn(),
+}));
 
 describe("Reservation Controller", () => {
-  let req, res;
+  let req, res, next;
 
   beforeEach(() => {
     jest.clearAllMocks();
+    next = jest.fn();
+    countActiveHolds.mockResolvedValue(0);
+    checkReservationPolicy.mockResolvedValue([]);
     req = {
       params: {},
       body: {},
@@ -49,6 +77,10 @@ describe("Reservation Controller", () => {
         title: "Test Book",
       };
       Book.findById.mockResolvedValue(mockBook);
+      checkAvailability.mockResolvedValue({
+        copies: [{ _id: "copyId1" }],
+        conflicts: [],
+      });
 
       const mockReservation = {
         _id: "reservationId123",
@@ -70,7 +102,7 @@ describe("Reservation Controller", () => {
       // Mock the Reservation constructor
       Reservation.mockImplementation(() => mockReservation);
 
-      await createReservation(req, res);
+      await createReservation(req, res, next);
 
       expect(Book.findById).toHaveBeenCalledWith("bookId123");
       expect(Reservation).toHaveBeenCalledWith({
@@ -94,9 +126,199 @@ describe("Reservation Controller", () => {
         status: "pending",
       });
     });
+
+    it("should return 400 if endDate is before startDate", async () => {
+      req.body = {
+        bookId: "bookId123",
+        startDate: "2023-01-07",
+        endDate: "2023-01-01",
+      };
+
+      await createReservation(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 400,
+          message: "End date cannot be before start date",
+        })
+      );
+      expect(Book.findById).not.toHaveBeenCalled();
+    });
+
+    it("should return 400 if startDate is missing or invalid", async () => {
+      req.body = { bookId: "bookId123", startDate: "not-a-date" };
+
+      await createReservation(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 400,
+          message: "Invalid reservation dates",
+        })
+      );
+    });
+
+    it("should return 409 with the conflicting windows when fully booked", async () => {
+      req.body = {
+        bookId: "bookId123",
+        startDate: "2023-01-01",
+        endDate: "2023-01-07",
+      };
+      Book.findById.mockResolvedValue({ _id: "bookId123", title: "Test Book" });
+      const conflicts = [{ startDate: "2022-12-28", endDate: "2023-01-02" }];
+      checkAvailability.mockResolvedValue({ copies: [], conflicts });
+
+      await createReservation(req, res, next);
+
+      expect(checkAvailability).toHaveBeenCalledWith(
+        "bookId123",
+        new Date("2023-01-01"),
+        new Date("2023-01-07")
+      );
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 409,
+          message: "Book is not available for the requested dates",
+          details: { conflicts },
+        })
+      );
+      expect(Reservation).not.toHaveBeenCalled();
+    });
+
+    it("should return 422 with the reasons when the policy refuses", async () => {
+      req.body = {
+        bookId: "bookId123",
+        startDate: "2023-01-01",
+        endDate: "2023-03-01",
+      };
+      const reasons = [
+        { code: "MAX_LOAN_LENGTH", message: "Loans may last at most 14 days" },
+      ];
+      checkReservationPolicy.mockResolvedValue(reasons);
+
+      await createReservation(req, res, next);
+
+      expect(checkReservationPolicy).toHaveBeenCalledWith(
+        "userId123",
+        new Date("2023-01-01"),
+        new Date("2023-03-01")
+      );
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 422,
+          message: "Reservation does not meet the borrowing policy",
+          details: { reasons },
+        })
+      );
+      expect(Book.findById).not.toHaveBeenCalled();
+    });
+
+    it("should return 409 when the free copies are held for the waitlist", async () => {
+      req.body = {
+        bookId: "bookId123",
+        startDate: "2023-01-01",
+        endDate: "2023-01-07",
+      };
+      Book.findById.mockResolvedValue({ _id: "bookId123", title: "Test Book" });
+      checkAvailability.mockResolvedValue({
+        copies: [{ _id: "copyId1" }],
+        conflicts: [],
+      });
+      countActiveHolds.mockResolvedValue(1);
+
+      await createReservation(req, res, next);
+
+      expect(countActiveHolds).toHaveBeenCalledWith("bookId123", "userId123");
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 409 })
+      );
+      expect(Reservation).not.toHaveBeenCalled();
+    });
   });
 
   describe("updateReservationStatus", () => {
+    beforeEach(() => {
+      req.user.isAdmin = true;
+    });
+
+    it("should return 422 if approving would break the borrowing policy", async () => {
+      req.params.id = "reservationId123";
+      req.body = { status: "approved" };
+      const mockReservation = {
+        _id: "reservationId123",
+        user: "userId456",
+        book: { _id: "bookId123", title: "Test Book" },
+        startDate: "2023-01-01",
+        status: "pending",
+        save: jest.fn(),
+      };
+      Reservation.findById.mockReturnValue({
+        populate: jest.fn().mockResolvedValue(mockReservation),
+      });
+      const reasons = [{ code: "MAX_CONCURRENT", message: "Too many" }];
+      checkReservationPolicy.mockResolvedValue(reasons);
+
+      await updateReservationStatus(req, res, next);
+
+      expect(checkReservationPolicy).toHaveBeenCalledWith(
+        "userId456",
+        "2023-01-01",
+        "2023-01-01",
+        "reservationId123"
+      );
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 422 })
+      );
+      expect(mockReservation.save).not.toHaveBeenCalled();
+      expect(checkAvailability).not.toHaveBeenCalled();
+    });
+
+    it("should not offer a hold when a pending reservation is rejected", async () => {
+      req.params.id = "reservationId123";
+      req.body = { status: "rejected" };
+
+      const mockBook = { _id: "bookId123", title: "Test Book" };
+      const mockReservation = {
+        _id: "reservationId123",
+        user: "userId456",
+        book: mockBook,
+        status: "pending",
+        save: jest.fn().mockResolvedValue(true),
+      };
+      Reservation.findById.mockReturnValue({
+        populate: jest.fn().mockResolvedValue(mockReservation),
+      });
+
+      await updateReservationStatus(req, res, next);
+
+      expect(checkAvailability).not.toHaveBeenCalled();
+      expect(mockReservation.status).toBe("rejected");
+      expect(offerNextHold).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(mockReservation);
+    });
+
+    it("should offer the copy to the waitlist when an approved reservation is cancelled", async () => {
+      req.params.id = "reservationId123";
+      req.body = { status: "cancelled" };
+
+      const mockBook = { _id: "bookId123", title: "Test Book" };
+      const mockReservation = {
+        _id: "reservationId123",
+        user: "userId456",
+        book: mockBook,
+        status: "approved",
+        save: jest.fn().mockResolvedValue(true),
+      };
+      Reservation.findById.mockReturnValue({
+        populate: jest.fn().mockResolvedValue(mockReservation),
+      });
+
+      await updateReservationStatus(req, res, next);
+
+      expect(mockReservation.status).toBe("cancelled");
+      expect(offerNextHold).toHaveBeenCalledWith(mockBook);
+    });
+
     it("should update reservation status and notify user", async () => {
       req.params.id = "reservationId123";
       req.body = { status: "approved" };
@@ -110,17 +332,31 @@ describe("Reservation Controller", () => {
         _id: "reservationId123",
         user: "userId456",
         book: mockBook,
+        startDate: "2023-01-01",
+        endDate: "2023-01-07",
         status: "pending",
         save: jest.fn().mockResolvedValue(true),
       };
       Reservation.findById.mockReturnValue({
         populate: jest.fn().mockResolvedValue(mockReservation),
       });
+      checkAvailability.mockResolvedValue({
+        copies: [{ _id: "copyId1" }],
+        conflicts: [],
+      });
 
-      await updateReservationStatus(req, res);
+      await updateReservationStatus(req, res, next);
 
       expect(Reservation.findById).toHaveBeenCalledWith("reservationId123");
+      expect(checkAvailability).toHaveBeenCalledWith(
+        "bookId123",
+        "2023-01-01",
+        "2023-01-07",
+        "reservationId123"
+      );
+      expect(mockReservation.copy).toBe("copyId1");
       expect(mockReservation.status).toBe("approved");
+      expect(mockReservation.approvedAt).toBeInstanceOf(Date);
       expect(mockReservation.save).toHaveBeenCalled();
       expect(createNotification).toHaveBeenCalledWith(
         "userId456",
@@ -130,18 +366,52 @@ describe("Reservation Controller", () => {
       expect(res.json).toHaveBeenCalledWith(mockReservation);
     });
 
+    it("should return 409 if no copy is free for the reservation dates", async () => {
+      req.params.id = "reservationId123";
+      req.body = { status: "approved" };
+
+      const mockReservation = {
+        _id: "reservationId123",
+        user: "userId456",
+        book: { _id: "bookId123", title: "Test Book" },
+        startDate: "2023-01-01",
+        status: "pending",
+        save: jest.fn(),
+      };
+      Reservation.findById.mockReturnValue({
+        populate: jest.fn().mockResolvedValue(mockReservation),
+      });
+      const conflicts = [{ startDate: "2022-12-30", endDate: "2023-01-03" }];
+      checkAvailability.mockResolvedValue({ copies: [], conflicts });
+
+      await updateReservationStatus(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 409,
+          message: "No copies available for the requested dates",
+          details: { conflicts },
+        })
+      );
+      expect(mockReservation.status).toBe("pending");
+      expect(mockReservation.save).not.toHaveBeenCalled();
+      expect(createNotification).not.toHaveBeenCalled();
+    });
+
     it("should return 404 if reservation not found", async () => {
       req.params.id = "nonexistentReservation";
       Reservation.findById.mockReturnValue({
         populate: jest.fn().mockResolvedValue(null),
       });
 
-      await updateReservationStatus(req, res);
+      await updateReservationStatus(req, res, next);
 
-      expect(res.status).toHaveBeenCalledWith(404);
-      expect(res.json).toHaveBeenCalledWith({
-        message: "Reservation not found",
-      });
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 404,
+          message: "Reservation not found",
+        })
+      );
     });
 
     it("should handle server errors", async () => {
@@ -150,10 +420,296 @@ describe("Reservation Controller", () => {
         populate: jest.fn().mockRejectedValue(new Error("Database error")),
       });
 
-      await updateReservationStatus(req, res);
+      const next = jest.fn();
 
-      expect(res.status).toHaveBeenCalledWith(500);
-      expect(res.send).toHaveBeenCalledWith("Server Error");
+      await updateReservationStatus(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Database error" })
+      );
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("lifecycle transitions", () => {
+    const mockBook = { _id: "bookId123", title: "Test Book" };
+    const mockFind = (reservation) =>
+      Reservation.findById.mockReturnValue({
+        populate: jest.fn().mockResolvedValue(reservation),
+      });
+    const makeReservation = (status, user = "userId123") => ({
+      _id: "reservationId123",
+      user,
+      book: mockBook,
+      status,
+      save: jest.fn().mockResolvedValue(true),
+    });
+
+    beforeEach(() => {
+      req.params.id = "reservationId123";
+    });
+
+    it("should reject an illegal transition with 409", async () => {
+      req.user.isAdmin = true;
+      req.body = { status: "pending" };
+      const mockReservation = makeReservation("returned");
+      mockFind(mockReservation);
+
+      await updateReservationStatus(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 409,
+          message: "Cannot change reservation from returned to pending",
+        })
+      );
+      expect(mockReservation.save).not.toHaveBeenCalled();
+    });
+
+    it("should reject an unknown status with 400", async () => {
+      req.user.isAdmin = true;
+      req.body = { status: "lost" };
+      mockFind(makeReservation("pending"));
+
+      await updateReservationStatus(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 400,
+          message: "Invalid reservation status",
+        })
+      );
+    });
+
+    it("should let users cancel their own pending reservation", async () => {
+      const mockReservation = makeReservation("pending");
+      mockFind(mockReservation);
+
+      await cancelReservation(req, res, next);
+
+      expect(mockReservation.status).toBe("cancelled");
+      expect(mockReservation.cancelledAt).toBeInstanceOf(Date);
+      expect(offerNextHold).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(mockReservation);
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+
+    it("should not let users cancel an approved reservation", async () => {
+      mockFind(makeReservation("approved"));
+
+      await cancelReservation(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 409,
+          message: "Only pending reservations can be cancelled",
+        })
+      );
+    });
+
+    it("should not let users cancel someone else's reservation", async () => {
+      mockFind(makeReservation("pending", "otherUser"));
+
+      await cancelReservation(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 403,
+          message: "Not authorized to modify this reservation",
+        })
+      );
+    });
+
+    it("should record the check-out time", async () => {
+      req.user.isAdmin = true;
+      const mockReservation = makeReservation("approved", "userId456");
+      mockFind(mockReservation);
+
+      await checkOutReservation(req, res, next);
+
+      expect(mockReservation.status).toBe("checked_out");
+      expect(mockReservation.checkedOutAt).toBeInstanceOf(Date);
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          actor: "userId123",
+          action: "reservation.checked_out",
+          targetType: "Reservation",
+          target: "reservationId123",
+          before: { status: "approved" },
+          after: { status: "checked_out" },
+        })
+      );
+      expect(createNotification).toHaveBeenCalledWith(
+        "userId456",
+        'Your reservation for "Test Book" has been checked out',
+        "reservation_status"
+      );
+      expect(offerNextHold).not.toHaveBeenCalled();
+    });
+
+    it("should release the copy on return", async () => {
+      req.user.isAdmin = true;
+      const mockReservation = makeReservation("overdue", "userId456");
+      mockFind(mockReservation);
+
+      await returnReservation(req, res, next);
+
+      expect(mockReservation.status).toBe("returned");
+      expect(mockReservation.returnedAt).toBeInstanceOf(Date);
+      expect(accrueLateFee).toHaveBeenCalledWith(mockReservation);
+      expect(offerNextHold).toHaveBeenCalledWith(mockBook);
+    });
+  });
+
+  describe("renewReservation", () => {
+    const mockBook = { _id: "bookId123", title: "Test Book" };
+    let mockReservation;
+
+    beforeEach(() => {
+      req.params.id = "reservationId123";
+      mockReservation = {
+        _id: "reservationId123",
+        user: "userId123",
+        book: mockBook,
+        status: "checked_out",
+        endDate: new Date("2024-01-10"),
+        dueReminderSentAt: new Date("2024-01-09"),
+        renewals: [],
+        save: jest.fn().mockResolvedValue(true),
+      };
+      Reservation.findById.mockReturnValue({
+        populate: jest.fn().mockResolvedValue(mockReservation),
+      });
+    });
+
+    it("should extend the loan and record the renewal", async () => {
+      const previousEndDate = new Date("2024-01-10");
+      const newEndDate = new Date("2024-01-24");
+      checkRenewalPolicy.mockResolvedValue({
+        previousEndDate,
+        newEndDate,
+        reasons: [],
+      });
+
+      await renewReservation(req, res, next);
+
+      expect(checkRenewalPolicy).toHaveBeenCalledWith(mockReservation);
+      expect(mockReservation.endDate).toBe(newEndDate);
+      expect(mockReservation.dueReminderSentAt).toBeNull();
+      expect(mockReservation.renewals).toEqual([
+        { previousEndDate, newEndDate, renewedBy: "userId123" },
+      ]);
+      expect(mockReservation.save).toHaveBeenCalled();
+      expect(createNotification).toHaveBeenCalledWith(
+        "userId123",
+        `Your loan of "Test Book" has been renewed until ${newEndDate.toDateString()}`,
+        "renewal"
+      );
+      expect(res.json).toHaveBeenCalledWith(mockReservation);
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+
+    it("should audit staff renewing someone else's loan", async () => {
+      req.user.isAdmin = true;
+      mockReservation.user = "userId456";
+      const newEndDate = new Date("2024-01-24");
+      checkRenewalPolicy.mockResolvedValue({
+        previousEndDate: new Date("2024-01-10"),
+        newEndDate,
+        reasons: [],
+      });
+
+      await renewReservation(req, res, next);
+
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "reservation.renew",
+          before: { endDate: "2024-01-10T00:00:00.000Z" },
+          after: { endDate: newEndDate.toISOString() },
+        })
+      );
+    });
+
+    it("should refuse with reasons and notify the user", async () => {
+      const reasons = [
+        { code: "WAITLIST", message: "Other users are waiting for this book" },
+      ];
+      checkRenewalPolicy.mockResolvedValue({ reasons });
+
+      await renewReservation(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 409,
+          message: "Reservation cannot be renewed",
+          details: { reasons },
+        })
+      );
+      expect(createNotification).toHaveBeenCalledWith(
+        "userId123",
+        'Your renewal of "Test Book" was refused: Other users are waiting for this book',
+        "renewal"
+      );
+      expect(mockReservation.save).not.toHaveBeenCalled();
+    });
+
+    it("should return 403 for someone else's reservation", async () => {
+      mockReservation.user = "otherUser";
+
+      await renewReservation(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 403 })
+      );
+      expect(checkRenewalPolicy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("deleteReservation", () => {
+    it("should soft-delete a finished reservation", async () => {
+      req.params.id = "reservationId123";
+      const mockReservation = {
+        status: "returned",
+        deletedAt: null,
+        save: jest.fn().mockResolvedValue(true),
+      };
+      Reservation.findById.mockResolvedValue(mockReservation);
+
+      await deleteReservation(req, res, next);
+
+      expect(mockReservation.deletedAt).toBeInstanceOf(Date);
+      expect(res.json).toHaveBeenCalledWith({
+        message: "Reservation deleted successfully",
+      });
+    });
+
+    it("should refuse to delete an outstanding reservation", async () => {
+      req.params.id = "reservationId123";
+      Reservation.findById.mockResolvedValue({ status: "checked_out" });
+
+      await deleteReservation(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 409,
+          message: "Only finished reservations can be deleted",
+        })
+      );
+    });
+
+    it("should restore a deleted reservation", async () => {
+      req.params.id = "reservationId123";
+      const mockReservation = {
+        status: "returned",
+        deletedAt: new Date(),
+        save: jest.fn().mockResolvedValue(true),
+      };
+      Reservation.findById.mockResolvedValue(mockReservation);
+
+      await restoreReservation(req, res, next);
+
+      expect(mockReservation.deletedAt).toBeNull();
+      expect(res.json).toHaveBeenCalledWith(mockReservation);
     });
   });
 
@@ -178,9 +734,9 @@ describe("Reservation Controller", () => {
         }),
       });
 
-      await getReservations(req, res);
+      await getReservations(req, res, next);
 
-      expect(Reservation.find).toHaveBeenCalled();
+      expect(Reservation.find).toHaveBeenCalledWith({ deletedAt: null });
       expect(res.json).toHaveBeenCalledWith(mockReservations);
     });
 
@@ -191,10 +747,14 @@ describe("Reservation Controller", () => {
         }),
       });
 
-      await getReservations(req, res);
+      const next = jest.fn();
 
-      expect(res.status).toHaveBeenCalledWith(500);
-      expect(res.send).toHaveBeenCalledWith("Server Error");
+      await getReservations(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Database error" })
+      );
+      expect(res.status).not.toHaveBeenCalled();
     });
   });
 
@@ -216,7 +776,7 @@ describe("Reservation Controller", () => {
         }),
       });
 
-      await getReservation(req, res);
+      await getReservation(req, res, next);
 
       expect(Reservation.findById).toHaveBeenCalledWith("reservationId123");
       expect(res.json).toHaveBeenCalledWith(mockReservation);
@@ -238,7 +798,7 @@ describe("Reservation Controller", () => {
         }),
       });
 
-      await getReservation(req, res);
+      await getReservation(req, res, next);
 
       expect(res.json).toHaveBeenCalledWith(mockReservation);
     });
@@ -251,12 +811,14 @@ describe("Reservation Controller", () => {
         }),
       });
 
-      await getReservation(req, res);
+      await getReservation(req, res, next);
 
-      expect(res.status).toHaveBeenCalledWith(404);
-      expect(res.json).toHaveBeenCalledWith({
-        message: "Reservation not found",
-      });
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 404,
+          message: "Reservation not found",
+        })
+      );
     });
 
     it("should return 403 if not authorized", async () => {
@@ -277,12 +839,14 @@ describe("Reservation Controller", () => {
         }),
       });
 
-      await getReservation(req, res);
+      await getReservation(req, res, next);
 
-      expect(res.status).toHaveBeenCalledWith(403);
-      expect(res.json).toHaveBeenCalledWith({
-        message: "Not authorized to view this reservation",
-      });
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 403,
+          message: "Not authorized to view this reservation",
+        })
+      );
     });
 
     it("should handle server errors", async () => {
@@ -293,10 +857,14 @@ describe("Reservation Controller", () => {
         }),
       });
 
-      await getReservation(req, res);
+      const next = jest.fn();
 
-      expect(res.status).toHaveBeenCalledWith(500);
-      expect(res.send).toHaveBeenCalledWith("Server Error");
+      await getReservation(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Database error" })
+      );
+      expect(res.status).not.toHaveBeenCalled();
     });
   });
 });
@@ -0,0 +1,90 @@
+const Reservation = require("../models/Reservation");
+const { createNotification } = require("../utils/notificationUtils");
+const {
+  markOverdueReservations,
+  sendDueReminders,
+  expireStalePendingReservations,
+} = require("../jobs/reservationJobs");
+
+jest.mock("../models/Reservation");
+jest.mock("../utils/notificationUtils");
+jest.mock("../utils/waitlistUtils");
+
+describe("Reservation Jobs", () => {
+  const now = new Date(2024, 0, 10, 14, 30);
+  const today = new Date(2024, 0, 10);
+
+  const mockFind = (reservations) => {
+    const populate = jest.fn().mockResolvedValue(reservations);
+    Reservation.find.mockReturnValue({ populate });
+  };
+  const makeReservation = (status) => ({
+    user: "userId123",
+    book: { title: "Test Book" },
+    status,
+    save: jest.fn().mockResolvedValue(true),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should mark loans that ended before today as overdue", async () => {
+    const reservation = makeReservation("checked_out");
+    mockFind([reservation]);
+
+    const count = await markOverdueReservations(now);
+
+    expect(Reservation.find).toHaveBeenCalledWith({
+      status: "checked_out",
+      endDate: { $lt: today },
+    });
+    expect(count).toBe(1);
+    expect(reservation.status).toBe("overdue");
+    expect(reservation.overdueAt).toBe(now);
+    expect(createNotification).toHaveBeenCalledWith(
+      "userId123",
+      '"Test Book" is overdue. Please return it as soon as possible',
+      "overdue"
+    );
+  });
+
+  it("should send a single reminder for loans due tomorrow", async () => {
+    const reservation = makeReservation("checked_out");
+    mockFind([reservation]);
+
+    await sendDueReminders(now);
+
+    expect(Reservation.find).toHaveBeenCalledWith({
+      status: "checked_out",
+      endDate: { $gte: new Date(2024, 0, 11), $lt: new Date(2024, 0, 12) },
+      dueReminderSentAt: null,
+    });
+    expect(reservation.dueReminderSentAt).toBe(now);
+    expect(reservation.save).toHaveBeenCalled();
+    expect(createNotification).toHaveBeenCalledWith(
+      "userId123",
+      '"Test Book" is due tomorrow',
+      "due_reminder"
+    );
+  });
+
+  it("should expire pending reservations whose start date has passed", async () => {
+    const reservation = makeReservation("pending");
+    mockFind([reservation]);
+
+    await expireStalePendingReservations(now);
+
+    expect(Reservation.find).toHaveBeenCalledWith({
+      status: "pending",
+      startDate: { $lt: today },
+    });
+    expect(reservation.status).toBe("expired");
+    expect(reservation.expiredAt).toBe(now);
+    expect(createNotification).toHaveBeenCalledWith(
+      "userId123",
+      'Your reservation for "Test Book" has expired without approval',
+      "reservation_status"
+    );
+  });
+});
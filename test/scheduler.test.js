@@ -0,0 +1,73 @@
+const { createScheduler } = require("../utils/scheduler");
+const logger = require("../utils/logger");
+
+describe("Scheduler", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should run every job on each tick once started", async () => {
+    const first = { name: "first", run: jest.fn().mockResolvedValue(1) };
+    const second = { name: "second", run: jest.fn().mockResolvedValue(2) };
+    const scheduler = createScheduler([first, second], { intervalMs: 1000 });
+
+    scheduler.start();
+    expect(scheduler.isRunning()).toBe(true);
+    await jest.advanceTimersByTimeAsync(1000);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(first.run).toHaveBeenCalledTimes(2);
+    expect(second.run).toHaveBeenCalledTimes(2);
+    scheduler.stop();
+  });
+
+  it("should stop running jobs after stop()", async () => {
+    const job = { name: "job", run: jest.fn().mockResolvedValue() };
+    const scheduler = createScheduler([job], { intervalMs: 1000 });
+
+    scheduler.start();
+    await jest.advanceTimersByTimeAsync(1000);
+    scheduler.stop();
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(scheduler.isRunning()).toBe(false);
+    expect(job.run).toHaveBeenCalledTimes(1);
+  });
+
+  it("should keep running other jobs when one fails", async () => {
+    const loggerSpy = jest.spyOn(logger, "error");
+    const failing = { name: "failing", run: jest.fn().mockRejectedValue(new Error("boom")) };
+    const next = { name: "next", run: jest.fn().mockResolvedValue() };
+    const scheduler = createScheduler([failing, next], { intervalMs: 1000 });
+    const now = new Date("2024-01-01");
+
+    await scheduler.runOnce(now);
+
+    expect(failing.run).toHaveBeenCalledWith(now);
+    expect(next.run).toHaveBeenCalledWith(now);
+    expect(loggerSpy).toHaveBeenCalledWith("Scheduled job failed", {
+      job: "failing",
+      err: expect.any(Error),
+    });
+    loggerSpy.mockRestore();
+  });
+
+  it("should skip a tick while the previous one is still running", async () => {
+    let finish;
+    const slow = {
+      name: "slow",
+      run: jest.fn(() => new Promise((resolve) => (finish = resolve))),
+    };
+    const scheduler = createScheduler([slow], { intervalMs: 1000 });
+
+    const firstRun = scheduler.runOnce();
+    expect(await scheduler.runOnce()).toBe(false);
+    finish();
+    expect(await firstRun).toBe(true);
+    expect(slow.run).toHaveBeenCalledTimes(1);
+  });
+});
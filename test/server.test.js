@@ -0,0 +1,143 @@
+const express = require("express");
+const request = require("supertest");
+const { createApp } = require("../app");
+const { start } = require("../server");
+const library = require("../config/library");
+const mailer = require("../utils/mailer");
+
+const silent = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+describe("createApp", () => {
+  it("should answer unknown routes with the error envelope", async () => {
+    const res = await request(createApp({ routes: [] })).get("/nope");
+
+    expect(res.status).toBe(404);
+    expect(res.body).toMatchObject({ message: "Cannot GET /nope", code: "NOT_FOUND" });
+    expect(res.headers["x-request-id"]).toBeDefined();
+  });
+
+  it("should mount injected routes", async () => {
+    const router = express.Router();
+    router.get("/", (req, res) => res.json({ ok: true }));
+
+    const res = await request(createApp({ routes: [["/ping", router]] })).get("/ping");
+
+    expect(res.body).toEqual({ ok: true });
+  });
+
+  it("should take the client address from X-Forwarded-For when trusting a proxy", async () => {
+    const router = express.Router();
+    router.get("/", (req, res) => res.json({ ip: req.ip }));
+    const config = { ...library, server: { ...library.server, trustProxy: 1 } };
+    const app = createApp({ config, routes: [["/ip", router]] });
+
+    const res = await request(app).get("/ip").set("X-Forwarded-For", "203.0.113.7");
+
+    expect(res.body).toEqual({ ip: "203.0.113.7" });
+  });
+
+  it("should only allow the configured CORS origins", async () => {
+    const config = { ...library, cors: { origins: ["https://library.example"] } };
+    const app = createApp({ config, routes: [] });
+
+    const allowed = await request(app).get("/").set("Origin", "https://library.example");
+    const other = await request(app).get("/").set("Origin", "https://evil.example");
+
+    expect(allowed.headers["access-control-allow-origin"]).toBe("https://library.example");
+    expect(other.headers["access-control-allow-origin"]).toBeUndefined();
+  });
+});
+
+describe("start", () => {
+  let db, scheduler, config;
+
+  beforeEach(() => {
+    db = {
+      connect: jest.fn().mockResolvedValue(),
+      connection: { close: jest.fn().mockResolvedValue() },
+    };
+    scheduler = { start: jest.fn(), stop: jest.fn() };
+    config = {
+      ...library,
+      server: { port: 0, shutdownTimeoutSeconds: 5 },
+      scheduler: { ...library.scheduler, enabled: true },
+    };
+  });
+
+  it("should not listen before the database is connected", async () => {
+    db.connect.mockRejectedValue(new Error("unreachable"));
+    const app = { listen: jest.fn() };
+
+    await expect(
+      start({ config, db, app, scheduler, signals: false, log: silent })
+    ).rejects.toThrow("unreachable");
+    expect(app.listen).not.toHaveBeenCalled();
+    expect(scheduler.start).not.toHaveBeenCalled();
+  });
+
+  it("should refuse a mail transport that has no factory", async () => {
+    config.mail = { ...library.mail, transport: "smtp" };
+    const app = { listen: jest.fn() };
+
+    await expect(
+      start({ config, db, app, scheduler, signals: false, log: silent })
+    ).rejects.toThrow("MAIL_TRANSPORT smtp is not a registered mail transport");
+    expect(db.connect).not.toHaveBeenCalled();
+  });
+
+  it("should register the injected mail transports before checking", async () => {
+    config.mail = { ...library.mail, transport: "relay" };
+    const factory = jest.fn();
+    const app = createApp({ config, routes: [] });
+
+    const { shutdown } = await start({
+      config, db, app, scheduler, signals: false, log: silent,
+      mailTransports: { relay: factory },
+    });
+
+    expect(mailer.hasTransport("relay")).toBe(true);
+    await shutdown();
+  });
+
+  it("should serve requests and start the scheduler once connected", async () => {
+    const app = createApp({ config, routes: [] });
+    const { server, shutdown } = await start({
+      config, db, app, scheduler, signals: false, log: silent,
+    });
+
+    expect(db.connect).toHaveBeenCalledWith(library.database.url);
+    expect(scheduler.start).toHaveBeenCalled();
+    const res = await request(server).get("/nope");
+    expect(res.status).toBe(404);
+
+    await shutdown();
+  });
+
+  it("should drain in-flight requests before closing the database", async () => {
+    let finish;
+    const router = express.Router();
+    router.get("/", (req, res) => {
+      finish = () => res.json({ done: true });
+    });
+    const app = createApp({ config, routes: [["/slow", router]] });
+    const { server, shutdown } = await start({
+      config, db, app, scheduler, signals: false, log: silent,
+    });
+    const { port } = server.address();
+
+    const pending = fetch(`http://127.0.0.1:${port}/slow`).then((res) => res.json());
+    while (!finish) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    const stopped = shutdown();
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    expect(db.connection.close).not.toHaveBeenCalled();
+    finish();
+    expect(await pending).toEqual({ done: true });
+    await stopped;
+    expect(scheduler.stop).toHaveBeenCalled();
+    expect(db.connection.close).toHaveBeenCalled();
+    expect(server.listening).toBe(false);
+  });
+});
@@ -0,0 +1,109 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const {
+  startSession,
+  rotateSession,
+  revokeAllSessions,
+  isSessionActive,
+} = require("../utils/sessionUtils");
+
+jest.mock("../models/Session");
+jest.mock("../config/database", () => ({ secret: "test-secret" }));
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+describe("sessionUtils", () => {
+  const now = new Date("2030-01-01T00:00:00Z");
+  const sessionId = "507f1f77bcf86cd799439011";
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("startSession", () => {
+    it("should store a hashed refresh token and sign an access token", async () => {
+      let saved;
+      Session.mockImplementation((doc) => {
+        saved = doc;
+        return { save: jest.fn().mockResolvedValue({ ...doc, id: sessionId }) };
+      });
+
+      const { token, refreshToken } = await startSession(
+        { _id: "user123", id: "user123", isAdmin: true },
+        { userAgent: "jest", ip: "127.0.0.1" },
+        now
+      );
+
+      const [id, secret] = refreshToken.split(".");
+      expect(id).toBe(sessionId);
+      expect(saved.tokenHash).toBe(sha256(secret));
+      expect(saved.expiresAt).toEqual(new Date("2030-01-31T00:00:00Z"));
+      expect(jwt.verify(token, "test-secret")).toMatchObject({
+        user: { id: "user123", isAdmin: true },
+        sid: sessionId,
+      });
+    });
+  });
+
+  describe("rotateSession", () => {
+    it("should replace the stored hash with a new token", async () => {
+      Session.findOneAndUpdate.mockResolvedValue({ _id: sessionId, id: sessionId });
+
+      const result = await rotateSession(`${sessionId}.old-secret`, now);
+
+      const [filter, update] = Session.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({
+        _id: sessionId,
+        tokenHash: sha256("old-secret"),
+        revokedAt: null,
+        expiresAt: { $gt: now },
+      });
+      const [, newSecret] = result.refreshToken.split(".");
+      expect(update.tokenHash).toBe(sha256(newSecret));
+      expect(newSecret).not.toBe("old-secret");
+      expect(Session.updateOne).not.toHaveBeenCalled();
+    });
+
+    it("should revoke the session when a rotated token is replayed", async () => {
+      Session.findOneAndUpdate.mockResolvedValue(null);
+
+      const result = await rotateSession(`${sessionId}.stale-secret`, now);
+
+      expect(result).toBeNull();
+      expect(Session.updateOne).toHaveBeenCalledWith(
+        { _id: sessionId, revokedAt: null },
+        { revokedAt: now }
+      );
+    });
+
+    it("should ignore malformed tokens", async () => {
+      expect(await rotateSession("garbage", now)).toBeNull();
+      expect(await rotateSession(undefined, now)).toBeNull();
+      expect(Session.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  it("should revoke every open session of a user", async () => {
+    Session.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+    expect(await revokeAllSessions("user123", now)).toBe(2);
+    expect(Session.updateMany).toHaveBeenCalledWith(
+      { user: "user123", revokedAt: null },
+      { revokedAt: now }
+    );
+  });
+
+  it("should only treat live, unrevoked sessions as active", async () => {
+    Session.exists.mockResolvedValueOnce({ _id: sessionId }).mockResolvedValueOnce(null);
+
+    expect(await isSessionActive(sessionId, "user123", now)).toBe(true);
+    expect(await isSessionActive(sessionId, "user123", now)).toBe(false);
+    expect(Session.exists).toHaveBeenCalledWith({
+      _id: sessionId,
+      user: "user123",
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    });
+  });
+});
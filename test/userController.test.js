@@ -1,18 +1,39 @@
 const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
 const {
   getUser,
   updateUser,
+  patchUser,
+  changePassword,
   approveUser,
   getAllUsers,
+  setUserTier,
+  deleteUser,
+  restoreUser,
+  setUserRoles,
+  unlockUser,
 } = require("../controllers/userController");
+const { resetAccount } = require("../utils/loginThrottle");
+const { sendVerificationEmail } = require("../utils/verificationEmail");
+const bcrypt = require("bcryptjs");
+const {
+  revokeAllSessions,
+  revokeOtherSessions,
+} = require("../utils/sessionUtils");
 
 jest.mock("../models/User");
+jest.mock("../models/AuditLog");
+jest.mock("bcryptjs");
+jest.mock("../utils/loginThrottle");
+jest.mock("../utils/sessionUtils");
+jest.mock("../utils/verificationEmail");
 
 describe("User Controller", () => {
-  let req, res;
+  let req, res, next;
 
   beforeEach(() => {
     jest.clearAllMocks();
+    next = jest.fn();
     req = {
       params: {},
       body: {},
@@ -39,7 +60,7 @@ describe("User Controller", () => {
         select: jest.fn().mockResolvedValue(mockUser),
       }));
 
-      await getUser(req, res);
+      await getUser(req, res, next);
 
       expect(User.findById).toHaveBeenCalledWith("userId123");
       expect(res.json).toHaveBeenCalledWith({
@@ -49,16 +70,39 @@ describe("User Controller", () => {
       });
     });
 
+    it("should refuse users who have not verified their email", async () => {
+      req.params.id = "userId123";
+      const mockUser = {
+        _id: "userId123",
+        isApproved: false,
+        emailVerifiedAt: null,
+        save: jest.fn(),
+      };
+      User.findById.mockResolvedValue(mockUser);
+
+      await approveUser(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 409,
+          message: "User has not verified their email address",
+        })
+      );
+      expect(mockUser.isApproved).toBe(false);
+      expect(mockUser.save).not.toHaveBeenCalled();
+    });
+
     it("should return 404 if user not found", async () => {
       req.params.id = "nonexistentId";
       User.findById.mockReturnValue({
         select: jest.fn().mockResolvedValue(null),
       });
 
-      await getUser(req, res);
+      await getUser(req, res, next);
 
-      expect(res.status).toHaveBeenCalledWith(404);
-      expect(res.json).toHaveBeenCalledWith({ message: "User not found" });
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 404, message: "User not found" })
+      );
     });
 
     it("should handle server errors", async () => {
@@ -67,10 +111,14 @@ describe("User Controller", () => {
         select: jest.fn().mockRejectedValue(new Error("Database error")),
       });
 
-      await getUser(req, res);
+      const next = jest.fn();
+
+      await getUser(req, res, next);
 
-      expect(res.status).toHaveBeenCalledWith(500);
-      expect(res.send).toHaveBeenCalledWith("Server Error");
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Database error" })
+      );
+      expect(res.status).not.toHaveBeenCalled();
     });
   });
 
@@ -88,7 +136,7 @@ describe("User Controller", () => {
 
       User.findById.mockResolvedValue(mockUser);
 
-      await updateUser(req, res);
+      await updateUser(req, res, next);
 
       expect(User.findById).toHaveBeenCalledWith("authenticatedUserId");
       expect(mockUser.name).toBe("Updated Name");
@@ -101,10 +149,11 @@ describe("User Controller", () => {
       req.params.id = "nonexistentId";
       User.findById.mockResolvedValue(null);
 
-      await updateUser(req, res);
+      await updateUser(req, res, next);
 
-      expect(res.status).toHaveBeenCalledWith(404);
-      expect(res.json).toHaveBeenCalledWith({ message: "User not found" });
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 404, message: "User not found" })
+      );
     });
 
     it("should return 403 if not authorized to update", async () => {
@@ -115,22 +164,28 @@ describe("User Controller", () => {
       };
       User.findById.mockResolvedValue(mockUser);
 
-      await updateUser(req, res);
+      await updateUser(req, res, next);
 
-      expect(res.status).toHaveBeenCalledWith(403);
-      expect(res.json).toHaveBeenCalledWith({
-        message: "Not authorized to update this user",
-      });
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 403,
+          message: "Not authorized to update this user",
+        })
+      );
     });
 
     it("should handle server errors", async () => {
       req.params.id = "authenticatedUserId";
       User.findById.mockRejectedValue(new Error("Database error"));
 
-      await updateUser(req, res);
+      const next = jest.fn();
+
+      await updateUser(req, res, next);
 
-      expect(res.status).toHaveBeenCalledWith(500);
-      expect(res.send).toHaveBeenCalledWith("Server Error");
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Database error" })
+      );
+      expect(res.status).not.toHaveBeenCalled();
     });
   });
 
@@ -140,11 +195,12 @@ describe("User Controller", () => {
       const mockUser = {
         _id: "userId123",
         isApproved: false,
+        emailVerifiedAt: new Date(),
         save: jest.fn().mockResolvedValue(true),
       };
       User.findById.mockResolvedValue(mockUser);
 
-      await approveUser(req, res);
+      await approveUser(req, res, next);
 
       expect(User.findById).toHaveBeenCalledWith("userId123");
       expect(mockUser.isApproved).toBe(true);
@@ -154,24 +210,140 @@ describe("User Controller", () => {
       });
     });
 
+    it("should record the approval in the audit log", async () => {
+      req.params.id = "userId123";
+      req.user.name = "Admin";
+      req.id = "req-1";
+      User.findById.mockResolvedValue({
+        _id: "userId123",
+        isApproved: false,
+        emailVerifiedAt: new Date(),
+        save: jest.fn().mockResolvedValue(true),
+      });
+
+      await approveUser(req, res, next);
+
+      expect(AuditLog.create).toHaveBeenCalledWith({
+        actor: "authenticatedUserId",
+        actorName: "Admin",
+        action: "user.approve",
+        targetType: "User",
+        target: "userId123",
+        before: { isApproved: false },
+        after: { isApproved: true },
+        requestId: "req-1",
+      });
+    });
+
     it("should return 404 if user not found", async () => {
       req.params.id = "nonexistentId";
       User.findById.mockResolvedValue(null);
 
-      await approveUser(req, res);
+      await approveUser(req, res, next);
 
-      expect(res.status).toHaveBeenCalledWith(404);
-      expect(res.json).toHaveBeenCalledWith({ message: "User not found" });
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 404, message: "User not found" })
+      );
     });
 
     it("should handle server errors", async () => {
       req.params.id = "userId123";
       User.findById.mockRejectedValue(new Error("Database error"));
 
-      await approveUser(req, res);
+      const next = jest.fn();
+
+      await approveUser(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Database error" })
+      );
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("setUserTier", () => {
+    it("should set the user's borrowing tier", async () => {
+      req.params.id = "userId123";
+      req.body = { tier: "premium" };
+      const mockUser = {
+        _id: "userId123",
+        tier: "standard",
+        save: jest.fn().mockResolvedValue(true),
+      };
+      User.findById.mockResolvedValue(mockUser);
+
+      await setUserTier(req, res, next);
 
-      expect(res.status).toHaveBeenCalledWith(500);
-      expect(res.send).toHaveBeenCalledWith("Server Error");
+      expect(mockUser.tier).toBe("premium");
+      expect(mockUser.save).toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        message: "User tier updated successfully",
+        tier: "premium",
+      });
+    });
+
+    it("should return 400 for an unknown tier", async () => {
+      req.params.id = "userId123";
+      req.body = { tier: "gold" };
+
+      await setUserTier(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 400,
+          message: "Unknown borrowing tier",
+        })
+      );
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("deleteUser", () => {
+    it("should soft-delete a user", async () => {
+      req.params.id = "userId123";
+      const mockUser = {
+        _id: "userId123",
+        deletedAt: null,
+        save: jest.fn().mockResolvedValue(true),
+      };
+      User.findById.mockResolvedValue(mockUser);
+
+      await deleteUser(req, res, next);
+
+      expect(mockUser.deletedAt).toBeInstanceOf(Date);
+      expect(revokeAllSessions).toHaveBeenCalledWith("userId123");
+      expect(res.json).toHaveBeenCalledWith({
+        message: "User deleted successfully",
+      });
+    });
+
+    it("should not let admins delete themselves", async () => {
+      req.params.id = "authenticatedUserId";
+
+      await deleteUser(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 400 })
+      );
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("restoreUser", () => {
+    it("should restore a deleted user", async () => {
+      req.params.id = "userId123";
+      const mockUser = {
+        deletedAt: new Date(),
+        save: jest.fn().mockResolvedValue(true),
+      };
+      User.findById.mockResolvedValue(mockUser);
+
+      await restoreUser(req, res, next);
+
+      expect(mockUser.deletedAt).toBeNull();
+      expect(res.json).toHaveBeenCalledWith({
+        message: "User restored successfully",
+      });
     });
   });
 
@@ -185,21 +357,300 @@ describe("User Controller", () => {
         select: jest.fn().mockResolvedValue(mockUsers),
       });
 
-      await getAllUsers(req, res);
+      await getAllUsers(req, res, next);
 
-      expect(User.find).toHaveBeenCalled();
+      expect(User.find).toHaveBeenCalledWith({ deletedAt: null });
       expect(res.json).toHaveBeenCalledWith(mockUsers);
     });
 
+    it("should filter by email verification state", async () => {
+      User.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+
+      req.query = { verified: "true" };
+      await getAllUsers(req, res, next);
+      req.query = { verified: "false" };
+      await getAllUsers(req, res, next);
+
+      expect(User.find).toHaveBeenNthCalledWith(1, {
+        deletedAt: null,
+        emailVerifiedAt: { $ne: null },
+      });
+      expect(User.find).toHaveBeenNthCalledWith(2, {
+        deletedAt: null,
+        emailVerifiedAt: null,
+      });
+    });
+
     it("should handle server errors", async () => {
       User.find.mockReturnValue({
         select: jest.fn().mockRejectedValue(new Error("Database error")),
       });
 
-      await getAllUsers(req, res);
+      const next = jest.fn();
+
+      await getAllUsers(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Database error" })
+      );
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("patchUser", () => {
+    const makeUser = (fields) => ({
+      _id: "authenticatedUserId",
+      ...fields,
+      save: jest.fn().mockResolvedValue(true),
+      toObject() {
+        const rest = { ...this };
+        delete rest.save;
+        delete rest.toObject;
+        return rest;
+      },
+    });
+
+    beforeEach(() => {
+      req.params.id = "authenticatedUserId";
+    });
+
+    it("should update only the supplied profile fields", async () => {
+      const mockUser = makeUser({
+        name: "Original",
+        email: "old@example.com",
+        phoneNumber: "1234567890",
+        password: "hashed",
+      });
+      req.body = { email: " new@example.com " };
+      User.findOne
+        .mockResolvedValueOnce(mockUser)
+        .mockResolvedValueOnce(null);
+
+      await patchUser(req, res, next);
+
+      expect(mockUser.email).toBe("new@example.com");
+      expect(mockUser.name).toBe("Original");
+      expect(mockUser.save).toHaveBeenCalled();
+      const body = res.json.mock.calls[0][0];
+      expect(body.email).toBe("new@example.com");
+      expect(body.password).toBeUndefined();
+    });
+
+    it("should require a changed email address to be verified again", async () => {
+      const mockUser = makeUser({
+        email: "old@example.com",
+        emailVerifiedAt: new Date("2024-01-01"),
+      });
+      req.body = { email: "new@example.com" };
+      User.findOne
+        .mockResolvedValueOnce(mockUser)
+        .mockResolvedValueOnce(null);
+
+      await patchUser(req, res, next);
+
+      expect(mockUser.emailVerifiedAt).toBeNull();
+      expect(mockUser.save).toHaveBeenCalled();
+      expect(sendVerificationEmail).toHaveBeenCalledWith(mockUser);
+    });
+
+    it("should keep the verification when the email is unchanged", async () => {
+      const verifiedAt = new Date("2024-01-01");
+      const mockUser = makeUser({
+        name: "Original",
+        email: "same@example.com",
+        emailVerifiedAt: verifiedAt,
+      });
+      req.body = { name: "Renamed", email: "same@example.com" };
+      User.findOne.mockResolvedValueOnce(mockUser);
+
+      await patchUser(req, res, next);
+
+      expect(mockUser.emailVerifiedAt).toBe(verifiedAt);
+      expect(sendVerificationEmail).not.toHaveBeenCalled();
+    });
+
+    it("should reject privileged and malformed fields with 422", async () => {
+      req.body = { isAdmin: true, phoneNumber: "call me", email: "nope" };
+
+      await patchUser(req, res, next);
+
+      expect(User.findOne).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 422,
+          message: "Validation failed",
+          details: {
+            errors: [
+              { field: "isAdmin", message: "isAdmin is not an allowed field" },
+              { field: "email", message: "email must be a valid email address" },
+              { field: "phoneNumber", message: "phoneNumber must be a valid phone number" },
+            ],
+          },
+        })
+      );
+    });
+
+    it("should return 409 when the email belongs to someone else", async () => {
+      req.body = { email: "taken@example.com" };
+      User.findOne
+        .mockResolvedValueOnce(makeUser({ email: "old@example.com" }))
+        .mockResolvedValueOnce({ _id: "otherUserId" });
+
+      await patchUser(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 409 })
+      );
+    });
+
+    it("should not let users patch someone else", async () => {
+      req.params.id = "otherUserId";
+      req.body = { name: "Hijack" };
+
+      await patchUser(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 403 })
+      );
+    });
+  });
+
+  describe("changePassword", () => {
+    beforeEach(() => {
+      req.params.id = "authenticatedUserId";
+      req.sessionId = "session1";
+      req.body = { currentPassword: "old-password", newPassword: "new-password" };
+    });
+
+    it("should change the password and sign out other sessions", async () => {
+      const mockUser = {
+        _id: "authenticatedUserId",
+        password: "old-hash",
+        save: jest.fn().mockResolvedValue(true),
+      };
+      User.findById.mockResolvedValue(mockUser);
+      bcrypt.compare.mockResolvedValue(true);
+
+      await changePassword(req, res, next);
+
+      expect(bcrypt.compare).toHaveBeenCalledWith("old-password", "old-hash");
+      expect(mockUser.password).toBe("new-password");
+      expect(mockUser.save).toHaveBeenCalled();
+      expect(revokeOtherSessions).toHaveBeenCalledWith(
+        "authenticatedUserId",
+        "session1"
+      );
+      expect(res.json).toHaveBeenCalledWith({
+        message: "Password changed successfully",
+      });
+    });
+
+    it("should refuse a wrong current password", async () => {
+      const mockUser = { _id: "authenticatedUserId", password: "old-hash", save: jest.fn() };
+      User.findById.mockResolvedValue(mockUser);
+      bcrypt.compare.mockResolvedValue(false);
+
+      await changePassword(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 400,
+          message: "Current password is incorrect",
+        })
+      );
+      expect(mockUser.save).not.toHaveBeenCalled();
+    });
+
+    it("should not let users change someone else's password", async () => {
+      req.params.id = "otherUserId";
+
+      await changePassword(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 403 })
+      );
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("setUserRoles", () => {
+    it("should replace the user's roles", async () => {
+      req.params.id = "userId123";
+      req.body = { roles: ["librarian"] };
+      const mockUser = {
+        _id: "userId123",
+        roles: [],
+        save: jest.fn().mockResolvedValue(true),
+      };
+      User.findById.mockResolvedValue(mockUser);
+
+      await setUserRoles(req, res, next);
+
+      expect(mockUser.roles).toEqual(["librarian"]);
+      expect(mockUser.save).toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({
+        message: "User roles updated successfully",
+        roles: ["librarian"],
+      });
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "user.roles",
+          before: { roles: [] },
+          after: { roles: ["librarian"] },
+        })
+      );
+    });
+
+    it("should not let staff change their own roles", async () => {
+      req.params.id = "authenticatedUserId";
+      req.body = { roles: [] };
+
+      await setUserRoles(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 400 })
+      );
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("unlockUser", () => {
+    it("should clear the lockout", async () => {
+      req.params.id = "userId123";
+      const lockedUntil = new Date("2024-01-01T10:15:00Z");
+      User.findById.mockResolvedValue({
+        _id: "userId123",
+        deletedAt: null,
+        failedLoginAttempts: 10,
+        lockedUntil,
+      });
+
+      await unlockUser(req, res, next);
+
+      expect(resetAccount).toHaveBeenCalledWith("userId123");
+      expect(res.json).toHaveBeenCalledWith({
+        message: "User unlocked successfully",
+      });
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "user.unlock",
+          before: { failedLoginAttempts: 10, lockedUntil: lockedUntil.toISOString() },
+          after: { failedLoginAttempts: 0, lockedUntil: null },
+        })
+      );
+    });
+
+    it("should return 404 for an unknown user", async () => {
+      req.params.id = "userId123";
+      User.findById.mockResolvedValue(null);
+
+      await unlockUser(req, res, next);
 
-      expect(res.status).toHaveBeenCalledWith(500);
-      expect(res.send).toHaveBeenCalledWith("Server Error");
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 404 })
+      );
+      expect(resetAccount).not.toHaveBeenCalled();
     });
   });
 });
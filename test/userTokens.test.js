@@ -0,0 +1,55 @@
+const crypto = require("crypto");
+const UserToken = require("../models/UserToken");
+const { createUserToken, consumeUserToken } = require("../utils/userTokens");
+
+jest.mock("../models/UserToken");
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+describe("userTokens", () => {
+  const now = new Date("2030-01-01T00:00:00Z");
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should cancel earlier tokens and store only the hash of a new one", async () => {
+    let saved;
+    UserToken.mockImplementation((doc) => {
+      saved = doc;
+      return { save: jest.fn().mockResolvedValue(doc) };
+    });
+
+    const token = await createUserToken("user123", "password_reset", 60 * 1000, now);
+
+    expect(UserToken.updateMany).toHaveBeenCalledWith(
+      { user: "user123", purpose: "password_reset", usedAt: null },
+      { usedAt: now }
+    );
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(saved).toMatchObject({
+      user: "user123",
+      purpose: "password_reset",
+      tokenHash: sha256(token),
+      expiresAt: new Date("2030-01-01T00:01:00Z"),
+    });
+  });
+
+  it("should consume a token at most once", async () => {
+    UserToken.findOneAndUpdate.mockResolvedValue({ user: "user123" });
+
+    const result = await consumeUserToken("raw", "password_reset", now);
+
+    expect(result).toEqual({ user: "user123" });
+    expect(UserToken.findOneAndUpdate).toHaveBeenCalledWith(
+      {
+        tokenHash: sha256("raw"),
+        purpose: "password_reset",
+        usedAt: null,
+        expiresAt: { $gt: now },
+      },
+      { usedAt: now },
+      { new: true }
+    );
+  });
+});
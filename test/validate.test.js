@@ -0,0 +1,92 @@
+const validate = require("../middleware/validate");
+const { idParams } = require("../schemas/common");
+const reservationSchemas = require("../schemas/reservations");
+const bookSchemas = require("../schemas/books");
+const { BadRequestError, ValidationError } = require("../utils/errors");
+
+describe("validate middleware", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = { params: {}, query: {}, body: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+    };
+    next = jest.fn();
+  });
+
+  it("should reject a malformed id with a 400 before reaching the controller", () => {
+    req.params.id = "not-an-id";
+
+    validate({ params: idParams })(req, res, next);
+
+    const [err] = next.mock.calls[0];
+    expect(err).toBeInstanceOf(BadRequestError);
+    expect(err.message).toBe("Invalid request");
+    expect(err.details).toEqual({
+      errors: [{ field: "id", message: "id must be a valid id" }],
+    });
+  });
+
+  it("should reject with a 422 listing every invalid body field", () => {
+    req.body = { bookId: "123", startDate: "soon", note: "hi" };
+
+    validate({ body: reservationSchemas.create })(req, res, next);
+
+    const [err] = next.mock.calls[0];
+    expect(err).toBeInstanceOf(ValidationError);
+    expect(err.status).toBe(422);
+    expect(err.details.errors).toEqual([
+      { field: "note", message: "note is not an allowed field" },
+      { field: "bookId", message: "bookId must be a valid id" },
+      { field: "startDate", message: "startDate must be a valid date" },
+    ]);
+  });
+
+  it("should coerce values and replace the body with the checked fields", () => {
+    req.body = {
+      bookId: "507f1f77bcf86cd799439011",
+      startDate: "2030-01-01",
+    };
+
+    validate({ body: reservationSchemas.create })(req, res, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.body).toEqual({
+      bookId: "507f1f77bcf86cd799439011",
+      startDate: new Date("2030-01-01"),
+    });
+  });
+
+  it("should coerce known query values and keep the rest", () => {
+    req.query = { page: "2", extra: "kept", limit: "" };
+
+    validate({ query: { page: { type: "integer", min: 1 }, limit: { type: "integer" } } })(
+      req,
+      res,
+      next
+    );
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.query).toEqual({ page: 2, extra: "kept", limit: "" });
+  });
+
+  it("should allow partial bodies when asked", () => {
+    req.body = {};
+
+    validate({ body: reservationSchemas.create }, { partial: true })(req, res, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it("should let a copy update clear its location but not its status", () => {
+    req.body = { shelfLocation: null, status: null };
+
+    validate({ body: bookSchemas.copyUpdate }, { partial: true })(req, res, next);
+
+    expect(next.mock.calls[0][0].details.errors).toEqual([
+      { field: "status", message: "status cannot be cleared" },
+    ]);
+  });
+});
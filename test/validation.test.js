@@ -0,0 +1,88 @@
+const { validate } = require("../utils/validation");
+
+describe("validate", () => {
+  const schema = {
+    name: { type: "string", required: true },
+    email: { type: "email" },
+    phone: { type: "phone" },
+    born: { type: "date" },
+    copies: { type: "integer", min: 0, default: 1 },
+    active: { type: "boolean" },
+    owner: { type: "objectId" },
+    tags: { type: "array", items: { type: "string", lowercase: true }, unique: true },
+    status: { type: "string", enum: ["open", "closed"] },
+  };
+
+  it("should coerce valid values", () => {
+    const { value, errors } = validate(schema, {
+      name: " Ada ",
+      email: "ADA@example.com",
+      phone: "+1 (555) 010-2000",
+      born: "1815-12-10",
+      copies: "3",
+      active: "false",
+      owner: "507f1f77bcf86cd799439011",
+      tags: "Math, math,Poetry",
+      status: "open",
+    });
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({
+      name: "Ada",
+      email: "ADA@example.com",
+      phone: "+1 (555) 010-2000",
+      born: new Date("1815-12-10"),
+      copies: 3,
+      active: false,
+      owner: "507f1f77bcf86cd799439011",
+      tags: ["math", "poetry"],
+      status: "open",
+    });
+  });
+
+  it("should report every invalid field", () => {
+    const { errors } = validate(schema, {
+      email: "not-an-email",
+      phone: "12",
+      born: "yesterday-ish",
+      copies: 1.5,
+      owner: "123",
+      status: "lost",
+      extra: true,
+    });
+
+    expect(errors).toEqual([
+      { field: "extra", message: "extra is not an allowed field" },
+      { field: "name", message: "name is required" },
+      { field: "email", message: "email must be a valid email address" },
+      { field: "phone", message: "phone must be a valid phone number" },
+      { field: "born", message: "born must be a valid date" },
+      { field: "copies", message: "copies must be a whole number" },
+      { field: "owner", message: "owner must be a valid id" },
+      { field: "status", message: "status must be one of open, closed" },
+    ]);
+  });
+
+  it("should apply defaults only to full documents", () => {
+    expect(validate(schema, { name: "Ada" }).value.copies).toBe(1);
+    expect(validate(schema, {}, { partial: true })).toEqual({ value: {}, errors: [] });
+  });
+
+  it("should clear optional fields set to null but not required ones", () => {
+    const { value, errors } = validate(schema, { name: null, email: null }, { partial: true });
+
+    expect(value).toEqual({ email: null });
+    expect(errors).toEqual([{ field: "name", message: "name cannot be cleared" }]);
+  });
+
+  it("should ignore unknown and blank fields when asked", () => {
+    const { value, errors } = validate(
+      schema,
+      { name: "Ada", email: "", extra: 1 },
+      { allowUnknown: true, blankAsMissing: true }
+    );
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({ name: "Ada", copies: 1 });
+  });
+});
@@ -0,0 +1,292 @@
+const WaitlistEntry = require("../models/WaitlistEntry");
+const Reservation = require("../models/Reservation");
+const Book = require("../models/Book");
+const AuditLog = require("../models/AuditLog");
+const { notifyAdmins } = require("../utils/notificationUtils");
+const { checkAvailability } = require("../utils/availabilityUtils");
+const {
+  nextPosition,
+  offerNextHold,
+  countActiveHolds,
+} = require("../utils/waitlistUtils");
+const { checkReservationPolicy } = require("../utils/borrowingPolicy");
+const {
+  joinWaitlist,
+  leaveWaitlist,
+  claimHold,
+  getBookWaitlist,
+  reorderWaitlist,
+} = require("../controllers/waitlistController");
+
+jest.mock("../models/WaitlistEntry");
+jest.mock("../models/Reservation");
+jest.mock("../models/Book");
+jest.mock("../models/AuditLog");
+jest.mock("../utils/notificationUtils");
+jest.mock("../utils/borrowingPolicy");
+jest.mock("../utils/availabilityUtils", () => ({
+  ...jest.requireActual("../utils/availabilityUtils"),
+  checkAvailability: jest.fn(),
+}));
+jest.mock("../utils/waitlistUtils", () => ({
+  ...jest.requireActual("../utils/waitlistUtils"),
+  nextPosition: jest.fn(),
+  offerNextHold: jest.fn(),
+  countActiveHolds: jest.fn(),
+}));
+
+const HOUR = 60 * 60 * 1000;
+
+describe("Waitlist Controller", () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    next = jest.fn();
+    checkReservationPolicy.mockResolvedValue([]);
+    req = {
+      params: {},
+      body: {},
+      user: { id: "userId123", name: "Test User", isAdmin: false },
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn(),
+    };
+  });
+
+  describe("joinWaitlist", () => {
+    it("should add the user to the end of the queue", async () => {
+      req.body = { bookId: "bookId123" };
+      Book.findById.mockResolvedValue({ _id: "bookId123" });
+      WaitlistEntry.findOne.mockResolvedValue(null);
+      nextPosition.mockResolvedValue(4);
+      const savedEntry = { _id: "entry1", position: 4 };
+      WaitlistEntry.prototype.save = jest.fn().mockResolvedValue(savedEntry);
+
+      await joinWaitlist(req, res, next);
+
+      expect(WaitlistEntry).toHaveBeenCalledWith({
+        book: "bookId123",
+        user: "userId123",
+        position: 4,
+      });
+      expect(res.json).toHaveBeenCalledWith(savedEntry);
+    });
+
+    it("should return 400 if the user is already queued", async () => {
+      req.body = { bookId: "bookId123" };
+      Book.findById.mockResolvedValue({ _id: "bookId123" });
+      WaitlistEntry.findOne.mockResolvedValue({ _id: "entry1" });
+
+      await joinWaitlist(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 400,
+          message: "Already on the waitlist for this book",
+        })
+      );
+    });
+
+    it("should return 404 if book not found", async () => {
+      Book.findById.mockResolvedValue(null);
+
+      await joinWaitlist(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 404, message: "Book not found" })
+      );
+    });
+  });
+
+  describe("leaveWaitlist", () => {
+    it("should pass a declined offer on to the next person", async () => {
+      req.params.id = "entry1";
+      const book = { _id: "bookId123", title: "Test Book" };
+      const mockEntry = {
+        user: "userId123",
+        book,
+        status: "offered",
+        save: jest.fn().mockResolvedValue(true),
+      };
+      WaitlistEntry.findById.mockReturnValue({
+        populate: jest.fn().mockResolvedValue(mockEntry),
+      });
+
+      await leaveWaitlist(req, res, next);
+
+      expect(mockEntry.status).toBe("cancelled");
+      expect(offerNextHold).toHaveBeenCalledWith(book);
+      expect(res.json).toHaveBeenCalledWith({ message: "Removed from waitlist" });
+    });
+
+    it("should return 403 for someone else's entry", async () => {
+      req.params.id = "entry1";
+      WaitlistEntry.findById.mockReturnValue({
+        populate: jest.fn().mockResolvedValue({
+          user: "otherUser",
+          status: "waiting",
+        }),
+      });
+
+      await leaveWaitlist(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 403 })
+      );
+    });
+  });
+
+  describe("claimHold", () => {
+    const offeredEntry = (overrides) => ({
+      _id: "entry1",
+      user: "userId123",
+      book: { _id: "bookId123", title: "Test Book" },
+      status: "offered",
+      holdExpiresAt: new Date(Date.now() + HOUR),
+      save: jest.fn().mockResolvedValue(true),
+      ...overrides,
+    });
+
+    it("should create a pending reservation from an offered hold", async () => {
+      req.params.id = "entry1";
+      req.body = { startDate: "2030-01-01", endDate: "2030-01-07" };
+      const mockEntry = offeredEntry();
+      WaitlistEntry.findById.mockReturnValue({
+        populate: jest.fn().mockResolvedValue(mockEntry),
+      });
+      checkAvailability.mockResolvedValue({
+        copies: [{ _id: "copy1" }],
+        conflicts: [],
+      });
+      countActiveHolds.mockResolvedValue(0);
+      const savedReservation = { _id: "reservation1" };
+      Reservation.prototype.save = jest.fn().mockResolvedValue(savedReservation);
+
+      await claimHold(req, res, next);
+
+      expect(countActiveHolds).toHaveBeenCalledWith("bookId123", "userId123");
+      expect(Reservation).toHaveBeenCalledWith({
+        user: "userId123",
+        book: "bookId123",
+        startDate: new Date("2030-01-01"),
+        endDate: new Date("2030-01-07"),
+        status: "pending",
+      });
+      expect(mockEntry.status).toBe("claimed");
+      expect(mockEntry.reservation).toBe("reservation1");
+      expect(notifyAdmins).toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(savedReservation);
+    });
+
+    it("should expire a stale hold and offer it to the next person", async () => {
+      req.params.id = "entry1";
+      const mockEntry = offeredEntry({ holdExpiresAt: new Date(Date.now() - HOUR) });
+      WaitlistEntry.findById.mockReturnValue({
+        populate: jest.fn().mockResolvedValue(mockEntry),
+      });
+
+      await claimHold(req, res, next);
+
+      expect(mockEntry.status).toBe("expired");
+      expect(offerNextHold).toHaveBeenCalledWith(mockEntry.book);
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 410 })
+      );
+      expect(Reservation).not.toHaveBeenCalled();
+    });
+
+    it("should return 400 when nothing is held for the user", async () => {
+      req.params.id = "entry1";
+      WaitlistEntry.findById.mockReturnValue({
+        populate: jest.fn().mockResolvedValue(offeredEntry({ status: "waiting" })),
+      });
+
+      await claimHold(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 400,
+          message: "No copy is being held for you",
+        })
+      );
+    });
+  });
+
+  describe("getBookWaitlist", () => {
+    it("should return the open queue in order", async () => {
+      req.params.bookId = "bookId123";
+      const entries = [{ position: 1 }, { position: 2 }];
+      const populate = jest.fn().mockResolvedValue(entries);
+      const sort = jest.fn().mockReturnValue({ populate });
+      WaitlistEntry.find.mockReturnValue({ sort });
+
+      await getBookWaitlist(req, res, next);
+
+      expect(WaitlistEntry.find).toHaveBeenCalledWith({
+        book: "bookId123",
+        status: { $in: ["waiting", "offered"] },
+      });
+      expect(sort).toHaveBeenCalledWith({ position: 1 });
+      expect(res.json).toHaveBeenCalledWith(entries);
+    });
+  });
+
+  describe("reorderWaitlist", () => {
+    const entry = (id, position) => ({
+      _id: id,
+      book: "bookId123",
+      status: "waiting",
+      position,
+      save: jest.fn().mockResolvedValue(true),
+    });
+
+    it("should move an entry and renumber the queue", async () => {
+      const a = entry("a", 2);
+      const b = entry("b", 3);
+      const c = entry("c", 4);
+      req.params.id = "c";
+      req.body = { position: 1 };
+      WaitlistEntry.findById.mockResolvedValue(c);
+      WaitlistEntry.find.mockReturnValue({
+        sort: jest.fn().mockResolvedValue([a, b, c]),
+      });
+
+      await reorderWaitlist(req, res, next);
+
+      expect([c.position, a.position, b.position]).toEqual([2, 3, 4]);
+      expect(res.json).toHaveBeenCalledWith([c, a, b]);
+      expect(AuditLog.create).toHaveBeenCalledTimes(1);
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "waitlist.reorder",
+          targetType: "WaitlistEntry",
+          target: "c",
+          before: { position: 4 },
+          after: { position: 2 },
+        })
+      );
+    });
+
+    it("should return 400 for an out of range position", async () => {
+      const a = entry("a", 1);
+      req.params.id = "a";
+      req.body = { position: 5 };
+      WaitlistEntry.findById.mockResolvedValue(a);
+      WaitlistEntry.find.mockReturnValue({
+        sort: jest.fn().mockResolvedValue([a]),
+      });
+
+      await reorderWaitlist(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 400,
+          message: "Position must be between 1 and 1",
+        })
+      );
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const WaitlistEntry = require("../models/WaitlistEntry");
+const { createNotification } = require("../utils/notificationUtils");
+const { offerNextHold, expireHolds } = require("../utils/waitlistUtils");
+
+jest.mock("../models/WaitlistEntry");
+jest.mock("../utils/notificationUtils");
+
+describe("Waitlist Utils", () => {
+  const book = { _id: "bookId123", title: "Test Book" };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("offerNextHold", () => {
+    it("should offer the hold to the first waiting user and notify them", async () => {
+      const mockEntry = {
+        user: "userId123",
+        status: "waiting",
+        save: jest.fn().mockResolvedValue(true),
+      };
+      const sort = jest.fn().mockResolvedValue(mockEntry);
+      WaitlistEntry.findOne.mockReturnValue({ sort });
+
+      const entry = await offerNextHold(book);
+
+      expect(WaitlistEntry.findOne).toHaveBeenCalledWith({
+        book: "bookId123",
+        status: "waiting",
+      });
+      expect(sort).toHaveBeenCalledWith({ position: 1 });
+      expect(entry.status).toBe("offered");
+      expect(entry.holdExpiresAt - entry.offeredAt).toBe(48 * 60 * 60 * 1000);
+      expect(createNotification).toHaveBeenCalledWith(
+        "userId123",
+        expect.stringContaining('A copy of "Test Book" is available'),
+        "waitlist"
+      );
+    });
+
+    it("should do nothing when nobody is waiting", async () => {
+      WaitlistEntry.findOne.mockReturnValue({
+        sort: jest.fn().mockResolvedValue(null),
+      });
+
+      expect(await offerNextHold(book)).toBeNull();
+      expect(createNotification).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("expireHolds", () => {
+    it("should expire lapsed offers and pass them on", async () => {
+      const lapsed = {
+        user: "userId123",
+        book,
+        status: "offered",
+        save: jest.fn().mockResolvedValue(true),
+      };
+      WaitlistEntry.find.mockReturnValue({
+        populate: jest.fn().mockResolvedValue([lapsed]),
+      });
+      WaitlistEntry.findOne.mockReturnValue({
+        sort: jest.fn().mockResolvedValue(null),
+      });
+
+      const count = await expireHolds(new Date("2024-01-01"));
+
+      expect(count).toBe(1);
+      expect(lapsed.status).toBe("expired");
+      expect(createNotification).toHaveBeenCalledWith(
+        "userId123",
+        'Your hold on "Test Book" has expired',
+        "waitlist"
+      );
+      expect(WaitlistEntry.findOne).toHaveBeenCalledWith({
+        book: "bookId123",
+        status: "waiting",
+      });
+    });
+  });
+});
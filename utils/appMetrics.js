@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Reservation = require('../models/Reservation');
+const Notification = require('../models/Notification');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { createRegistry } = require('./metrics');
+
+// Metrics exposed on /metrics
+const registry = createRegistry();
+
+exports.registry = registry;
+
+exports.httpRequests = registry.counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+});
+
+exports.httpDuration = registry.histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method and route',
+  labelNames: ['method', 'route'],
+});
+
+// Domain gauges are counted on scrape, and only while the database is
+// connected so a scrape never waits on buffered queries
+const whenConnected = (count) => async () =>
+  mongoose.connection.readyState === 1 ? count() : [];
+
+registry.gauge({
+  name: 'library_reservations',
+  help: 'Reservations by status',
+  collect: whenConnected(async () => {
+    const groups = await Reservation.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]);
+    return groups.map((g) => ({ labels: { status: g._id }, value: g.count }));
+  }),
+});
+
+registry.gauge({
+  name: 'library_reservations_pending',
+  help: 'Reservations waiting for approval',
+  collect: whenConnected(() => Reservation.countDocuments({ status: 'pending' })),
+});
+
+registry.gauge({
+  name: 'library_notifications_unread',
+  help: 'Notifications not yet read',
+  collect: whenConnected(() => Notification.countDocuments({ isRead: false })),
+});
+
+registry.gauge({
+  name: 'library_waitlist_waiting',
+  help: 'Waitlist entries still waiting for a copy',
+  collect: whenConnected(() => WaitlistEntry.countDocuments({ status: 'waiting' })),
+});
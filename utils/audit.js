@@ -0,0 +1,64 @@
+const AuditLog = require('../models/AuditLog');
+const logger = require('./logger');
+const { TARGET_TYPES, TRACKED_FIELDS } = require('../config/audit');
+
+exports.TARGET_TYPES = TARGET_TYPES;
+exports.TRACKED_FIELDS = TRACKED_FIELDS;
+
+// Dates, ids and nested documents reduced to their JSON form so values can
+// be compared and stored as they would be returned by the API
+const toPlain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// Tracked fields of a document (or plain object) as plain values
+exports.snapshot = (targetType, doc) => {
+  if (!doc) {
+    return null;
+  }
+  return exports.TRACKED_FIELDS[targetType].reduce((values, field) => {
+    values[field] = toPlain(doc[field]);
+    return values;
+  }, {});
+};
+
+// Reduces two snapshots to the fields that differ. A missing side (creation
+// or permanent deletion) stays null and the other keeps every field.
+exports.diff = (before, after) => {
+  if (!before || !after) {
+    return { before: before || null, after: after || null };
+  }
+  const changed = Object.keys({ ...before, ...after }).filter(
+    (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  );
+  const pick = (values) =>
+    changed.reduce((picked, field) => {
+      picked[field] = values[field] === undefined ? null : values[field];
+      return picked;
+    }, {});
+  return { before: pick(before), after: pick(after) };
+};
+
+/**
+ * Records an administrative action by `req.user`. `before` and `after` are
+ * snapshots of the target; nothing is recorded when nothing changed. A
+ * failure is logged rather than undoing the action that already happened.
+ */
+exports.recordAudit = async (req, { action, targetType, target, before = null, after = null }) => {
+  const changes = exports.diff(before, after);
+  if (changes.before && changes.after && Object.keys(changes.after).length === 0) {
+    return null;
+  }
+  try {
+    return await AuditLog.create({
+      actor: req.user.id,
+      actorName: req.user.name,
+      action,
+      targetType,
+      target,
+      ...changes,
+      requestId: req.id
+    });
+  } catch (err) {
+    logger.error('Error recording audit entry', { err, action, targetType, target });
+    return null;
+  }
+};
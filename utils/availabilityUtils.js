@@ -0,0 +1,107 @@
+const BookCopy = require('../models/BookCopy');
+const Reservation = require('../models/Reservation');
+const { startOfDay } = require('./dateUtils');
+
+// Reservation statuses that hold a physical copy for their date range
+exports.ACTIVE_STATUSES = ['approved', 'checked_out', 'overdue'];
+
+// Reservations still in progress, which block deleting what they refer to
+exports.OUTSTANDING_STATUSES = ['pending', ...exports.ACTIVE_STATUSES];
+
+// Parses a start/end pair, defaulting a missing end to the start date.
+// Returns null when either value is not a valid date.
+exports.parseRange = (startDate, endDate) => {
+  const start = startDate ? new Date(startDate) : new Date();
+  const end = endDate ? new Date(endDate) : start;
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return null;
+  }
+  return { start, end };
+};
+
+// Reservations holding a copy of the book at any point within [start, end].
+// A reservation without an endDate is treated as a single-day booking.
+exports.findOverlappingReservations = (bookId, start, end, excludeId) => {
+  const query = {
+    book: bookId,
+    status: { $in: exports.ACTIVE_STATUSES },
+    startDate: { $lte: end },
+    $or: [
+      { endDate: { $gte: start } },
+      { endDate: null, startDate: { $gte: start } },
+    ],
+  };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return Reservation.find(query);
+};
+
+// Free copies for [start, end] together with the reservations that clash
+// with the range, so callers can report the conflicting windows.
+exports.checkAvailability = async (bookId, start, end, excludeId) => {
+  const copies = await BookCopy.find({ book: bookId, status: 'active' });
+  const overlapping = await exports.findOverlappingReservations(
+    bookId,
+    start,
+    end,
+    excludeId
+  );
+  const taken = new Set(
+    overlapping.filter((r) => r.copy).map((r) => r.copy.toString())
+  );
+  // Approvals made before copies were tracked still hold some copy
+  const unassigned = overlapping.filter((r) => !r.copy).length;
+  const free = copies.filter((copy) => !taken.has(copy._id.toString()));
+  return {
+    copies: free.slice(0, Math.max(free.length - unassigned, 0)),
+    conflicts: overlapping.map(exports.toInterval),
+  };
+};
+
+exports.findAvailableCopies = async (bookId, start, end, excludeId) => {
+  const { copies } = await exports.checkAvailability(bookId, start, end, excludeId);
+  return copies;
+};
+
+// Ids of books with at least one copy free on the day of `at`
+exports.findBookIdsWithFreeCopies = async (at = new Date()) => {
+  const day = startOfDay(at);
+  const busyCopies = await Reservation.distinct('copy', {
+    status: { $in: exports.ACTIVE_STATUSES },
+    copy: { $ne: null },
+    startDate: { $lte: day },
+    $or: [{ endDate: { $gte: day } }, { endDate: null, startDate: day }],
+  });
+  return BookCopy.distinct('book', { status: 'active', _id: { $nin: busyCopies } });
+};
+
+exports.toInterval = (reservation) => ({
+  startDate: reservation.startDate,
+  endDate: reservation.endDate || reservation.startDate,
+});
+
+// Merges booked intervals into the windows where every copy is taken.
+// Intervals are inclusive, so one ending on the day another starts overlaps it.
+exports.fullyBookedIntervals = (intervals, capacity) => {
+  const events = [];
+  intervals.forEach(({ startDate, endDate }) => {
+    events.push({ at: new Date(startDate).getTime(), delta: 1 });
+    events.push({ at: new Date(endDate).getTime(), delta: -1 });
+  });
+  events.sort((a, b) => a.at - b.at || b.delta - a.delta);
+
+  const result = [];
+  let booked = 0;
+  let openedAt = null;
+  events.forEach(({ at, delta }) => {
+    booked += delta;
+    if (openedAt === null && booked >= capacity) {
+      openedAt = at;
+    } else if (openedAt !== null && booked < capacity) {
+      result.push({ startDate: new Date(openedAt), endDate: new Date(at) });
+      openedAt = null;
+    }
+  });
+  return result;
+};
@@ -0,0 +1,15 @@
+const { validate } = require('./validation');
+const { book } = require('../schemas/books');
+
+// Checks and normalises book input for create, import and full updates.
+// Returns `{ values, errors }` where `values` only holds the fields that
+// were supplied and `errors` lists `{ field, message }` for each invalid
+// one. With `partial`, missing required fields are allowed.
+exports.validateBook = (input, { partial = false } = {}) => {
+  const { value, errors } = validate(book, input, {
+    partial,
+    allowUnknown: true,
+    blankAsMissing: true
+  });
+  return { values: value, errors };
+};
@@ -0,0 +1,166 @@
+const User = require('../models/User');
+const Reservation = require('../models/Reservation');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const library = require('../config/library');
+const {
+  OUTSTANDING_STATUSES,
+  findOverlappingReservations,
+} = require('./availabilityUtils');
+const { getBalance, formatAmount } = require('./fineUtils');
+const { DAY, startOfDay, daysBetween } = require('./dateUtils');
+
+exports.getRules = (tier) =>
+  library.policy.tiers[tier] || library.policy.tiers[library.policy.defaultTier];
+
+// "YYYY-MM-DD" or "YYYY-MM-DD..YYYY-MM-DD" into inclusive day ranges
+exports.parseBlackouts = (values) =>
+  values.map((value) => {
+    const [from, to] = value.split('..');
+    return { start: startOfDay(from), end: startOfDay(to || from) };
+  });
+
+// Checks a requested loan against the rules and returns every broken rule
+// as `{ code, message }`. An empty array means the loan is allowed.
+exports.evaluate = ({
+  rules,
+  start,
+  end,
+  activeCount,
+  balance,
+  now,
+  blackouts,
+  checkLeadTime = true,
+}) => {
+  const reasons = [];
+  if (activeCount >= rules.maxConcurrent) {
+    reasons.push({
+      code: 'MAX_CONCURRENT',
+      message: `You may hold at most ${rules.maxConcurrent} reservations at a time`,
+    });
+  }
+  const loanDays = daysBetween(start, end) + 1;
+  if (loanDays > rules.maxLoanDays) {
+    reasons.push({
+      code: 'MAX_LOAN_LENGTH',
+      message: `Loans may last at most ${rules.maxLoanDays} days`,
+    });
+  }
+  const earliest = new Date(startOfDay(now).getTime() + rules.minLeadDays * DAY);
+  if (checkLeadTime && startOfDay(start) < earliest) {
+    reasons.push({
+      code: 'MIN_LEAD_TIME',
+      message: rules.minLeadDays > 0
+        ? `Reservations must start at least ${rules.minLeadDays} days from today`
+        : 'Reservations cannot start in the past',
+    });
+  }
+  const blackout = blackouts.find(
+    (b) => startOfDay(start) <= b.end && startOfDay(end) >= b.start
+  );
+  if (blackout) {
+    reasons.push({
+      code: 'BLACKOUT_DATE',
+      message: `The library is closed between ${blackout.start.toDateString()} and ${blackout.end.toDateString()}`,
+    });
+  }
+  if (balance > library.fines.blockThreshold) {
+    reasons.push({
+      code: 'OUTSTANDING_FINES',
+      message: `Outstanding fines of ${formatAmount(balance)} must be paid first`,
+    });
+  }
+  return reasons;
+};
+
+// Checks whether a loan may be extended. `copyBookings` are other
+// reservations of the same copy that overlap the extended period.
+exports.evaluateRenewal = ({ rules, reservation, waitingCount, copyBookings }) => {
+  const reasons = [];
+  if (!['approved', 'checked_out'].includes(reservation.status)) {
+    reasons.push({
+      code: 'NOT_RENEWABLE',
+      message: 'Only approved or checked out reservations can be renewed',
+    });
+  }
+  if ((reservation.renewals || []).length >= rules.maxRenewals) {
+    reasons.push({
+      code: 'MAX_RENEWALS',
+      message: `Loans may be renewed at most ${rules.maxRenewals} times`,
+    });
+  }
+  if (waitingCount > 0) {
+    reasons.push({
+      code: 'WAITLIST',
+      message: 'Other users are waiting for this book',
+    });
+  }
+  if (copyBookings > 0) {
+    reasons.push({
+      code: 'COPY_BOOKED',
+      message: 'Your copy is reserved by someone else after your loan',
+    });
+  }
+  return reasons;
+};
+
+// Loads what the rules need about `userId` and evaluates the loan. When
+// approving, `excludeId` leaves that reservation out of the count and the
+// lead time is skipped because it was checked when the request was made.
+exports.checkReservationPolicy = async (userId, start, end, excludeId) => {
+  const user = await User.findById(userId);
+  const query = {
+    user: userId,
+    status: { $in: OUTSTANDING_STATUSES },
+  };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  const activeCount = await Reservation.countDocuments(query);
+  const balance = await getBalance(userId);
+  return exports.evaluate({
+    rules: exports.getRules(user && user.tier),
+    start,
+    end,
+    activeCount,
+    balance,
+    now: new Date(),
+    blackouts: exports.parseBlackouts(library.policy.blackoutDates),
+    checkLeadTime: !excludeId,
+  });
+};
+
+// Works out the extended end date for `reservation` (with `book` populated)
+// and every reason the renewal would be refused.
+exports.checkRenewalPolicy = async (reservation) => {
+  const user = await User.findById(reservation.user);
+  const rules = exports.getRules(user && user.tier);
+  const previousEndDate = new Date(reservation.endDate || reservation.startDate);
+  const newEndDate = new Date(previousEndDate.getTime() + rules.maxLoanDays * DAY);
+
+  const waitingCount = await WaitlistEntry.countDocuments({
+    book: reservation.book._id,
+    status: { $in: ['waiting', 'offered'] },
+  });
+  const overlapping = await findOverlappingReservations(
+    reservation.book._id,
+    new Date(previousEndDate.getTime() + DAY),
+    newEndDate,
+    reservation._id
+  );
+  const copyBookings = reservation.copy
+    ? overlapping.filter(
+      (r) => r.copy && r.copy.toString() === reservation.copy.toString()
+    ).length
+    : 0;
+
+  return {
+    previousEndDate,
+    newEndDate,
+    reasons: exports.evaluateRenewal({
+      rules,
+      reservation,
+      waitingCount,
+      copyBookings,
+    }),
+  };
+};
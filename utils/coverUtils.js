@@ -0,0 +1,44 @@
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const library = require('../config/library');
+const { BadRequestError } = require('./errors');
+
+const FULL_WIDTH = 1200;
+const THUMB_WIDTH = 200;
+
+exports.coverPath = (filename) => path.join(library.uploads.coversDir, filename);
+
+// Re-encodes an uploaded image as JPEG plus a thumbnail, named after the
+// book so a new upload replaces the old files. Files sharp cannot decode,
+// whatever their declared type, are rejected with a BadRequestError.
+exports.saveCover = async (bookId, buffer) => {
+  await fs.mkdir(library.uploads.coversDir, { recursive: true });
+  const filename = `${bookId}.jpg`;
+  const thumbnail = `${bookId}-thumb.jpg`;
+  const image = sharp(buffer).rotate();
+  try {
+    await image
+      .clone()
+      .resize({ width: FULL_WIDTH, withoutEnlargement: true })
+      .jpeg()
+      .toFile(exports.coverPath(filename));
+    await image
+      .clone()
+      .resize({ width: THUMB_WIDTH, withoutEnlargement: true })
+      .jpeg()
+      .toFile(exports.coverPath(thumbnail));
+  } catch (err) {
+    // File system errors carry a code; decoding errors from sharp do not
+    if (err.code) {
+      throw err;
+    }
+    throw new BadRequestError('File is not a supported image');
+  }
+  return { filename, thumbnail };
+};
+
+exports.removeCover = async ({ filename, thumbnail }) => {
+  await fs.rm(exports.coverPath(filename), { force: true });
+  await fs.rm(exports.coverPath(thumbnail), { force: true });
+};
@@ -0,0 +1,82 @@
+// Small RFC 4180 reader/writer: quoted fields may contain commas, quotes
+// ("" escapes) and line breaks.
+
+// Spreadsheets run cells starting with these as formulas, so text that
+// does is written behind a ' and read back without it
+const FORMULA_START = /^[=+\-@]/;
+const FORMULA_ESCAPED = /^'[=+\-@]/;
+
+exports.parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Ignore blank lines
+  return rows.filter((r) => r.length > 1 || r[0] !== '');
+};
+
+// Parses CSV with a header row into one object per record
+exports.parse = (text) => {
+  const [header, ...rows] = exports.parseRows(text);
+  if (!header) {
+    return [];
+  }
+  const columns = header.map((name) => name.trim());
+  return rows.map((values) =>
+    columns.reduce((record, column, i) => {
+      const value = values[i] === undefined ? '' : values[i];
+      record[column] = FORMULA_ESCAPED.test(value) ? value.slice(1) : value;
+      return record;
+    }, {})
+  );
+};
+
+const escapeField = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+exports.stringify = (records, columns) =>
+  [columns, ...records.map((record) => columns.map((column) => record[column]))]
+    .map((values) => values.map(escapeField).join(','))
+    .join('\r\n') + '\r\n';
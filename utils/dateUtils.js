@@ -0,0 +1,16 @@
+exports.DAY = 24 * 60 * 60 * 1000;
+
+// Reservation dates are stored as whole days, so comparisons against "now"
+// are made from the start of the current day
+exports.startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Whole calendar days from `from` to `to`, never negative
+exports.daysBetween = (from, to) =>
+  Math.max(
+    Math.round((exports.startOfDay(to) - exports.startOfDay(from)) / exports.DAY),
+    0
+  );
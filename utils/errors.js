@@ -0,0 +1,95 @@
+// Application errors carry the HTTP status and a stable machine-readable
+// code. Throw them (or pass them to next) and the error handler in
+// middleware/errorHandler turns them into the JSON error envelope.
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message = 'Bad request', details) {
+    super(message, { status: 400, code: 'BAD_REQUEST', details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Unauthorized', details) {
+    super(message, { status: 401, code: 'UNAUTHORIZED', details });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Forbidden', details) {
+    super(message, { status: 403, code: 'FORBIDDEN', details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', details) {
+    super(message, { status: 404, code: 'NOT_FOUND', details });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'Conflict', details) {
+    super(message, { status: 409, code: 'CONFLICT', details });
+  }
+}
+
+// `errors` is the `[{ field, message }]` list from utils/validation
+class ValidationError extends AppError {
+  constructor(message = 'Validation failed', errors = []) {
+    super(message, { status: 422, code: 'VALIDATION_FAILED', details: { errors } });
+  }
+}
+
+// `reasons` lists the borrowing rules a reservation request breaks
+class PolicyError extends AppError {
+  constructor(message = 'Request does not meet the borrowing policy', reasons = []) {
+    super(message, { status: 422, code: 'POLICY_VIOLATION', details: { reasons } });
+  }
+}
+
+// Callers set the Retry-After header themselves
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests', details) {
+    super(message, { status: 429, code: 'TOO_MANY_REQUESTS', details });
+  }
+}
+
+// Codes for errors that only carry an HTTP status, e.g. from body-parser
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  410: 'GONE',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'VALIDATION_FAILED',
+  423: 'LOCKED',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+const codeForStatus = (status) =>
+  STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  PolicyError,
+  TooManyRequestsError,
+  codeForStatus
+};
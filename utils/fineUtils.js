@@ -0,0 +1,49 @@
+const LedgerEntry = require('../models/LedgerEntry');
+const { createNotification } = require('./notificationUtils');
+const { daysBetween } = require('./dateUtils');
+const library = require('../config/library');
+
+exports.formatAmount = (cents) => (cents / 100).toFixed(2);
+
+exports.calculateLateFee = (endDate, returnedAt) => {
+  const daysLate = daysBetween(endDate, returnedAt);
+  return Math.min(daysLate * library.fines.dailyFee, library.fines.maxFee);
+};
+
+exports.balanceOf = (entries) =>
+  entries.reduce(
+    (total, entry) =>
+      entry.type === 'charge' ? total + entry.amount : total - entry.amount,
+    0
+  );
+
+exports.getBalance = async (userId) => {
+  const entries = await LedgerEntry.find({ user: userId });
+  return exports.balanceOf(entries);
+};
+
+// Charges the borrower for a late return. `reservation.book` must be
+// populated with its title.
+exports.accrueLateFee = async (reservation) => {
+  if (!reservation.endDate || !reservation.returnedAt) {
+    return null;
+  }
+  const amount = exports.calculateLateFee(reservation.endDate, reservation.returnedAt);
+  if (amount === 0) {
+    return null;
+  }
+  const entry = new LedgerEntry({
+    user: reservation.user,
+    reservation: reservation._id,
+    type: 'charge',
+    amount,
+    note: `Late return of "${reservation.book.title}"`,
+  });
+  await entry.save();
+  await createNotification(
+    reservation.user,
+    `A late fee of ${exports.formatAmount(amount)} was charged for "${reservation.book.title}"`,
+    'fine'
+  );
+  return entry;
+};
@@ -0,0 +1,47 @@
+// Strips hyphens and spaces so "978-0-306-40615-7" and "9780306406157" match
+exports.normalizeIsbn = (value) =>
+  String(value).replace(/[\s-]/g, '').toUpperCase();
+
+exports.isValidIsbn10 = (isbn) => {
+  if (!/^\d{9}[\dX]$/.test(isbn)) {
+    return false;
+  }
+  const sum = isbn.split('').reduce((total, char, i) => {
+    const digit = char === 'X' ? 10 : Number(char);
+    return total + digit * (10 - i);
+  }, 0);
+  return sum % 11 === 0;
+};
+
+exports.isValidIsbn13 = (isbn) => {
+  if (!/^97[89]\d{10}$/.test(isbn)) {
+    return false;
+  }
+  const sum = isbn.split('').reduce(
+    (total, char, i) => total + Number(char) * (i % 2 === 0 ? 1 : 3),
+    0
+  );
+  return sum % 10 === 0;
+};
+
+exports.isValidIsbn = (value) => {
+  const isbn = exports.normalizeIsbn(value);
+  return isbn.length === 10
+    ? exports.isValidIsbn10(isbn)
+    : exports.isValidIsbn13(isbn);
+};
+
+// ISBNs are stored as ISBN-13 so the same book cannot be added twice
+// under its two forms
+exports.toIsbn13 = (value) => {
+  const isbn = exports.normalizeIsbn(value);
+  if (isbn.length === 13) {
+    return isbn;
+  }
+  const body = `978${isbn.slice(0, 9)}`;
+  const sum = body.split('').reduce(
+    (total, char, i) => total + Number(char) * (i % 2 === 0 ? 1 : 3),
+    0
+  );
+  return `${body}${(10 - (sum % 10)) % 10}`;
+};
@@ -0,0 +1,129 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const library = require('../config/library');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Field names whose values never reach the logs
+const SECRET_KEYS = /pass(word)?|token|secret|authorization|cookie/i;
+const REDACTED = '[REDACTED]';
+// Paths whose last segment is a secret, e.g. the email verification link
+// GET /api/auth/verify/:token (but not POST /api/auth/verify/resend)
+const SECRET_PATHS = [/(\/auth\/verify\/)(?!resend$)[^/]+$/];
+const MAX_DEPTH = 6;
+
+// Holds the request context (requestId, ...) across async calls, so code
+// that never sees `req` still logs with the request it is serving
+const storage = new AsyncLocalStorage();
+
+const serializeError = (err) => ({
+  name: err.name,
+  message: err.message,
+  ...(err.code !== undefined && { code: err.code }),
+  stack: err.stack
+});
+
+// Copies `value` with secret fields masked; errors, dates and ids are
+// turned into their JSON-friendly form
+const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (typeof value.toHexString === 'function') {
+    return value.toHexString();
+  }
+  if (seen.has(value) || depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  seen.add(value);
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1, seen));
+  }
+  const copy = {};
+  Object.keys(value).forEach((key) => {
+    copy[key] = SECRET_KEYS.test(key) ? REDACTED : redact(value[key], depth + 1, seen);
+  });
+  return copy;
+};
+
+// Query keys that are not valid percent-encoding are masked too, since
+// they cannot be checked against SECRET_KEYS
+const isSecretKey = (key) => {
+  try {
+    return SECRET_KEYS.test(decodeURIComponent(key));
+  } catch {
+    return true;
+  }
+};
+
+// Masks secret path segments and query parameters, e.g. /reset?token=abc
+const redactUrl = (url) => {
+  const [rawPath, query] = String(url).split('?');
+  const path = SECRET_PATHS.reduce(
+    (masked, pattern) => masked.replace(pattern, `$1${REDACTED}`),
+    rawPath
+  );
+  if (!query) {
+    return path;
+  }
+  const params = query.split('&').map((pair) => {
+    const [key] = pair.split('=');
+    return isSecretKey(key) ? `${key}=${REDACTED}` : pair;
+  });
+  return `${path}?${params.join('&')}`;
+};
+
+const defaultWrite = (line, level) =>
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+
+/**
+ * Creates a logger writing one JSON object per line:
+ * `{ time, level, msg, requestId, ...fields }`. Entries below `level` are
+ * dropped; `fields` are redacted before they are written.
+ */
+const createLogger = ({ level = library.logging.level, write = defaultWrite, base = {} } = {}) => {
+  if (LEVELS[level] === undefined) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+  const log = (name) => (message, fields = {}) => {
+    if (LEVELS[name] < LEVELS[level]) {
+      return;
+    }
+    const entry = {
+      time: new Date().toISOString(),
+      level: name,
+      msg: message,
+      ...base,
+      ...storage.getStore(),
+      ...redact(fields)
+    };
+    write(JSON.stringify(entry), name);
+  };
+  return {
+    level,
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    // Logger that adds `fields` to every entry
+    child: (fields) => createLogger({ level, write, base: { ...base, ...redact(fields) } })
+  };
+};
+
+// Runs `fn` with `context` added to every entry logged while it runs
+const runWithContext = (context, fn) => storage.run({ ...storage.getStore(), ...context }, fn);
+
+const logger = createLogger();
+
+module.exports = logger;
+module.exports.createLogger = createLogger;
+module.exports.runWithContext = runWithContext;
+module.exports.getContext = () => storage.getStore() || {};
+module.exports.redact = redact;
+module.exports.redactUrl = redactUrl;
+module.exports.LEVELS = LEVELS;
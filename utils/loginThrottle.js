@@ -0,0 +1,101 @@
+const User = require('../models/User');
+const library = require('../config/library');
+const { createNotification } = require('./notificationUtils');
+const { sendMail } = require('./mailer');
+const logger = require('./logger');
+
+const settings = () => library.security;
+
+// Wait required before the next attempt after `failures` consecutive ones
+exports.delayFor = (failures) => {
+  const { freeLoginAttempts, baseDelaySeconds, maxDelaySeconds } = settings();
+  if (failures < freeLoginAttempts) {
+    return 0;
+  }
+  const seconds = baseDelaySeconds * 2 ** (failures - freeLoginAttempts);
+  return Math.min(seconds, maxDelaySeconds) * 1000;
+};
+
+// Milliseconds the account has to wait before trying again; `locked` tells
+// a lockout apart from the progressive delay
+exports.accountWait = (user, now = new Date()) => {
+  if (user.lockedUntil && user.lockedUntil > now) {
+    return { locked: true, waitMs: user.lockedUntil - now };
+  }
+  const failures = user.failedLoginAttempts || 0;
+  const readyAt = user.lastFailedLoginAt
+    ? user.lastFailedLoginAt.getTime() + exports.delayFor(failures)
+    : 0;
+  return { locked: false, waitMs: Math.max(readyAt - now.getTime(), 0) };
+};
+
+const notifyLocked = async (user, lockedUntil) => {
+  const message =
+    'Your account has been locked after too many failed login attempts. ' +
+    `You can try again after ${lockedUntil.toISOString()}, or ask a librarian to unlock it.`;
+  logger.warn('Account locked after failed logins', { userId: user._id, lockedUntil });
+  await createNotification(user._id, message, 'account_locked');
+  try {
+    await sendMail({ to: user.email, subject: 'Your account has been locked', text: message });
+  } catch (err) {
+    logger.error('Error sending account locked email', { err, userId: user._id });
+  }
+};
+
+// Counts a failed password for the account and locks it once the threshold
+// is reached. Returns the lock expiry when this failure locked the account.
+exports.recordAccountFailure = async (user, now = new Date()) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  );
+  if (!updated || updated.failedLoginAttempts < settings().lockThreshold) {
+    return null;
+  }
+  const lockedUntil = new Date(now.getTime() + settings().lockMinutes * 60 * 1000);
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { lockedUntil, failedLoginAttempts: 0, lastFailedLoginAt: null } }
+  );
+  await notifyLocked(updated, lockedUntil);
+  return lockedUntil;
+};
+
+exports.resetAccount = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    { $set: { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null } }
+  );
+
+// Failures per client IP, kept in memory like the rate limiter
+const ipFailures = new Map();
+
+const ipWindowMs = () => settings().ipWindowMinutes * 60 * 1000;
+
+exports.ipWait = (ip, now = Date.now()) => {
+  const entry = ipFailures.get(ip);
+  if (!entry || entry.windowEndsAt <= now) {
+    return 0;
+  }
+  return entry.count >= settings().ipMaxFailures ? entry.windowEndsAt - now : 0;
+};
+
+exports.recordIpFailure = (ip, now = Date.now()) => {
+  let entry = ipFailures.get(ip);
+  if (!entry || entry.windowEndsAt <= now) {
+    entry = { count: 0, windowEndsAt: now + ipWindowMs() };
+    ipFailures.set(ip, entry);
+  }
+  entry.count += 1;
+};
+
+const sweep = setInterval(() => {
+  const now = Date.now();
+  ipFailures.forEach((entry, ip) => {
+    if (entry.windowEndsAt <= now) {
+      ipFailures.delete(ip);
+    }
+  });
+}, 60 * 1000);
+sweep.unref();
@@ -0,0 +1,52 @@
+const fs = require('fs/promises');
+const path = require('path');
+const library = require('../config/library');
+
+// A transport is any object with `send(message)` returning a promise, where
+// message is `{ from, to, subject, text }`. The built-in ones are meant for
+// development and tests; production registers a real one at startup.
+const factories = {
+  console: () => ({
+    send: async (message) => {
+      console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    },
+  }),
+  // Writes each message as JSON into the outbox directory
+  file: ({ outboxDir }) => ({
+    send: async (message) => {
+      await fs.mkdir(outboxDir, { recursive: true });
+      const name = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+      await fs.writeFile(
+        path.join(outboxDir, name),
+        JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+      );
+    },
+  }),
+};
+
+let transport = null;
+
+exports.registerTransport = (name, factory) => {
+  factories[name] = factory;
+};
+
+exports.hasTransport = (name) => Object.prototype.hasOwnProperty.call(factories, name);
+
+// Replaces the configured transport, or resets to it when called without one
+exports.setTransport = (custom) => {
+  transport = custom || null;
+};
+
+exports.getTransport = () => {
+  if (!transport) {
+    const factory = factories[library.mail.transport];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${library.mail.transport}`);
+    }
+    transport = factory(library.mail);
+  }
+  return transport;
+};
+
+exports.sendMail = ({ to, subject, text }) =>
+  exports.getTransport().send({ from: library.mail.from, to, subject, text });
@@ -0,0 +1,128 @@
+const logger = require('./logger');
+
+// Minimal Prometheus registry rendering the text exposition format.
+// Counters and histograms are updated as things happen; gauges are
+// computed by their `collect` function on every scrape.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const pairs = Object.keys(labels).map((name) => `${name}="${escapeLabel(labels[name])}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+// Series are keyed by their label values so each combination is tracked once
+const seriesKey = (labelNames, labels) =>
+  JSON.stringify(labelNames.map((name) => String(labels[name] === undefined ? '' : labels[name])));
+
+const pickLabels = (labelNames, labels) =>
+  labelNames.reduce((picked, name) => {
+    picked[name] = labels[name] === undefined ? '' : labels[name];
+    return picked;
+  }, {});
+
+const createCounter = ({ name, help, labelNames = [] }) => {
+  const series = new Map();
+  return {
+    name,
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+    reset: () => series.clear(),
+    render: async () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} counter`,
+      ...[...series.values()].map((s) => `${name}${formatLabels(s.labels)} ${s.value}`),
+    ],
+  };
+};
+
+const createHistogram = ({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) => {
+  const series = new Map();
+  return {
+    name,
+    observe(labels = {}, value) {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) || {
+        labels: pickLabels(labelNames, labels),
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      };
+      buckets.forEach((bound, i) => {
+        if (value <= bound) {
+          entry.counts[i] += 1;
+        }
+      });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+    reset: () => series.clear(),
+    render: async () => {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      series.forEach((s) => {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(s.labels)} ${s.sum}`);
+        lines.push(`${name}_count${formatLabels(s.labels)} ${s.count}`);
+      });
+      return lines;
+    },
+  };
+};
+
+// `collect` returns a number, or `[{ labels, value }]` for labelled gauges.
+// A gauge whose collect fails is left out of the scrape rather than failing it.
+const createGauge = ({ name, help, collect }) => ({
+  name,
+  reset: () => {},
+  render: async () => {
+    let result;
+    try {
+      result = await collect();
+    } catch (err) {
+      logger.error('Could not collect metric', { metric: name, err });
+      return [];
+    }
+    const samples = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+    return [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} gauge`,
+      ...samples.map((s) => `${name}${formatLabels(s.labels || {})} ${s.value}`),
+    ];
+  },
+});
+
+exports.createRegistry = () => {
+  const metrics = [];
+  const register = (metric) => {
+    if (metrics.some((m) => m.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  };
+  return {
+    counter: (options) => register(createCounter(options)),
+    histogram: (options) => register(createHistogram(options)),
+    gauge: (options) => register(createGauge(options)),
+    // Clears recorded counter and histogram values, e.g. between tests
+    reset: () => metrics.forEach((m) => m.reset()),
+    render: async () => {
+      const blocks = await Promise.all(metrics.map((m) => m.render()));
+      return `${blocks.flat().join('\n')}\n`;
+    },
+  };
+};
+
+exports.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+exports.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
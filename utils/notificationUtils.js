@@ -1,5 +1,13 @@
 const Notification = require("../models/Notification");
 const User = require("../models/User");
+const { rolesWith } = require("./permissions");
+const logger = require("./logger");
+
+// Which staff hear about each kind of event
+const TYPE_PERMISSIONS = {
+  new_user: "users:manage",
+  new_reservation: "reservations:manage",
+};
 
 exports.createNotification = async (userId, message, type) => {
   try {
@@ -10,17 +18,23 @@ exports.createNotification = async (userId, message, type) => {
     });
     await notification.save();
   } catch (err) {
-    console.error("Error creating notification:", err);
+    logger.error("Error creating notification", { err, userId, type });
   }
 };
 
+// Notifies admins plus the staff whose roles cover `type`
 exports.notifyAdmins = async (message, type) => {
   try {
-    const admins = await User.find({ isAdmin: true });
+    const permission = TYPE_PERMISSIONS[type];
+    const admins = await User.find(
+      permission
+        ? { $or: [{ isAdmin: true }, { roles: { $in: rolesWith(permission) } }] }
+        : { isAdmin: true }
+    );
     for (const admin of admins) {
       await this.createNotification(admin._id, message, type);
     }
   } catch (err) {
-    console.error("Error notifying admins:", err);
+    logger.error("Error notifying admins", { err, type });
   }
 };
@@ -0,0 +1,21 @@
+const { roles } = require('../config/roles');
+
+// Accounts created before roles existed only have the isAdmin flag, which
+// keeps meaning "can do everything"
+exports.rolesOf = (user) => {
+  const assigned = (user && user.roles) || [];
+  return user && user.isAdmin && !assigned.includes('superadmin')
+    ? [...assigned, 'superadmin']
+    : assigned;
+};
+
+exports.permissionsOf = (user) => [
+  ...new Set(exports.rolesOf(user).flatMap((role) => roles[role] || []))
+];
+
+exports.hasPermission = (user, permission) =>
+  exports.permissionsOf(user).includes(permission);
+
+// Roles granting `permission`, for finding the staff to notify
+exports.rolesWith = (permission) =>
+  Object.keys(roles).filter((role) => roles[role].includes(permission));
@@ -0,0 +1,43 @@
+// Legal status changes for a reservation. `completed` predates the
+// check-out/return flow and is kept only so older records stay valid.
+exports.TRANSITIONS = {
+  pending: ['approved', 'rejected', 'cancelled', 'expired'],
+  approved: ['checked_out', 'cancelled'],
+  checked_out: ['returned', 'overdue'],
+  overdue: ['returned'],
+  rejected: [],
+  cancelled: [],
+  expired: [],
+  returned: [],
+  completed: [],
+};
+
+exports.STATUSES = Object.keys(exports.TRANSITIONS);
+
+// Field recording when a reservation entered each status
+exports.TIMESTAMP_FIELDS = {
+  approved: 'approvedAt',
+  rejected: 'rejectedAt',
+  cancelled: 'cancelledAt',
+  expired: 'expiredAt',
+  checked_out: 'checkedOutAt',
+  overdue: 'overdueAt',
+  returned: 'returnedAt',
+};
+
+// Statuses in which the reservation gives its copy back
+exports.RELEASING_STATUSES = ['rejected', 'cancelled', 'returned'];
+
+exports.canTransition = (from, to) =>
+  (exports.TRANSITIONS[from] || []).includes(to);
+
+exports.applyTransition = (reservation, to, at = new Date()) => {
+  reservation.status = to;
+  const field = exports.TIMESTAMP_FIELDS[to];
+  if (field) {
+    reservation[field] = at;
+  }
+  return reservation;
+};
+
+exports.describeStatus = (status) => status.replace(/_/g, ' ');
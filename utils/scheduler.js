@@ -0,0 +1,44 @@
+const logger = require('./logger');
+
+// Minimal in-process job runner. Each job is `{ name, run(now) }` and all
+// jobs run one after another on every tick; a tick is skipped while the
+// previous one is still running.
+exports.createScheduler = (jobs, { intervalMs }) => {
+  let timer = null;
+  let running = false;
+
+  const runOnce = async (now = new Date()) => {
+    if (running) {
+      return false;
+    }
+    running = true;
+    try {
+      for (const job of jobs) {
+        try {
+          await job.run(now);
+        } catch (err) {
+          logger.error('Scheduled job failed', { job: job.name, err });
+        }
+      }
+    } finally {
+      running = false;
+    }
+    return true;
+  };
+
+  return {
+    runOnce,
+    start() {
+      if (!timer) {
+        timer = setInterval(() => runOnce(), intervalMs);
+      }
+    },
+    stop() {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    },
+    isRunning: () => timer !== null,
+  };
+};
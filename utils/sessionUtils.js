@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const config = require('../config/database');
+const library = require('../config/library');
+const { DAY } = require('./dateUtils');
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Refresh tokens are `<sessionId>.<secret>` so the session can be found
+// without storing the secret itself
+const splitToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  return mongoose.isValidObjectId(sessionId) && secret ? { sessionId, secret } : null;
+};
+
+exports.signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { user: { id: user.id, isAdmin: user.isAdmin }, sid: sessionId },
+    config.secret,
+    { expiresIn: library.auth.accessTokenTtl }
+  );
+
+// Opens a session for a freshly authenticated user and returns the token
+// pair handed to the client
+exports.startSession = async (user, { userAgent, ip } = {}, now = new Date()) => {
+  const secret = newSecret();
+  const session = await new Session({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    expiresAt: new Date(now.getTime() + library.auth.refreshTokenDays * DAY),
+    userAgent,
+    ip,
+    createdAt: now,
+    lastUsedAt: now,
+  }).save();
+  return {
+    token: exports.signAccessToken(user, session.id),
+    refreshToken: `${session.id}.${secret}`,
+  };
+};
+
+// Swaps a refresh token for a new one. Returns `{ session, refreshToken }`,
+// or null when the token is unknown, expired or revoked. Presenting a token
+// that has already been rotated revokes the whole session, since either the
+// client or whoever copied the token is replaying it.
+exports.rotateSession = async (refreshToken, now = new Date()) => {
+  const parts = splitToken(refreshToken);
+  if (!parts) {
+    return null;
+  }
+  const secret = newSecret();
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parts.sessionId,
+      tokenHash: hashToken(parts.secret),
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { tokenHash: hashToken(secret), lastUsedAt: now },
+    { new: true }
+  );
+  if (!session) {
+    await Session.updateOne(
+      { _id: parts.sessionId, revokedAt: null },
+      { revokedAt: now }
+    );
+    return null;
+  }
+  return { session, refreshToken: `${session.id}.${secret}` };
+};
+
+exports.revokeSession = (sessionId, now = new Date()) =>
+  Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: now });
+
+// Returns the number of sessions that were still open
+exports.revokeAllSessions = async (userId, now = new Date()) => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: now }
+  );
+  return result.modifiedCount;
+};
+
+// Used after a password change, which should sign out every other device
+exports.revokeOtherSessions = async (userId, keepSessionId, now = new Date()) => {
+  const result = await Session.updateMany(
+    { user: userId, _id: { $ne: keepSessionId }, revokedAt: null },
+    { revokedAt: now }
+  );
+  return result.modifiedCount;
+};
+
+exports.isSessionActive = async (sessionId, userId, now = new Date()) =>
+  Boolean(
+    await Session.exists({
+      _id: sessionId,
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    })
+  );
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issues a token for `purpose`, cancelling any earlier unused one so only
+// the most recent email works. Returns the raw token to put in the email.
+exports.createUserToken = async (userId, purpose, ttlMs, now = new Date()) => {
+  await UserToken.updateMany(
+    { user: userId, purpose, usedAt: null },
+    { usedAt: now }
+  );
+  const token = crypto.randomBytes(32).toString('hex');
+  await new UserToken({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now.getTime() + ttlMs),
+    createdAt: now,
+  }).save();
+  return token;
+};
+
+// Marks the token used and returns it, or null when it is unknown, expired
+// or already used. The update is atomic so a token cannot be used twice.
+exports.consumeUserToken = (token, purpose, now = new Date()) =>
+  UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { usedAt: now },
+    { new: true }
+  );
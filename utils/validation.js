@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const { isValidIsbn, toIsbn13 } = require('./isbn');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9\s().-]+$/;
+
+const fail = (error) => ({ error });
+const ok = (value) => ({ value });
+
+const toNumber = (value) =>
+  typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+// Each checker receives the raw value and the field spec and returns
+// `{ value }` with the coerced value or `{ error }` with a message that is
+// prefixed by the field name.
+const TYPES = {
+  string: (value, spec) =>
+    typeof value === 'string' && value.trim()
+      ? ok(spec.trim === false ? value : value.trim())
+      : fail('must be a non-empty string'),
+  email: (value) =>
+    typeof value === 'string' && EMAIL_PATTERN.test(value.trim())
+      ? ok(value.trim())
+      : fail('must be a valid email address'),
+  phone: (value) => {
+    const digits = typeof value === 'string' ? value.replace(/\D/g, '') : '';
+    return PHONE_PATTERN.test(value) && digits.length >= 7 && digits.length <= 15
+      ? ok(value.trim())
+      : fail('must be a valid phone number');
+  },
+  date: (value) => {
+    const date = typeof value === 'string' || typeof value === 'number' || value instanceof Date
+      ? new Date(value)
+      : new Date(NaN);
+    return isNaN(date.getTime()) ? fail('must be a valid date') : ok(date);
+  },
+  number: (value) => {
+    const number = toNumber(value);
+    return typeof number === 'number' && Number.isFinite(number)
+      ? ok(number)
+      : fail('must be a number');
+  },
+  integer: (value) => {
+    const number = toNumber(value);
+    return Number.isInteger(number) ? ok(number) : fail('must be a whole number');
+  },
+  boolean: (value) => {
+    if (typeof value === 'boolean') {
+      return ok(value);
+    }
+    return value === 'true' || value === 'false'
+      ? ok(value === 'true')
+      : fail('must be true or false');
+  },
+  objectId: (value) =>
+    typeof value === 'string' && mongoose.Types.ObjectId.isValid(value) && /^[a-f\d]{24}$/i.test(value)
+      ? ok(value)
+      : fail('must be a valid id'),
+  isbn: (value) =>
+    (typeof value === 'string' || typeof value === 'number') && isValidIsbn(value)
+      ? ok(toIsbn13(value))
+      : fail('must be a valid ISBN-10 or ISBN-13'),
+};
+
+const checkValue = (spec, raw) => {
+  if (spec.type === 'array') {
+    return checkArray(spec, raw);
+  }
+  const check = TYPES[spec.type];
+  if (!check) {
+    throw new Error(`Unknown validation type: ${spec.type}`);
+  }
+  const result = check(raw, spec);
+  if (result.error) {
+    return result;
+  }
+  let value = result.value;
+  if (spec.lowercase && typeof value === 'string') {
+    value = value.toLowerCase();
+  }
+  if (spec.pattern && !spec.pattern.test(value)) {
+    return fail('has an invalid format');
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    return fail(`must be one of ${spec.enum.join(', ')}`);
+  }
+  if (spec.min !== undefined && value < spec.min) {
+    return fail(`must be at least ${spec.min}`);
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    return fail(`must be at most ${spec.max}`);
+  }
+  if (spec.minLength !== undefined && value.length < spec.minLength) {
+    return fail(`must be at least ${spec.minLength} characters`);
+  }
+  if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+    return fail(`must be at most ${spec.maxLength} characters`);
+  }
+  return ok(value);
+};
+
+// Arrays may also be given as a comma separated string (query strings, CSV)
+const checkArray = (spec, raw) => {
+  const list = typeof raw === 'string'
+    ? raw.split(',').map((item) => item.trim()).filter(Boolean)
+    : raw;
+  if (!Array.isArray(list)) {
+    return fail('must be a list');
+  }
+  const values = [];
+  for (const item of list) {
+    const result = checkValue(spec.items, item);
+    if (result.error) {
+      return fail(`must only contain values that ${result.error.replace(/^must /, '')}`);
+    }
+    values.push(result.value);
+  }
+  return ok(spec.unique ? [...new Set(values)] : values);
+};
+
+const isBlank = (value) => value === undefined || value === '';
+
+/**
+ * Validates `input` against a declarative `schema` of
+ * `{ field: { type, required, enum, min, max, pattern, ... } }`.
+ *
+ * Returns `{ value, errors }`. `value` holds the coerced fields that were
+ * supplied, with `null` for fields being cleared; `errors` lists
+ * `{ field, message }` for every invalid field.
+ *
+ * Options:
+ * - partial: missing required fields are allowed (PATCH)
+ * - allowUnknown: fields not in the schema are ignored instead of rejected
+ * - blankAsMissing: empty strings count as not supplied (CSV rows, forms)
+ */
+exports.validate = (schema, input, options = {}) => {
+  const { partial = false, allowUnknown = false, blankAsMissing = false } = options;
+  const value = {};
+  const errors = [];
+  const body = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+
+  if (!allowUnknown) {
+    Object.keys(body)
+      .filter((field) => !Object.prototype.hasOwnProperty.call(schema, field))
+      .forEach((field) => errors.push({ field, message: `${field} is not an allowed field` }));
+  }
+
+  Object.keys(schema).forEach((field) => {
+    const spec = schema[field];
+    const raw = body[field];
+    const missing = raw === undefined || (blankAsMissing && isBlank(raw));
+
+    if (missing) {
+      if (spec.required && !partial) {
+        errors.push({ field, message: `${field} is required` });
+      } else if (spec.default !== undefined && !partial) {
+        value[field] = spec.default;
+      }
+      return;
+    }
+    if (raw === null) {
+      if (spec.required) {
+        errors.push({ field, message: `${field} cannot be cleared` });
+      } else {
+        value[field] = null;
+      }
+      return;
+    }
+
+    const result = checkValue(spec, raw);
+    if (result.error) {
+      errors.push({ field, message: `${field} ${spec.message || result.error}` });
+    } else {
+      value[field] = result.value;
+    }
+  });
+
+  return { value, errors };
+};
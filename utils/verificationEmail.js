@@ -0,0 +1,27 @@
+const library = require('../config/library');
+const { sendMail } = require('./mailer');
+const { createUserToken } = require('./userTokens');
+const logger = require('./logger');
+
+// Mails a link confirming `user.email`. Mail problems are logged rather
+// than failing the request; the user can ask for another link.
+exports.sendVerificationEmail = async (user) => {
+  try {
+    const token = await createUserToken(
+      user._id,
+      'email_verification',
+      library.auth.emailVerificationHours * 60 * 60 * 1000
+    );
+    await sendMail({
+      to: user.email,
+      subject: 'Confirm your email address',
+      text:
+        `Hi ${user.name},\n\n` +
+        'Please confirm your email address by opening the link below. It ' +
+        `expires in ${library.auth.emailVerificationHours} hours.\n\n` +
+        `${library.auth.emailVerificationUrl}/${token}`
+    });
+  } catch (err) {
+    logger.error('Error sending verification email', { err, userId: user._id });
+  }
+};
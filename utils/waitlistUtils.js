@@ -0,0 +1,73 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { createNotification } = require('./notificationUtils');
+const library = require('../config/library');
+
+const HOUR = 60 * 60 * 1000;
+
+// Entries still in the queue, either waiting or holding an offer
+exports.OPEN_STATUSES = ['waiting', 'offered'];
+
+exports.nextPosition = async (bookId) => {
+  const last = await WaitlistEntry.findOne({
+    book: bookId,
+    status: { $in: exports.OPEN_STATUSES },
+  }).sort({ position: -1 });
+  return last ? last.position + 1 : 1;
+};
+
+// Offers a freed copy of `book` to the first person waiting for it.
+// `book` must carry its title, which is used in the notification.
+exports.offerNextHold = async (book) => {
+  const entry = await WaitlistEntry.findOne({
+    book: book._id,
+    status: 'waiting',
+  }).sort({ position: 1 });
+  if (!entry) {
+    return null;
+  }
+  const now = new Date();
+  entry.status = 'offered';
+  entry.offeredAt = now;
+  entry.holdExpiresAt = new Date(
+    now.getTime() + library.waitlist.holdWindowHours * HOUR
+  );
+  await entry.save();
+  await createNotification(
+    entry.user,
+    `A copy of "${book.title}" is available for you. Claim it before ${entry.holdExpiresAt.toISOString()}`,
+    'waitlist'
+  );
+  return entry;
+};
+
+// Expires unclaimed offers and passes each hold on to the next in line
+exports.expireHolds = async (now = new Date()) => {
+  const expired = await WaitlistEntry.find({
+    status: 'offered',
+    holdExpiresAt: { $lte: now },
+  }).populate('book', 'title');
+  for (const entry of expired) {
+    entry.status = 'expired';
+    await entry.save();
+    await createNotification(
+      entry.user,
+      `Your hold on "${entry.book.title}" has expired`,
+      'waitlist'
+    );
+    await exports.offerNextHold(entry.book);
+  }
+  return expired.length;
+};
+
+// Copies set aside for offered holds, other than the given user's own
+exports.countActiveHolds = (bookId, exceptUserId) => {
+  const query = {
+    book: bookId,
+    status: 'offered',
+    holdExpiresAt: { $gt: new Date() },
+  };
+  if (exceptUserId) {
+    query.user = { $ne: exceptUserId };
+  }
+  return WaitlistEntry.countDocuments(query);
+};